@@ -0,0 +1,132 @@
+// Soundtrack of a compilation: background music, the clips' own sound, or
+// both mixed, built as FFmpeg audio filter graphs
+const {
+  parseBoolean,
+  parseEnum,
+  parseNumberInRange,
+  parseOptionFields,
+} = require("./request-options");
+
+const AUDIO_MODES = ["music", "original", "mixed"];
+const MIN_VOLUME = 0;
+const MAX_VOLUME = 2;
+const MAX_FADE_DURATION = 10;
+const MAX_MUSIC_START = 60 * 60;
+
+// Every normalized clip carries audio in this format (silence for images and
+// silent videos), so clip tracks can always be joined and mixed
+const CLIP_AUDIO_SAMPLE_RATE = 48000;
+const CLIP_AUDIO_CHANNEL_LAYOUT = "stereo";
+
+const DEFAULT_AUDIO = {
+  mode: "music",
+  musicVolume: 1,
+  clipVolume: 1,
+  ducking: false,
+  fadeIn: 0,
+  fadeOut: 0,
+  // Seconds into the track where the music starts
+  musicStart: 0,
+};
+
+const parseVolume = (value, field) =>
+  parseNumberInRange(value, field, MIN_VOLUME, MAX_VOLUME);
+const parseSeconds = (max) => (value, field) =>
+  parseNumberInRange(value, field, 0, max, { unit: " seconds" });
+
+// `audio`: the soundtrack mode, volumes, ducking and fades
+function parseAudioOptions(raw) {
+  return parseOptionFields(raw, "audio", DEFAULT_AUDIO, {
+    mode: (value, field) => parseEnum(value, field, AUDIO_MODES),
+    musicVolume: parseVolume,
+    clipVolume: parseVolume,
+    fadeIn: parseSeconds(MAX_FADE_DURATION),
+    fadeOut: parseSeconds(MAX_FADE_DURATION),
+    musicStart: parseSeconds(MAX_MUSIC_START),
+    ducking: parseBoolean,
+  });
+}
+
+// Whether background music plays, given the options and a music file
+function usesMusic(audio, hasMusic) {
+  return Boolean(hasMusic) && audio?.mode !== "original";
+}
+
+// Whether the clips' own sound is kept, given the options and a music file
+function usesClipAudio(audio, hasMusic) {
+  return !usesMusic(audio, hasMusic) || audio.mode === "mixed";
+}
+
+function formatSeconds(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+// Filter graph producing [outputLabel] from the music stream (`music`, an
+// input label such as "1:a") and, in mixed mode, the joined clip audio
+// (`clipAudio`). Music starts `musicStart` seconds in and is faded over a
+// video of `duration` seconds; when ducking, it is compressed whenever the
+// clips are loud.
+function buildAudioMixFilter({
+  music,
+  clipAudio = null,
+  audio,
+  duration,
+  outputLabel = "aout",
+}) {
+  const musicFilters = [];
+  if (audio.musicStart > 0) {
+    musicFilters.push(
+      `atrim=start=${formatSeconds(audio.musicStart)}`,
+      "asetpts=PTS-STARTPTS",
+    );
+  }
+  musicFilters.push(`volume=${audio.musicVolume}`);
+  if (audio.fadeIn > 0) {
+    musicFilters.push(
+      `afade=t=in:st=0:d=${formatSeconds(Math.min(audio.fadeIn, duration))}`,
+    );
+  }
+  if (audio.fadeOut > 0) {
+    const fadeOut = Math.min(audio.fadeOut, duration);
+    musicFilters.push(
+      `afade=t=out:st=${formatSeconds(duration - fadeOut)}:d=${formatSeconds(fadeOut)}`,
+    );
+  }
+
+  if (!clipAudio) {
+    return `[${music}]${musicFilters.join(",")}[${outputLabel}]`;
+  }
+
+  const graph = [
+    `[${music}]${musicFilters.join(",")}[musicbed]`,
+    `[${clipAudio}]volume=${audio.clipVolume}[clipbed]`,
+  ];
+  let musicLabel = "musicbed";
+  let clipLabel = "clipbed";
+
+  if (audio.ducking) {
+    graph.push(
+      "[clipbed]asplit=2[clipmix][clipkey]",
+      "[musicbed][clipkey]sidechaincompress=threshold=0.05:ratio=8:attack=20:release=400[musicducked]",
+    );
+    musicLabel = "musicducked";
+    clipLabel = "clipmix";
+  }
+
+  // The music loops forever, so the clip audio decides when the mix ends
+  graph.push(
+    `[${clipLabel}][${musicLabel}]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[${outputLabel}]`,
+  );
+  return graph.join(";");
+}
+
+module.exports = {
+  AUDIO_MODES,
+  CLIP_AUDIO_CHANNEL_LAYOUT,
+  CLIP_AUDIO_SAMPLE_RATE,
+  DEFAULT_AUDIO,
+  buildAudioMixFilter,
+  parseAudioOptions,
+  usesClipAudio,
+  usesMusic,
+};
@@ -1,4 +1,21 @@
 const crypto = require("crypto");
+const net = require("net");
+
+// FFmpeg binary: the one bundled by ffmpeg-static, else ffmpeg on the PATH
+let ffmpegPath;
+try {
+  ffmpegPath = require("ffmpeg-static") || "ffmpeg";
+} catch {
+  ffmpegPath = "ffmpeg";
+}
+
+// ffprobe binary: the one bundled by ffprobe-static, else ffprobe on the PATH
+let ffprobePath;
+try {
+  ffprobePath = require("ffprobe-static").path || "ffprobe";
+} catch {
+  ffprobePath = "ffprobe";
+}
 
 const RETRYABLE_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504]);
 const RETRYABLE_ERROR_CODES = new Set([
@@ -206,8 +223,131 @@ async function retryAsync(operation, options = {}) {
   throw lastError;
 }
 
+// Limit how many tasks run at once. Returns limit(task), which resolves with
+// the task's result; queued tasks start in the order they were added.
+function createConcurrencyLimit(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const startNext = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        startNext();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      startNext();
+    });
+}
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, none
+// of which a user-supplied URL may point the server at. BlockList checks
+// IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const NON_PUBLIC_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) =>
+  NON_PUBLIC_NETWORKS.addSubnet(address, prefix, "ipv4"),
+);
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  NON_PUBLIC_NETWORKS.addSubnet(address, prefix, "ipv6"),
+);
+
+function isPublicAddress(address) {
+  const family = net.isIPv4(address)
+    ? "ipv4"
+    : net.isIPv6(address)
+      ? "ipv6"
+      : null;
+  return Boolean(family) && !NON_PUBLIC_NETWORKS.check(address, family);
+}
+
+const SECRET_KEY_INFO = "365moments session secret";
+
+function deriveSecretKey(secret) {
+  return Buffer.from(
+    crypto.hkdfSync("sha256", String(secret), "", SECRET_KEY_INFO, 32),
+  );
+}
+
+// Encrypt a value (such as a password) for keeping in the session store,
+// with a key derived from the session secret
+function encryptSecret(value, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveSecretKey(secret),
+    iv,
+  );
+  const encrypted = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+// The value sealed by encryptSecret, or null when it was tampered with,
+// sealed with another secret or is not an encrypted value at all
+function decryptSecret(sealed, secret) {
+  if (typeof sealed !== "string") return null;
+  const parts = sealed.split(".");
+  if (parts.length !== 3) return null;
+
+  try {
+    const [iv, authTag, encrypted] = parts.map((part) =>
+      Buffer.from(part, "base64url"),
+    );
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveSecretKey(secret),
+      iv,
+    );
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
 module.exports = {
+  createConcurrencyLimit,
+  decryptSecret,
+  encryptSecret,
+  ffmpegPath,
+  ffprobePath,
   getRequestLogContext,
+  isPublicAddress,
   isRetryableError,
   logError,
   logInfo,
@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Beat analyses of music tracks, one JSON file per track version, so a track
+// is decoded and analysed once however many compilations use it. Reading an
+// entry refreshes its mtime; the sweep drops entries unused for a while.
+class BeatAnalysisStore {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+    this.ensureDirectory();
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.dirPath)) {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+    }
+  }
+
+  // Key for a list of JSON-serializable parts (analysis version, account,
+  // track id and version)
+  keyFor(parts) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(parts))
+      .digest("hex");
+  }
+
+  filePathFor(key) {
+    return path.join(this.dirPath, `${key}.json`);
+  }
+
+  get(key) {
+    const filePath = this.filePathFor(key);
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (!parsed || !Array.isArray(parsed.beats)) {
+        return null;
+      }
+
+      const now = new Date();
+      fs.utimesSync(filePath, now, now);
+      return parsed;
+    } catch {
+      return null;
+    }
+  }
+
+  set(key, analysis) {
+    this.ensureDirectory();
+    const filePath = this.filePathFor(key);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(analysis), "utf8");
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+    return analysis;
+  }
+
+  // Drop analyses (and abandoned writes) not used for maxAgeMs. Returns the
+  // number of files removed.
+  sweep(maxAgeMs, now = Date.now()) {
+    this.ensureDirectory();
+    let removedFiles = 0;
+
+    for (const entry of fs.readdirSync(this.dirPath)) {
+      if (!entry.endsWith(".json") && !entry.endsWith(".tmp")) continue;
+      const filePath = path.join(this.dirPath, entry);
+
+      try {
+        if (now - fs.statSync(filePath).mtimeMs > maxAgeMs) {
+          fs.rmSync(filePath, { force: true });
+          removedFiles += 1;
+        }
+      } catch {
+        // Removed concurrently
+      }
+    }
+
+    return removedFiles;
+  }
+}
+
+module.exports = {
+  BeatAnalysisStore,
+};
@@ -0,0 +1,428 @@
+// Beat-synced cuts: onset and tempo analysis of a music track, decoded with
+// FFmpeg and analysed in-process, and the clip durations that follow its beats
+const { spawn } = require("child_process");
+const { ffmpegPath } = require("./backend-utils");
+const {
+  parseEnum,
+  parseNumberInRange,
+  parseOptionFields,
+} = require("./request-options");
+
+const BEAT_SYNC_MODES = ["off", "nearest", "multiple"];
+const MIN_BEATS_PER_CLIP = 1;
+const MAX_BEATS_PER_CLIP = 16;
+
+const DEFAULT_BEAT_SYNC = {
+  mode: "off",
+  // Beats per clip in "multiple" mode
+  beatsPerClip: 2,
+};
+
+// Bump when the analysis below changes, so cached analyses are redone
+const BEAT_ANALYSIS_VERSION = 1;
+const ANALYSIS_SAMPLE_RATE = 11025;
+const FRAME_SIZE = 512;
+const HOP_SIZE = 256;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+// Tempo estimates lean towards this, the way listeners tap along
+const PREFERRED_BPM = 120;
+// How strongly beat tracking sticks to the estimated tempo
+const BEAT_TIGHTNESS = 100;
+const DECODE_TIMEOUT_MS = 5 * 60 * 1000;
+// Cuts never come closer together than this
+const MIN_CUT_INTERVAL = 0.25;
+
+// `beatSync`: how clip cuts follow the music's beat
+function parseBeatSyncOptions(raw) {
+  return parseOptionFields(raw, "beatSync", DEFAULT_BEAT_SYNC, {
+    mode: (value, field) => parseEnum(value, field, BEAT_SYNC_MODES),
+    beatsPerClip: (value, field) =>
+      parseNumberInRange(value, field, MIN_BEATS_PER_CLIP, MAX_BEATS_PER_CLIP, {
+        integer: true,
+      }),
+  });
+}
+
+function isBeatSyncEnabled(beatSync) {
+  return Boolean(beatSync && beatSync.mode !== "off");
+}
+
+// Radix-2 FFT of a fixed size. Returns a function writing the spectrum of
+// `input` into its own re/im buffers.
+function createFft(size) {
+  const levels = Math.log2(size);
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let bit = 0; bit < levels; bit++) {
+      r = (r << 1) | ((i >> bit) & 1);
+    }
+    reversed[i] = r;
+  }
+
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let k = 0; k < size / 2; k++) {
+    cos[k] = Math.cos((2 * Math.PI * k) / size);
+    sin[k] = -Math.sin((2 * Math.PI * k) / size);
+  }
+
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+
+  return (input) => {
+    for (let i = 0; i < size; i++) {
+      re[reversed[i]] = input[i];
+      im[reversed[i]] = 0;
+    }
+
+    for (let half = 1; half < size; half *= 2) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const a = start + k;
+          const b = a + half;
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const tr = wr * re[b] - wi * im[b];
+          const ti = wr * im[b] + wi * re[b];
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+
+    return { re, im };
+  };
+}
+
+// Spectral flux of mono samples pushed in chunks: how much louder each
+// frequency got since the previous frame, one value per hop
+class OnsetDetector {
+  constructor({ frameSize = FRAME_SIZE, hopSize = HOP_SIZE } = {}) {
+    this.frameSize = frameSize;
+    this.hopSize = hopSize;
+    this.fft = createFft(frameSize);
+    this.window = Float64Array.from(
+      { length: frameSize },
+      (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize),
+    );
+    this.buffer = new Float64Array(frameSize);
+    this.frame = new Float64Array(frameSize);
+    this.filled = 0;
+    this.previous = null;
+    this.values = [];
+  }
+
+  push(samples) {
+    for (let i = 0; i < samples.length; i++) {
+      this.buffer[this.filled++] = samples[i];
+      if (this.filled === this.frameSize) {
+        this.processFrame();
+        this.buffer.copyWithin(0, this.hopSize);
+        this.filled -= this.hopSize;
+      }
+    }
+  }
+
+  processFrame() {
+    for (let i = 0; i < this.frameSize; i++) {
+      this.frame[i] = this.buffer[i] * this.window[i];
+    }
+
+    const { re, im } = this.fft(this.frame);
+    const bins = this.frameSize / 2 + 1;
+    const magnitudes = new Float64Array(bins);
+    let flux = 0;
+    for (let k = 0; k < bins; k++) {
+      // Log compression keeps quiet instruments from being drowned out
+      magnitudes[k] = Math.log1p(
+        100 * Math.sqrt(re[k] * re[k] + im[k] * im[k]),
+      );
+      if (this.previous) {
+        flux += Math.max(0, magnitudes[k] - this.previous[k]);
+      }
+    }
+
+    this.values.push(flux);
+    this.previous = magnitudes;
+  }
+}
+
+// Onset strength with the slowly changing loudness removed and scaled to unit
+// deviation, so tempo and beat scores do not depend on the track's volume
+function normalizeOnsets(values, frameRate) {
+  const radius = Math.max(1, Math.round(frameRate / 2));
+  const prefix = new Float64Array(values.length + 1);
+  values.forEach((value, i) => {
+    prefix[i + 1] = prefix[i] + value;
+  });
+
+  const highPassed = values.map((value, i) => {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(values.length, i + radius + 1);
+    return Math.max(0, value - (prefix[to] - prefix[from]) / (to - from));
+  });
+
+  const mean =
+    highPassed.reduce((sum, value) => sum + value, 0) /
+    Math.max(1, highPassed.length);
+  const deviation = Math.sqrt(
+    highPassed.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+      Math.max(1, highPassed.length),
+  );
+  return deviation > 0
+    ? highPassed.map((value) => value / deviation)
+    : highPassed;
+}
+
+// Beat period in frames (fractional), from the autocorrelation of the onset
+// envelope weighted towards PREFERRED_BPM. Null when nothing repeats.
+function estimateBeatPeriod(envelope, frameRate) {
+  const minLag = Math.max(1, Math.floor((frameRate * 60) / MAX_BPM));
+  const maxLag = Math.ceil((frameRate * 60) / MIN_BPM);
+  if (envelope.length <= maxLag + 1) return null;
+
+  const scores = new Map();
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < envelope.length; i++) {
+      sum += envelope[i] * envelope[i + lag];
+    }
+    const bpm = (frameRate * 60) / lag;
+    const weight = Math.exp(-0.5 * (Math.log2(bpm / PREFERRED_BPM) / 0.9) ** 2);
+    scores.set(lag, (sum / (envelope.length - lag)) * weight);
+  }
+
+  let bestLag = null;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (bestLag === null || scores.get(lag) > scores.get(bestLag)) {
+      bestLag = lag;
+    }
+  }
+  if (!(scores.get(bestLag) > 0)) return null;
+
+  // Parabolic interpolation between neighbouring lags
+  const before = scores.get(bestLag - 1);
+  const peak = scores.get(bestLag);
+  const after = scores.get(bestLag + 1);
+  const curvature = before - 2 * peak + after;
+  const shift = curvature < 0 ? (0.5 * (before - after)) / curvature : 0;
+  return bestLag + Math.max(-0.5, Math.min(0.5, shift));
+}
+
+// Beat frames by dynamic programming: each beat is an onset that best
+// continues a chain of beats roughly one period apart
+function trackBeats(envelope, period) {
+  const scores = new Float64Array(envelope.length);
+  const previous = new Int32Array(envelope.length).fill(-1);
+  const minGap = Math.max(1, Math.round(period / 2));
+  const maxGap = Math.round(period * 2);
+
+  for (let t = 0; t < envelope.length; t++) {
+    let best = 0;
+    for (let gap = minGap; gap <= maxGap && t - gap >= 0; gap++) {
+      const score =
+        scores[t - gap] - BEAT_TIGHTNESS * Math.log(gap / period) ** 2;
+      if (previous[t] === -1 || score > best) {
+        best = score;
+        previous[t] = t - gap;
+      }
+    }
+    scores[t] = envelope[t] + Math.max(0, best);
+    if (best <= 0) previous[t] = -1;
+  }
+
+  // End on the best-scoring frame of the final period
+  let last = Math.max(0, envelope.length - Math.ceil(period));
+  for (let t = last; t < envelope.length; t++) {
+    if (scores[t] > scores[last]) last = t;
+  }
+
+  const beats = [];
+  for (let t = last; t >= 0; t = previous[t]) {
+    beats.unshift(t);
+  }
+  return beats;
+}
+
+function roundTime(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Tempo and beat times (seconds) of an onset envelope sampled at frameRate.
+// `offset` is the time of the first value, e.g. the centre of its frame.
+function analyzeOnsets(values, frameRate, { offset = 0 } = {}) {
+  const envelope = normalizeOnsets(values, frameRate);
+  const periodFrames = estimateBeatPeriod(envelope, frameRate);
+  if (!periodFrames) {
+    return { bpm: null, period: null, beats: [] };
+  }
+
+  return {
+    bpm: Math.round(((frameRate * 60) / periodFrames) * 10) / 10,
+    period: roundTime(periodFrames / frameRate),
+    beats: trackBeats(envelope, periodFrames).map((frame) =>
+      roundTime(offset + frame / frameRate),
+    ),
+  };
+}
+
+// Decode a music file to mono samples with FFmpeg and find its beats.
+// Resolves { version, duration, bpm, period, beats }; bpm and period are null
+// when the track has no steady beat. Aborting `signal` kills the decoder.
+function analyzeBeats(filePath, { signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn(
+      ffmpegPath,
+      [
+        "-v",
+        "error",
+        "-i",
+        filePath,
+        "-vn",
+        "-ac",
+        "1",
+        "-ar",
+        String(ANALYSIS_SAMPLE_RATE),
+        "-f",
+        "f32le",
+        "pipe:1",
+      ],
+      signal ? { signal } : {},
+    );
+    const detector = new OnsetDetector();
+    let sampleCount = 0;
+    let remainder = Buffer.alloc(0);
+    let stderrTail = "";
+
+    const timeout = setTimeout(() => {
+      ffmpegProcess.kill("SIGKILL");
+      reject(new Error("FFmpeg timed out while decoding the music"));
+    }, DECODE_TIMEOUT_MS);
+
+    ffmpegProcess.stdout.on("data", (data) => {
+      const bytes = remainder.length ? Buffer.concat([remainder, data]) : data;
+      const usable = bytes.length - (bytes.length % 4);
+      const samples = new Float32Array(usable / 4);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = bytes.readFloatLE(i * 4);
+      }
+      remainder = bytes.subarray(usable);
+      sampleCount += samples.length;
+      detector.push(samples);
+    });
+    ffmpegProcess.stderr.on("data", (data) => {
+      stderrTail = (stderrTail + data.toString()).slice(-2000);
+    });
+
+    ffmpegProcess.on("close", (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) {
+        reject(
+          new Error(`FFmpeg music decoding exited with code ${code}`, {
+            cause: stderrTail || undefined,
+          }),
+        );
+        return;
+      }
+
+      resolve({
+        version: BEAT_ANALYSIS_VERSION,
+        duration: roundTime(sampleCount / ANALYSIS_SAMPLE_RATE),
+        ...analyzeOnsets(detector.values, ANALYSIS_SAMPLE_RATE / HOP_SIZE, {
+          offset: FRAME_SIZE / 2 / ANALYSIS_SAMPLE_RATE,
+        }),
+      });
+    });
+    ffmpegProcess.on("error", (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+  });
+}
+
+// Beat times relative to the music start (video time). Past the last
+// detected beat, beats continue at the estimated tempo; that also covers the
+// music looping under a long video, if not exactly.
+function createBeatGrid({ beats, period }, start) {
+  const grid = beats.map((time) => time - start).filter((time) => time > 0);
+  let last = grid.length ? grid.at(-1) : (beats.at(-1) ?? 0) - start;
+
+  return (index) => {
+    while (grid.length <= index) {
+      last += period;
+      if (last > 0) grid.push(last);
+    }
+    return grid[index];
+  };
+}
+
+// Duration of each of `clipCount` clips so every cut lands on a beat of the
+// analysed track, played from `start` seconds in. "nearest" cuts on the beat
+// nearest to each `clipDuration` mark; "multiple" makes every clip last
+// `beatsPerClip` beats. Cuts are rounded to whole video frames so they do not
+// drift. Returns null when the track has no beat to follow.
+function planBeatSyncedDurations(
+  analysis,
+  {
+    clipCount,
+    start = 0,
+    mode,
+    beatsPerClip = DEFAULT_BEAT_SYNC.beatsPerClip,
+    clipDuration = 1,
+    minDuration = MIN_CUT_INTERVAL,
+    fps = 30,
+  },
+) {
+  if (!analysis?.period || !(analysis.beats?.length > 0)) {
+    return null;
+  }
+
+  const beatAt = createBeatGrid(analysis, start);
+  const cutFrames = [];
+  let cut = 0;
+  let index = 0;
+
+  for (let clip = 0; clip < clipCount; clip++) {
+    // First beat that leaves the clip long enough
+    while (beatAt(index) < cut + minDuration) index++;
+
+    let chosen = index;
+    if (mode === "multiple") {
+      chosen = index + beatsPerClip - 1;
+    } else {
+      const target = cut + clipDuration;
+      while (
+        Math.abs(beatAt(chosen + 1) - target) <
+        Math.abs(beatAt(chosen) - target)
+      ) {
+        chosen++;
+      }
+    }
+
+    cut = beatAt(chosen);
+    index = chosen + 1;
+    cutFrames.push(Math.round(cut * fps));
+  }
+
+  return cutFrames.map(
+    (frames, clip) => (frames - (clip > 0 ? cutFrames[clip - 1] : 0)) / fps,
+  );
+}
+
+module.exports = {
+  BEAT_ANALYSIS_VERSION,
+  BEAT_SYNC_MODES,
+  DEFAULT_BEAT_SYNC,
+  MIN_CUT_INTERVAL,
+  OnsetDetector,
+  analyzeBeats,
+  analyzeOnsets,
+  isBeatSyncEnabled,
+  parseBeatSyncOptions,
+  planBeatSyncedDurations,
+};
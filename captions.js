@@ -0,0 +1,40 @@
+// Per-day captions, kept in one captions.json file in the app folder
+const { readDayRecords, saveDayRecord } = require("./day-records");
+
+const CAPTIONS_FILE_NAME = "captions.json";
+const MAX_CAPTION_LENGTH = 500;
+
+// Returns the trimmed caption ("" clears it) or null when invalid
+function normalizeCaption(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const caption = value.replace(/\r\n?/g, "\n").trim();
+  return caption.length <= MAX_CAPTION_LENGTH ? caption : null;
+}
+
+// Read { "YYYY-MM-DD": { caption, updatedAt } } from a folder listing
+function readCaptions(storage, files) {
+  return readDayRecords(storage, files, CAPTIONS_FILE_NAME);
+}
+
+// Set or clear (empty caption) the caption for one day
+function saveCaption(storage, folderId, date, caption, { tempDir }) {
+  return saveDayRecord(
+    storage,
+    folderId,
+    CAPTIONS_FILE_NAME,
+    date,
+    caption ? { caption, updatedAt: new Date().toISOString() } : null,
+    { tempDir },
+  );
+}
+
+module.exports = {
+  CAPTIONS_FILE_NAME,
+  MAX_CAPTION_LENGTH,
+  normalizeCaption,
+  readCaptions,
+  saveCaption,
+};
@@ -0,0 +1,69 @@
+// Full-frame text cards shown in place of clips: missed days and the intro
+// and outro of a compilation
+const fs = require("fs");
+const { escapeFilterValue, getFontFile, wrapText } = require("./overlays");
+
+const CARD_BACKGROUND = "0x111111";
+// Sizes are given for a 1080-line frame and scaled like overlay text
+const REFERENCE_HEIGHT = 1080;
+const MAX_ROWS_PER_LINE = 3;
+
+// Write the text of a card and return its drawtext filters. `lines` are
+// { text, size, color } from top to bottom; long lines wrap onto rows of
+// their own, and the whole block is centred on the frame.
+function buildCardFilters(lines, { width, height, textFilePrefix }) {
+  const scale = Math.min(width, height) / REFERENCE_HEIGHT;
+  const margin = Math.round(Math.min(width, height) * 0.08);
+
+  const rows = [];
+  for (const line of lines) {
+    const size = Math.round(line.size * scale);
+    // Average glyph width is a little over half the font size
+    const maxChars = Math.max(
+      10,
+      Math.floor((width - margin * 2) / (size * 0.6)),
+    );
+    wrapText(line.text, maxChars)
+      .slice(0, MAX_ROWS_PER_LINE)
+      .forEach((text, index) => {
+        rows.push({
+          text,
+          size,
+          color: line.color || "white",
+          // Lines are further apart than the rows of a wrapped line
+          spaceBefore: Math.round(size * (index === 0 ? 0.6 : 0.25)),
+        });
+      });
+  }
+  if (rows.length) rows[0].spaceBefore = 0;
+
+  const blockHeight = rows.reduce(
+    (sum, row) => sum + row.spaceBefore + row.size,
+    0,
+  );
+  let y = Math.round((height - blockHeight) / 2);
+
+  const fontFile = getFontFile();
+  return rows.map((row, index) => {
+    y += row.spaceBefore;
+    const textFile = `${textFilePrefix}-${index}.txt`;
+    fs.writeFileSync(textFile, row.text, "utf8");
+
+    const options = [
+      fontFile ? `fontfile=${escapeFilterValue(fontFile)}` : "font=Sans",
+      `textfile=${escapeFilterValue(textFile)}`,
+      "expansion=none",
+      `fontsize=${row.size}`,
+      `fontcolor=${row.color}`,
+      "x=(w-text_w)/2",
+      `y=${y}`,
+    ];
+    y += row.size;
+    return `drawtext=${options.join(":")}`;
+  });
+}
+
+module.exports = {
+  CARD_BACKGROUND,
+  buildCardFilters,
+};
@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const CLIP_FILE_PATTERN = /^[0-9a-f]{64}\.mp4$/;
+// Partial writes left behind by a crash are removed after this long
+const PARTIAL_FILE_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Content-addressed cache of normalized clips. Each entry is one MP4 named
+// after the hash of everything that went into rendering it; an entry's mtime
+// is refreshed on every hit, so the sweep evicts the least recently used.
+class ClipCache {
+  constructor(dirPath, { maxBytes }) {
+    this.dirPath = dirPath;
+    this.maxBytes = maxBytes;
+    this.ensureDirectory();
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.dirPath)) {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+    }
+  }
+
+  // Key for a list of JSON-serializable parts; any change to a part (file
+  // version, output size, overlay text, ...) yields a different entry
+  keyFor(parts) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(parts))
+      .digest("hex");
+  }
+
+  filePathFor(key) {
+    return path.join(this.dirPath, `${key}.mp4`);
+  }
+
+  // Place the cached clip for `key` at targetPath. Resolves false on a miss.
+  // The entry is linked (or copied) so a later eviction cannot pull it out
+  // from under a running compilation.
+  async restore(key, targetPath) {
+    const filePath = this.filePathFor(key);
+
+    try {
+      const now = new Date();
+      await fs.promises.utimes(filePath, now, now);
+      await fs.promises.link(filePath, targetPath).catch((error) => {
+        if (error.code === "ENOENT") throw error;
+        return fs.promises.copyFile(filePath, targetPath);
+      });
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  // Store a rendered clip under `key`, leaving sourcePath in place
+  async store(key, sourcePath) {
+    this.ensureDirectory();
+    const filePath = this.filePathFor(key);
+    const partialPath = `${filePath}.${crypto.randomUUID()}.partial`;
+
+    try {
+      await fs.promises.copyFile(sourcePath, partialPath);
+      await fs.promises.rename(partialPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      throw error;
+    }
+  }
+
+  // Evict least recently used clips until the cache fits in maxBytes and
+  // drop abandoned partial writes. Returns what was removed.
+  sweep(now = Date.now()) {
+    this.ensureDirectory();
+    const entries = [];
+    let totalBytes = 0;
+    let removedFiles = 0;
+    let removedBytes = 0;
+
+    for (const name of fs.readdirSync(this.dirPath)) {
+      const filePath = path.join(this.dirPath, name);
+
+      try {
+        const stats = fs.statSync(filePath);
+        if (name.endsWith(".partial")) {
+          if (now - stats.mtimeMs > PARTIAL_FILE_MAX_AGE_MS) {
+            fs.rmSync(filePath, { force: true });
+          }
+          continue;
+        }
+
+        if (CLIP_FILE_PATTERN.test(name)) {
+          entries.push({ filePath, size: stats.size, usedAt: stats.mtimeMs });
+          totalBytes += stats.size;
+        }
+      } catch {
+        // Removed concurrently
+      }
+    }
+
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    for (const entry of entries) {
+      if (totalBytes <= this.maxBytes) break;
+
+      fs.rmSync(entry.filePath, { force: true });
+      totalBytes -= entry.size;
+      removedFiles += 1;
+      removedBytes += entry.size;
+    }
+
+    return { removedFiles, removedBytes, totalBytes };
+  }
+}
+
+module.exports = {
+  ClipCache,
+};
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Persists each storage-folder index of a user as its own JSON file, so a
+// large library for one user never has to be rewritten for another. Keys are
+// opaque; storage/indexed.js uses "<user key>:<folder id>".
+class ClipIndexStore {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+    this.indexes = new Map();
+    this.ensureDirectory();
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.dirPath)) {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+    }
+  }
+
+  filePathFor(userKey) {
+    const hash = crypto.createHash("sha256").update(userKey).digest("hex");
+    return path.join(this.dirPath, `${hash.slice(0, 32)}.json`);
+  }
+
+  get(userKey) {
+    if (this.indexes.has(userKey)) {
+      return this.indexes.get(userKey);
+    }
+
+    const filePath = this.filePathFor(userKey);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (!parsed || typeof parsed.files !== "object") {
+        return null;
+      }
+
+      this.indexes.set(userKey, parsed);
+      return parsed;
+    } catch {
+      return null;
+    }
+  }
+
+  set(userKey, index) {
+    this.ensureDirectory();
+    const filePath = this.filePathFor(userKey);
+    const tempPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(index), "utf8");
+    fs.renameSync(tempPath, filePath);
+    this.indexes.set(userKey, index);
+    return index;
+  }
+
+  delete(userKey) {
+    this.indexes.delete(userKey);
+    fs.rmSync(this.filePathFor(userKey), { force: true });
+  }
+
+  // Drop indexes that have not been synced for maxAgeMs
+  sweep(maxAgeMs, now = Date.now()) {
+    this.ensureDirectory();
+
+    for (const entry of fs.readdirSync(this.dirPath)) {
+      if (!entry.endsWith(".json")) continue;
+      const filePath = path.join(this.dirPath, entry);
+
+      try {
+        if (now - fs.statSync(filePath).mtimeMs > maxAgeMs) {
+          fs.rmSync(filePath, { force: true });
+        }
+      } catch {
+        // Removed concurrently
+      }
+    }
+
+    for (const [userKey, index] of this.indexes.entries()) {
+      const syncedAt = Date.parse(index.syncedAt);
+      if (Number.isNaN(syncedAt) || now - syncedAt > maxAgeMs) {
+        this.indexes.delete(userKey);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ClipIndexStore,
+};
@@ -1,6 +1,10 @@
 const fs = require("fs");
 const path = require("path");
 
+// Compilation jobs by job id. Each job records the `userId` it belongs to, so
+// a user can have several jobs queued or finished at once. Only changes of
+// status are written to disk: progress is reported many times a second, and
+// jobs still running when the server stops are failed on the next start.
 class CompilationJobStore {
   constructor(filePath) {
     this.filePath = filePath;
@@ -32,10 +36,19 @@ class CompilationJobStore {
         return;
       }
 
+      // Files written before jobs had their own ids hold { userId, job }
       this.jobs = new Map(
         parsed
-          .filter((entry) => entry && typeof entry.userId === "string")
-          .map((entry) => [entry.userId, entry.job]),
+          .map((entry) =>
+            entry?.job ? { ...entry.job, userId: entry.userId } : entry,
+          )
+          .filter(
+            (job) =>
+              job &&
+              typeof job.id === "string" &&
+              typeof job.userId === "string",
+          )
+          .map((job) => [job.id, job]),
       );
     } catch {
       this.jobs = new Map();
@@ -45,52 +58,54 @@ class CompilationJobStore {
   save() {
     this.ensureDirectory();
     const tempPath = `${this.filePath}.tmp`;
-    const payload = JSON.stringify(
-      Array.from(this.jobs.entries()).map(([userId, job]) => ({
-        userId,
-        job,
-      })),
-      null,
-      2,
-    );
+    const payload = JSON.stringify(Array.from(this.jobs.values()));
 
     fs.writeFileSync(tempPath, payload, "utf8");
     fs.renameSync(tempPath, this.filePath);
   }
 
-  get(userId) {
-    return this.jobs.get(userId) || null;
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
   }
 
-  set(userId, job) {
-    this.jobs.set(userId, job);
+  set(jobId, job) {
+    this.jobs.set(jobId, job);
     this.save();
     return job;
   }
 
-  update(userId, updater) {
-    const currentJob = this.get(userId);
+  update(jobId, updater) {
+    const currentJob = this.get(jobId);
     const nextJob = updater(currentJob);
 
     if (!nextJob) {
-      this.jobs.delete(userId);
+      this.jobs.delete(jobId);
       this.save();
       return null;
     }
 
-    this.jobs.set(userId, nextJob);
-    this.save();
+    this.jobs.set(jobId, nextJob);
+    if (nextJob.status !== currentJob?.status) {
+      this.save();
+    }
     return nextJob;
   }
 
-  delete(userId) {
-    const deleted = this.jobs.delete(userId);
+  delete(jobId) {
+    const deleted = this.jobs.delete(jobId);
     if (deleted) {
       this.save();
     }
     return deleted;
   }
 
+  // A user's jobs, oldest first
+  listForUser(userId) {
+    return Array.from(this.jobs.values())
+      .filter((job) => job.userId === userId)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
   entries() {
     return this.jobs.entries();
   }
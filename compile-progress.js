@@ -0,0 +1,116 @@
+// Structured progress of a compilation: the phase it is in, how far along that
+// phase is, and the overall percentage and time left. Phases are weighted by
+// their usual share of a compilation's running time.
+const COMPILE_PHASES = [
+  { id: "fetching", weight: 5 },
+  { id: "preparing", weight: 60 },
+  { id: "rendering", weight: 5 },
+  { id: "compiling", weight: 25 },
+  { id: "saving", weight: 5 },
+];
+// Too early an estimate swings wildly, so none is given below this share
+const MIN_ETA_FRACTION = 0.05;
+
+const clampFraction = (value) =>
+  Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+
+class CompileProgress {
+  // `now` returns the time in milliseconds, for tests
+  constructor({ phases = COMPILE_PHASES, now = Date.now } = {}) {
+    this.phases = phases;
+    this.now = now;
+    this.startedAt = now();
+    this.phaseIndex = 0;
+    this.phaseFraction = 0;
+  }
+
+  // Move on to a phase. Phases in between, which this compilation does not
+  // need, count as done.
+  start(phaseId) {
+    const index = this.phases.findIndex((phase) => phase.id === phaseId);
+    if (index === -1) {
+      throw new Error(`Unknown compile phase: ${phaseId}`);
+    }
+
+    this.phaseIndex = index;
+    this.phaseFraction = 0;
+  }
+
+  // How far the current phase is, from 0 to 1. Progress never goes back.
+  update(fraction) {
+    this.phaseFraction = Math.max(this.phaseFraction, clampFraction(fraction));
+  }
+
+  // Share of the whole compilation done, from 0 to 1
+  get fraction() {
+    const totalWeight = this.phases.reduce(
+      (sum, phase) => sum + phase.weight,
+      0,
+    );
+    const doneWeight = this.phases
+      .slice(0, this.phaseIndex)
+      .reduce((sum, phase) => sum + phase.weight, 0);
+    const current = this.phases[this.phaseIndex].weight * this.phaseFraction;
+    return totalWeight > 0 ? (doneWeight + current) / totalWeight : 0;
+  }
+
+  // Seconds left at the pace so far, or null while it is too early to tell
+  get etaSeconds() {
+    const fraction = this.fraction;
+    const elapsedSeconds = (this.now() - this.startedAt) / 1000;
+    if (fraction < MIN_ETA_FRACTION || elapsedSeconds <= 0) {
+      return null;
+    }
+
+    return Math.round((elapsedSeconds * (1 - fraction)) / fraction);
+  }
+
+  snapshot() {
+    const phase = this.phases[this.phaseIndex];
+    return {
+      phase: phase.id,
+      phasePercent: Math.floor(this.phaseFraction * 100),
+      percent: Math.floor(this.fraction * 100),
+      etaSeconds: this.etaSeconds,
+    };
+  }
+}
+
+// Time offsets FFmpeg's `-progress` output reports in microseconds; older
+// versions misname `out_time_us` as `out_time_ms`
+const FFMPEG_PROGRESS_TIME_KEYS = ["out_time_us", "out_time_ms"];
+
+// Parser for the key=value lines FFmpeg writes with `-progress`. Feed it the
+// output in chunks; `onTime(seconds)` hears how much of the output has been
+// written after each complete progress block.
+function createFfmpegProgressParser(onTime) {
+  let pending = "";
+  let seconds = null;
+
+  return (chunk) => {
+    const lines = (pending + chunk.toString()).split("\n");
+    pending = lines.pop();
+
+    for (const line of lines) {
+      const separator = line.indexOf("=");
+      if (separator === -1) continue;
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+
+      if (FFMPEG_PROGRESS_TIME_KEYS.includes(key)) {
+        const micros = Number(value);
+        if (value && Number.isFinite(micros) && micros >= 0) {
+          seconds = micros / 1e6;
+        }
+      } else if (key === "progress" && seconds !== null) {
+        onTime(seconds);
+      }
+    }
+  };
+}
+
+module.exports = {
+  COMPILE_PHASES,
+  CompileProgress,
+  createFfmpegProgressParser,
+};
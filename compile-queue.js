@@ -0,0 +1,71 @@
+// First-in, first-out queue of compilation jobs with a server-wide cap on how
+// many run at once. The queue only orders jobs; their state lives in the
+// CompilationJobStore.
+class CompileQueue {
+  // `onError(jobId, error)` hears about jobs whose run rejected
+  constructor({ concurrency = 1, onError = null } = {}) {
+    this.concurrency = concurrency;
+    this.onError = onError;
+    this.waiting = [];
+    this.running = new Set();
+  }
+
+  // Queue `run` (an async function) for a job. Returns its position, 0 when
+  // it started straight away.
+  enqueue(jobId, run) {
+    this.waiting.push({ jobId, run });
+    this.startNext();
+    return this.positionOf(jobId);
+  }
+
+  // 1 for the next job to start, 0 while running, null when not queued
+  positionOf(jobId) {
+    if (this.running.has(jobId)) {
+      return 0;
+    }
+
+    const index = this.waiting.findIndex((entry) => entry.jobId === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Take a job out of the queue before it starts. Returns whether it was
+  // waiting.
+  remove(jobId) {
+    const index = this.waiting.findIndex((entry) => entry.jobId === jobId);
+    if (index === -1) {
+      return false;
+    }
+
+    this.waiting.splice(index, 1);
+    return true;
+  }
+
+  has(jobId) {
+    return this.positionOf(jobId) !== null;
+  }
+
+  get size() {
+    return this.waiting.length + this.running.size;
+  }
+
+  startNext() {
+    while (this.running.size < this.concurrency && this.waiting.length) {
+      const { jobId, run } = this.waiting.shift();
+      this.running.add(jobId);
+
+      Promise.resolve()
+        .then(run)
+        .catch((error) => {
+          if (this.onError) this.onError(jobId, error);
+        })
+        .finally(() => {
+          this.running.delete(jobId);
+          this.startNext();
+        });
+    }
+  }
+}
+
+module.exports = {
+  CompileQueue,
+};
@@ -1,25 +1,116 @@
 // Video Compilation Service using FFmpeg
-const { google } = require("googleapis");
 const { spawn } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { pipeline } = require("stream/promises");
 const crypto = require("crypto");
+const os = require("os");
 const {
+  createConcurrencyLimit,
+  ffmpegPath,
   logError,
   logInfo,
-  retryAsync,
   serializeError,
 } = require("./backend-utils");
+const { readCaptions } = require("./captions");
+const { buildFramingFilter } = require("./framing");
+const {
+  CLIP_AUDIO_CHANNEL_LAYOUT,
+  CLIP_AUDIO_SAMPLE_RATE,
+  DEFAULT_AUDIO,
+  buildAudioMixFilter,
+  usesClipAudio,
+  usesMusic,
+} = require("./audio-mix");
+const {
+  BEAT_ANALYSIS_VERSION,
+  MIN_CUT_INTERVAL,
+  analyzeBeats,
+  isBeatSyncEnabled,
+  planBeatSyncedDurations,
+} = require("./beat-sync");
+const { checkStreamCopy, probeMedia } = require("./media-probe");
+const { probeMusic } = require("./music");
+const { getOutputPreset } = require("./output-presets");
+const {
+  buildOverlayFilters,
+  getFontFile,
+  isOverlayEnabled,
+} = require("./overlays");
+const {
+  buildTransitionAudioFilter,
+  buildXfadeGraph,
+  getTransitionedDuration,
+  isTransitionEnabled,
+} = require("./transitions");
+const { groupDayTakes, readPrimaryTakes } = require("./takes");
+const { CARD_BACKGROUND, buildCardFilters } = require("./cards");
+const { getClipDate, getGapCardLines, planTimeline } = require("./gaps");
+const {
+  DEFAULT_TITLE_CARDS,
+  computeCompilationStats,
+  getIntroCardLines,
+  getOutroCardLines,
+} = require("./title-cards");
+const {
+  CompileProgress,
+  createFfmpegProgressParser,
+} = require("./compile-progress");
 
-// Use ffmpeg-static for the binary path
-let ffmpegPath;
-try {
-  ffmpegPath = require("ffmpeg-static");
-} catch {
-  ffmpegPath = "ffmpeg"; // Fall back to system ffmpeg
+const TEMP_DIR = path.join(__dirname, "temp");
+function readPositiveInteger(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
 }
 
-const TEMP_DIR = path.join(__dirname, "temp");
+// Clips downloaded and FFmpeg runs started at once while preparing clips
+const DOWNLOAD_CONCURRENCY = readPositiveInteger(
+  process.env.COMPILE_DOWNLOAD_CONCURRENCY,
+  4,
+);
+const FFMPEG_CONCURRENCY = readPositiveInteger(
+  process.env.COMPILE_FFMPEG_CONCURRENCY,
+  Math.min(os.cpus().length, 4) || 1,
+);
+// Bump when the FFmpeg arguments for normalized clips change, so clips
+// cached by an older version are rendered again
+const CLIP_CACHE_VERSION = 3;
+// Every normalized clip and converted image lasts exactly this long, unless
+// the clips are cut to the beat of the music
+const CLIP_DURATION = 1;
+const CLIP_FRAME_RATE = 30;
+// Silent input for clips without a sound track
+const SILENT_AUDIO_SOURCE = `anullsrc=channel_layout=${CLIP_AUDIO_CHANNEL_LAYOUT}:sample_rate=${CLIP_AUDIO_SAMPLE_RATE}`;
+const CLIP_AUDIO_ARGS = [
+  "-c:a",
+  "aac",
+  "-b:a",
+  "128k",
+  "-ar",
+  String(CLIP_AUDIO_SAMPLE_RATE),
+  "-ac",
+  "2",
+];
+// Most clips joined by one FFmpeg run when building transitions; longer
+// compilations are joined in batches, then the batches are joined
+const TRANSITION_BATCH_SIZE = 30;
+
+// Seconds as an FFmpeg argument. Beat-synced durations are whole frames, so
+// enough digits are kept for FFmpeg to count the same number of frames.
+function formatDuration(seconds) {
+  return String(Math.round(seconds * 1e6) / 1e6);
+}
+
+function createCancelledError() {
+  return Object.assign(new Error("Compilation cancelled"), { cancelled: true });
+}
+
+// `stderrTail` is the end of FFmpeg's output, which names what went wrong
+function ffmpegExitError(code, stderrTail) {
+  return Object.assign(new Error(`FFmpeg exited with code ${code}`), {
+    stderrTail,
+  });
+}
 
 // Ensure temp directory exists
 if (!fs.existsSync(TEMP_DIR)) {
@@ -27,10 +118,22 @@ if (!fs.existsSync(TEMP_DIR)) {
 }
 
 class VideoCompiler {
-  constructor(oauth2Client, logContext = {}) {
-    this.oauth2Client = oauth2Client;
-    this.drive = google.drive({ version: "v3", auth: oauth2Client });
+  // `clipCache` (a ClipCache) reuses clips rendered by earlier compilations
+  // and `beatAnalyses` (a BeatAnalysisStore) music analysed by them;
+  // `cacheScope` identifies the storage account so ids from different users
+  // never share entries. Aborting `signal` cancels the compilation: FFmpeg
+  // processes are killed and no further clips are downloaded.
+  constructor(
+    storage,
+    logContext = {},
+    { clipCache = null, beatAnalyses = null, cacheScope, signal = null } = {},
+  ) {
+    this.storage = storage;
     this.logContext = logContext;
+    this.clipCache = clipCache;
+    this.beatAnalyses = beatAnalyses;
+    this.cacheScope = cacheScope || null;
+    this.signal = signal;
     // Minimum clips required for compilation (2 for dev, higher for prod)
     const isProd = process.env.NODE_ENV === "production";
     this.minClips = isProd ? 7 : 2;
@@ -52,14 +155,15 @@ class VideoCompiler {
     });
   }
 
-  retry(label, operation, context = {}) {
-    return retryAsync(operation, {
-      label,
-      context: {
-        ...this.logContext,
-        ...context,
-      },
-    });
+  throwIfCancelled() {
+    if (this.signal?.aborted) {
+      throw createCancelledError();
+    }
+  }
+
+  // FFmpeg child process, killed when the compilation is cancelled
+  spawnFfmpeg(args) {
+    return spawn(ffmpegPath, args, this.signal ? { signal: this.signal } : {});
   }
 
   async compile(
@@ -67,20 +171,67 @@ class VideoCompiler {
     startDate = null,
     endDate = null,
     onProgress = null,
-    musicData = null,
+    musicTrack = null,
+    options = {},
   ) {
+    const {
+      overlay = null,
+      preset = null,
+      framing = "pad",
+      transition = null,
+      audio = null,
+      beatSync = null,
+      gapPolicy = "skip",
+      titleCards = DEFAULT_TITLE_CARDS,
+      userName = null,
+    } = options;
+    const { intro, outro } = titleCards;
+    const output = getOutputPreset(preset);
     const sessionDir = path.join(TEMP_DIR, `session-${crypto.randomUUID()}`);
     fs.mkdirSync(sessionDir, { recursive: true });
     this.info("compiler.session.created", { sessionDir });
 
+    // `onProgress(message, details)` gets the latest message with the
+    // structured progress from CompileProgress; it only hears about changes
+    const tracker = new CompileProgress();
+    let message = "Starting...";
+    let lastReport = null;
+    const report = () => {
+      const details = tracker.snapshot();
+      const reportKey = [
+        message,
+        details.phase,
+        details.phasePercent,
+        details.percent,
+      ].join("|");
+      if (reportKey === lastReport) return;
+      lastReport = reportKey;
+      if (onProgress) onProgress(message, details);
+    };
     const progress = (msg) => {
       this.info("compiler.progress", { message: msg });
-      if (onProgress) onProgress(msg);
+      message = msg;
+      report();
+    };
+    const advance = (fraction) => {
+      tracker.update(fraction);
+      report();
     };
 
     try {
-      // 1. Get all clips from Drive folder
-      progress("Fetching clips from Drive...");
+      // Music is left out when the soundtrack is the clips' own sound
+      let musicPath = null;
+      if (usesMusic(audio, Boolean(musicTrack))) {
+        progress("Fetching music...");
+        musicPath = await this.downloadMusic(
+          musicTrack,
+          sessionDir,
+          audio || DEFAULT_AUDIO,
+        );
+      }
+
+      // 1. Get all clips from the storage folder
+      progress("Fetching clips...");
       let clips = await this.fetchClipsList(folderId);
 
       // Filter by date range if provided (dates come as YYYY-MM-DD from date picker)
@@ -105,7 +256,14 @@ class VideoCompiler {
         );
       }
 
-      progress(`Found ${clips.length} clips`);
+      // Days of the range without a clip, unless they are skipped
+      const timeline = planTimeline(clips, { startDate, endDate, gapPolicy });
+      const gapCount = timeline.length - clips.length;
+      progress(
+        gapCount > 0
+          ? `Found ${clips.length} clips and ${gapCount} missed days`
+          : `Found ${clips.length} clips`,
+      );
 
       // Generate output filename with date range and timestamp
       const formatForDisplay = (date) => date.split("-").reverse().join("-");
@@ -117,16 +275,90 @@ class VideoCompiler {
         startDate && endDate
           ? `365moments_${formatForDisplay(startDate)}_to_${formatForDisplay(
               endDate,
-            )}_${timestamp}.mp4`
-          : `365moments-compilation_${timestamp}.mp4`;
+            )}_${output.name}_${timestamp}.mp4`
+          : `365moments-compilation_${output.name}_${timestamp}.mp4`;
+
+      let captions = {};
+      if (overlay?.showCaption) {
+        captions = await this.fetchCaptions(folderId);
+      }
+
+      // Clip lengths: one second each, or cut to the beat of the music
+      if (musicPath && isBeatSyncEnabled(beatSync)) {
+        progress("Finding the beat...");
+      }
+      // The intro delays the first cut, and its transition into the first
+      // clip overlaps both
+      const overlap = isTransitionEnabled(transition) ? transition.duration : 0;
+      const clipDurations = await this.planClipDurations(timeline.length, {
+        musicTrack,
+        musicPath,
+        audio,
+        beatSync,
+        transition,
+        leadIn: intro.enabled ? intro.duration - overlap : 0,
+        followed: outro.enabled,
+      });
 
       // 2. Download all clips
-      progress(`Downloading ${clips.length} clips...`);
-      const localFiles = await this.downloadClips(
+      this.throwIfCancelled();
+      tracker.start("preparing");
+      progress(`Preparing ${clips.length} clips...`);
+      const clipFiles = await this.downloadClips(
         clips,
         sessionDir,
-        onProgress,
+        (clipsMessage, fraction) => {
+          message = clipsMessage;
+          advance(fraction);
+        },
+        {
+          overlay,
+          captions,
+          framing,
+          width: output.width,
+          height: output.height,
+          durations: clipDurations.filter((_, i) => timeline[i].clip),
+        },
       );
+      let localFiles = clipFiles;
+      // Missed days and title cards, counted one segment each
+      const cardCount =
+        gapCount + [intro, outro].filter((card) => card.enabled).length;
+      if (cardCount > 0) {
+        tracker.start("rendering");
+      }
+      if (gapCount > 0) {
+        progress(`Rendering ${gapCount} missed days...`);
+        localFiles = await this.renderGaps(timeline, clipFiles, sessionDir, {
+          width: output.width,
+          height: output.height,
+          dateFormat: overlay?.dateFormat,
+          durations: clipDurations,
+          onRendered: (rendered) => advance(rendered / cardCount),
+        });
+      }
+
+      const segmentDurations = [...clipDurations];
+      if (intro.enabled || outro.enabled) {
+        progress("Rendering title cards...");
+        const clipDates = clips.map(getClipDate).filter(Boolean).sort();
+        const cards = await this.renderTitleCards(titleCards, sessionDir, {
+          width: output.width,
+          height: output.height,
+          userName,
+          startDate: startDate || clipDates[0],
+          endDate: endDate || clipDates[clipDates.length - 1],
+          stats: computeCompilationStats(clipDates, { startDate, endDate }),
+        });
+        if (cards.intro) {
+          localFiles = [cards.intro, ...localFiles];
+          segmentDurations.unshift(intro.duration);
+        }
+        if (cards.outro) {
+          localFiles = [...localFiles, cards.outro];
+          segmentDurations.push(outro.duration);
+        }
+      }
 
       // 3. Create file list for FFmpeg
       const listFile = path.join(sessionDir, "filelist.txt");
@@ -134,21 +366,50 @@ class VideoCompiler {
       fs.writeFileSync(listFile, fileListContent);
 
       // 4. Compile with FFmpeg
+      this.throwIfCancelled();
+      tracker.start("compiling");
       progress("Compiling video...");
       const outputPath = path.join(sessionDir, outputFileName);
 
-      // Save music if provided (base64 data URL)
-      let musicPath = null;
-      if (musicData) {
-        progress("Processing music...");
-        musicPath = this.saveMusicFromBase64(musicData, sessionDir);
+      if (isTransitionEnabled(transition)) {
+        await this.concatenateWithTransitions(
+          localFiles,
+          listFile,
+          sessionDir,
+          outputPath,
+          musicPath,
+          transition,
+          audio,
+          segmentDurations,
+          { onProgress: advance },
+        );
+      } else {
+        const streamCopy = await this.canStreamCopyClips(localFiles, {
+          width: output.width,
+          height: output.height,
+          includeAudio: !musicPath,
+        });
+        await this.concatenateVideos(
+          listFile,
+          outputPath,
+          musicPath,
+          output.width,
+          output.height,
+          {
+            streamCopy,
+            audio,
+            duration: segmentDurations.reduce((sum, value) => sum + value, 0),
+            onProgress: advance,
+          },
+        );
       }
 
-      await this.concatenateVideos(listFile, outputPath, musicPath);
-
-      // 5. Upload compiled video back to Drive
-      progress("Uploading to Drive...");
-      const uploadedFile = await this.uploadToDrive(
+      // 5. Upload compiled video back to storage, unless cancelled while
+      // it was being joined
+      this.throwIfCancelled();
+      tracker.start("saving");
+      progress("Saving compilation...");
+      const uploadedFile = await this.uploadOutput(
         outputPath,
         outputFileName,
         folderId,
@@ -161,7 +422,9 @@ class VideoCompiler {
         success: true,
         fileId: uploadedFile.id,
         fileName: outputFileName,
+        preset: output.name,
         clipCount: clips.length,
+        gapCount,
       };
     } catch (error) {
       // Cleanup on error
@@ -170,172 +433,424 @@ class VideoCompiler {
     }
   }
 
-  async fetchClipsList(folderId) {
-    const files = [];
-    let pageToken;
-
-    do {
-      const response = await this.retry(
-        "google.drive.compiler.fetch_clips",
-        () =>
-          this.drive.files.list({
-            q: `'${folderId}' in parents and trashed=false and (mimeType contains 'video/' or mimeType contains 'image/')`,
-            fields:
-              "nextPageToken, files(id, name, mimeType, createdTime, modifiedTime)",
-            orderBy: "name", // Sort by date (filename is YYYY-MM-DD)
-            pageSize: 1000,
-            pageToken,
-          }),
-        { folderId },
-      );
+  // Rendered length of each clip: CLIP_DURATION, or with beat sync the time
+  // from one cut to the next. The first clip starts `leadIn` seconds into the
+  // music. With transitions every clip followed by another segment (the next
+  // clip, or the outro when `followed`) also covers its overlap with it, so
+  // each transition starts on a beat.
+  async planClipDurations(
+    clipCount,
+    {
+      musicTrack,
+      musicPath,
+      audio,
+      beatSync,
+      transition,
+      leadIn = 0,
+      followed = false,
+    },
+  ) {
+    const uniform = Array(clipCount).fill(CLIP_DURATION);
+    if (!musicPath || !isBeatSyncEnabled(beatSync)) {
+      return uniform;
+    }
+
+    const analysis = await this.getBeatAnalysis(musicTrack, musicPath);
+    const overlap = isTransitionEnabled(transition) ? transition.duration : 0;
+    const slots = planBeatSyncedDurations(analysis, {
+      clipCount,
+      start: audio.musicStart + leadIn,
+      mode: beatSync.mode,
+      beatsPerClip: beatSync.beatsPerClip,
+      clipDuration: CLIP_DURATION,
+      minDuration: Math.max(MIN_CUT_INTERVAL, overlap),
+      fps: CLIP_FRAME_RATE,
+    });
 
-      files.push(...(response.data.files || []));
-      pageToken = response.data.nextPageToken || null;
-    } while (pageToken);
+    if (!slots) {
+      this.info("compiler.beat_sync.no_beat", {
+        musicTrackId: musicTrack.id,
+      });
+      return uniform;
+    }
 
-    // Filter out compilations and thumbnails - only include files matching YYYY-MM-DD.ext pattern
-    const datePattern = /^\d{4}-\d{2}-\d{2}\.(mp4|webm|jpg|jpeg|png)$/i;
-    const dailyClips = files.filter(
-      (file) => datePattern.test(file.name) && !file.name.includes(".thumb."),
+    this.info("compiler.beat_sync.planned", {
+      musicTrackId: musicTrack.id,
+      mode: beatSync.mode,
+      bpm: analysis.bpm,
+      clipCount,
+      duration: slots.reduce((sum, value) => sum + value, 0),
+    });
+    return slots.map((slot, index) =>
+      index < clipCount - 1 || followed ? slot + overlap : slot,
     );
+  }
+
+  // Beat analysis of a library track, reused when the same version of the
+  // track was analysed before
+  async getBeatAnalysis(musicTrack, musicPath) {
+    const cacheKey =
+      this.beatAnalyses && this.cacheScope && musicTrack.modifiedTime
+        ? this.beatAnalyses.keyFor([
+            BEAT_ANALYSIS_VERSION,
+            this.cacheScope,
+            musicTrack.id,
+            musicTrack.modifiedTime,
+          ])
+        : null;
+
+    const cached = cacheKey ? this.beatAnalyses.get(cacheKey) : null;
+    if (cached) {
+      this.info("compiler.beat_sync.analysis_reused", {
+        musicTrackId: musicTrack.id,
+      });
+      return cached;
+    }
 
-    // Google Drive allows multiple files with the same name; keep only the latest per date
-    const uniqueByDate = new Map();
-    dailyClips.forEach((file) => {
-      const dateMatch = file.name.match(/^(\d{4}-\d{2}-\d{2})/);
-      if (!dateMatch) return;
-      const dateKey = dateMatch[1];
-      const existing = uniqueByDate.get(dateKey);
-
-      if (!existing) {
-        uniqueByDate.set(dateKey, file);
-        return;
+    const analysis = await analyzeBeats(musicPath, { signal: this.signal });
+    this.info("compiler.beat_sync.analyzed", {
+      musicTrackId: musicTrack.id,
+      bpm: analysis.bpm,
+      beatCount: analysis.beats.length,
+    });
+
+    if (cacheKey) {
+      try {
+        this.beatAnalyses.set(cacheKey, analysis);
+      } catch (error) {
+        this.error("compiler.beat_sync.store_failed", error, {
+          musicTrackId: musicTrack.id,
+        });
       }
+    }
+    return analysis;
+  }
+
+  // The primary take of each day, sorted by date
+  async fetchClipsList(folderId) {
+    const files = await this.storage.listFiles(folderId);
 
-      const existingTime = new Date(
-        existing.modifiedTime || existing.createdTime || 0,
+    // A missing or unreadable takes file means every day uses its first take
+    let primaryTakes = {};
+    try {
+      primaryTakes = await readPrimaryTakes(this.storage, files);
+    } catch (error) {
+      this.error("compiler.takes.read_failed", error, { folderId });
+    }
+
+    return Array.from(groupDayTakes(files, primaryTakes).values())
+      .map((day) => day.primary)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Captions keyed by date; a missing or unreadable file means no captions
+  async fetchCaptions(folderId) {
+    try {
+      const captions = await readCaptions(
+        this.storage,
+        await this.storage.listFiles(folderId),
       );
-      const candidateTime = new Date(
-        file.modifiedTime || file.createdTime || 0,
+      return Object.fromEntries(
+        Object.entries(captions).map(([date, entry]) => [date, entry?.caption]),
       );
+    } catch (error) {
+      this.error("compiler.captions.read_failed", error, { folderId });
+      return {};
+    }
+  }
 
-      if (candidateTime >= existingTime) {
-        this.info("compiler.clip.duplicate_resolved", {
-          dateKey,
-          clipId: file.id,
+  // Download and normalize clips with bounded parallelism: downloads and
+  // FFmpeg runs have separate limits, so a clip is processed as soon as it
+  // arrives. Resolves with local files in the same order as `clips`.
+  async downloadClips(clips, sessionDir, onProgress = null, options = {}) {
+    const {
+      overlay = null,
+      captions = {},
+      framing = "pad",
+      width = 1920,
+      height = 1080,
+      durations = null,
+      downloadConcurrency = DOWNLOAD_CONCURRENCY,
+      ffmpegConcurrency = FFMPEG_CONCURRENCY,
+    } = options;
+    const downloadLimit = createConcurrencyLimit(downloadConcurrency);
+    const ffmpegLimit = createConcurrencyLimit(ffmpegConcurrency);
+    const total = clips.length;
+    let downloaded = 0;
+    let processed = 0;
+    let cacheHits = 0;
+    let failed = false;
+
+    // The message, and the share of downloads and processing done
+    const reportProgress = () => {
+      if (onProgress) {
+        onProgress(
+          `Preparing clips: ${downloaded}/${total} downloaded, ${processed}/${total} processed...`,
+          (downloaded + processed) / (total * 2),
+        );
+      }
+    };
+
+    // After a failure, queued clips are skipped instead of started
+    const unlessFailed = (task) => () => {
+      this.throwIfCancelled();
+      if (failed) {
+        throw Object.assign(new Error("Skipped after an earlier clip failed"), {
+          skipped: true,
         });
-        uniqueByDate.set(dateKey, file);
       }
+      return task();
+    };
+
+    this.info("compiler.clips.prepare_started", {
+      total,
+      downloadConcurrency,
+      ffmpegConcurrency,
     });
+    reportProgress();
+
+    const results = await Promise.allSettled(
+      clips.map(async (clip, i) => {
+        try {
+          const filePrefix = path.join(sessionDir, String(i).padStart(4, "0"));
+          const downloadPath = `${filePrefix}-${clip.name}`;
+          const clipDate = clip.name.match(/^(\d{4}-\d{2}-\d{2})/)?.[1];
+          const clipOverlay = isOverlayEnabled(overlay)
+            ? { ...overlay, date: clipDate, caption: captions[clipDate] || "" }
+            : null;
+          const renderSettings = {
+            width,
+            height,
+            overlay: clipOverlay,
+            framing,
+            duration: durations?.[i] ?? CLIP_DURATION,
+          };
+
+          const cacheKey = this.getClipCacheKey(clip, renderSettings);
+          const cachedPath = `${filePrefix}-cached.mp4`;
+          if (
+            cacheKey &&
+            (await this.restoreCachedClip(cacheKey, cachedPath))
+          ) {
+            cacheHits += 1;
+            downloaded += 1;
+            processed += 1;
+            reportProgress();
+            return cachedPath;
+          }
 
-    return Array.from(uniqueByDate.values()).sort((a, b) =>
-      a.name.localeCompare(b.name),
+          await downloadLimit(
+            unlessFailed(() => this.downloadClip(clip, downloadPath, i, total)),
+          );
+          downloaded += 1;
+          reportProgress();
+
+          const localFile = await ffmpegLimit(
+            unlessFailed(() =>
+              this.prepareClip(clip, downloadPath, i, renderSettings),
+            ),
+          );
+          if (cacheKey) {
+            await this.storeCachedClip(cacheKey, localFile, clip);
+          }
+          processed += 1;
+          reportProgress();
+          return localFile;
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }),
     );
+
+    const failure = results.find((result) => result.status === "rejected");
+    if (failure) {
+      // Report the root cause rather than a clip skipped because of it
+      const rootFailure = results.find(
+        (result) => result.status === "rejected" && !result.reason?.skipped,
+      );
+      throw (rootFailure || failure).reason;
+    }
+
+    this.info("compiler.clips.prepare_completed", { total, cacheHits });
+    return results.map((result) => result.value);
   }
 
-  async downloadClips(clips, sessionDir, onProgress = null) {
-    const localFiles = [];
+  // Cache key for a clip rendered with the given settings, or null when
+  // caching is off or the clip has no version to key on
+  getClipCacheKey(clip, { width, height, overlay, framing, duration }) {
+    if (!this.clipCache || !this.cacheScope || !clip.modifiedTime) {
+      return null;
+    }
 
-    for (let i = 0; i < clips.length; i++) {
-      const clip = clips[i];
-      const downloadPath = path.join(
-        sessionDir,
-        `${String(i).padStart(4, "0")}-${clip.name}`,
-      );
+    return this.clipCache.keyFor([
+      CLIP_CACHE_VERSION,
+      this.cacheScope,
+      clip.id,
+      clip.modifiedTime,
+      {
+        width,
+        height,
+        framing,
+        duration,
+        overlay,
+        font: overlay ? getFontFile() : null,
+      },
+    ]);
+  }
 
-      const progressMsg = `Downloading ${i + 1}/${clips.length}...`;
-      this.info("compiler.clip.download_started", {
+  // A cache that cannot be read or written only costs a re-render
+  async restoreCachedClip(cacheKey, targetPath) {
+    try {
+      return await this.clipCache.restore(cacheKey, targetPath);
+    } catch (error) {
+      this.error("compiler.clip_cache.restore_failed", error, { targetPath });
+      return false;
+    }
+  }
+
+  async storeCachedClip(cacheKey, localFile, clip) {
+    try {
+      await this.clipCache.store(cacheKey, localFile);
+    } catch (error) {
+      this.error("compiler.clip_cache.store_failed", error, {
         clipId: clip.id,
         clipName: clip.name,
-        index: i + 1,
-        total: clips.length,
       });
-      if (onProgress) onProgress(progressMsg);
-
-      const response = await this.retry(
-        "google.drive.compiler.download_clip",
-        () =>
-          this.drive.files.get(
-            { fileId: clip.id, alt: "media" },
-            { responseType: "stream" },
-          ),
-        { clipId: clip.id, clipName: clip.name },
-      );
+    }
+  }
 
-      await new Promise((resolve, reject) => {
-        const writeStream = fs.createWriteStream(downloadPath);
-        response.data
-          .pipe(writeStream)
-          .on("finish", resolve)
-          .on("error", reject);
-      });
+  async downloadClip(clip, downloadPath, index, total) {
+    this.info("compiler.clip.download_started", {
+      clipId: clip.id,
+      clipName: clip.name,
+      index: index + 1,
+      total,
+    });
 
-      // Check if it's an image - convert to 1-second video
-      const isImage = /\.(jpg|jpeg|png)$/i.test(clip.name);
-      if (isImage) {
-        const videoPath = downloadPath.replace(/\.(jpg|jpeg|png)$/i, ".mp4");
-        if (onProgress)
-          onProgress(`Converting image ${i + 1}/${clips.length} to video...`);
-        await this.convertImageToVideo(downloadPath, videoPath);
-        // Remove original image file
-        fs.unlinkSync(downloadPath);
-        localFiles.push(videoPath);
-        this.info("compiler.clip.image_converted", {
-          clipId: clip.id,
-          clipName: clip.name,
-          index: i + 1,
-        });
-      } else {
-        // Normalize video to exactly 1 second to ensure consistent compilation
-        const normalizedPath = downloadPath.replace(
-          /\.(mp4|webm)$/i,
-          "-norm.mp4",
-        );
-        if (onProgress)
-          onProgress(`Normalizing clip ${i + 1}/${clips.length}...`);
-        await this.normalizeVideoToOneSecond(downloadPath, normalizedPath);
-        // Remove original and use normalized
-        fs.unlinkSync(downloadPath);
-        localFiles.push(normalizedPath);
-        this.info("compiler.clip.video_normalized", {
-          clipId: clip.id,
-          clipName: clip.name,
-          index: i + 1,
-        });
-      }
+    await this.downloadFile(clip.id, downloadPath);
+  }
+
+  async downloadFile(fileId, targetPath) {
+    this.throwIfCancelled();
+    const fileStream = await this.storage.getFileStream(fileId);
+    // Cancelling stops the download part way
+    await pipeline(
+      fileStream,
+      fs.createWriteStream(targetPath),
+      this.signal ? { signal: this.signal } : {},
+    );
+  }
+
+  // Turn a downloaded clip into a video of `duration` seconds at the output
+  // size and remove the download. Resolves with the new file's path.
+  async prepareClip(
+    clip,
+    downloadPath,
+    index,
+    { width, height, overlay, framing, duration = CLIP_DURATION },
+  ) {
+    // Check if it's an image - convert to a still video
+    const isImage = /\.(jpg|jpeg|png)$/i.test(clip.name);
+    if (isImage) {
+      const videoPath = downloadPath.replace(/\.(jpg|jpeg|png)$/i, ".mp4");
+      await this.convertImageToVideo(
+        downloadPath,
+        videoPath,
+        width,
+        height,
+        overlay,
+        framing,
+        { duration },
+      );
+      // Remove original image file
+      fs.unlinkSync(downloadPath);
+      this.info("compiler.clip.image_converted", {
+        clipId: clip.id,
+        clipName: clip.name,
+        index: index + 1,
+      });
+      return videoPath;
     }
 
-    return localFiles;
+    // Normalize video to exactly `duration` to ensure consistent compilation
+    const normalizedPath = downloadPath.replace(/\.(mp4|webm)$/i, "-norm.mp4");
+    await this.normalizeVideoClip(
+      downloadPath,
+      normalizedPath,
+      width,
+      height,
+      overlay,
+      framing,
+      { silentAudio: !(await this.hasAudioStream(downloadPath)), duration },
+    );
+    // Remove original and use normalized
+    fs.unlinkSync(downloadPath);
+    this.info("compiler.clip.video_normalized", {
+      clipId: clip.id,
+      clipName: clip.name,
+      index: index + 1,
+    });
+    return normalizedPath;
   }
 
-  // Normalize a video clip to exactly 1 second duration
-  normalizeVideoToOneSecond(
+  // Extra drawtext filters for a clip's date/caption overlay, if any
+  getOverlayFilters(overlay, outputPath, width, height) {
+    return buildOverlayFilters(overlay, {
+      width,
+      height,
+      textFilePrefix: outputPath.replace(/\.mp4$/i, "-overlay"),
+    });
+  }
+
+  // Normalize a video clip to exactly `duration` seconds; a shorter clip holds
+  // its last frame. With `silentAudio` (for videos without sound) a silent
+  // track is added in its place.
+  normalizeVideoClip(
     inputPath,
     outputPath,
     width = 1920,
     height = 1080,
+    overlay = null,
+    framing = "pad",
+    { silentAudio = false, duration = CLIP_DURATION } = {},
   ) {
     return new Promise((resolve, reject) => {
-      // Take only the first 1 second, re-encode to consistent format
+      const filters = [
+        buildFramingFilter(width, height, framing),
+        ...this.getOverlayFilters(overlay, outputPath, width, height),
+        `tpad=stop_mode=clone:stop_duration=${formatDuration(duration)}`,
+      ];
+
+      // Take only the first `duration` seconds, re-encode to consistent format
       const args = [
         "-i",
         inputPath,
+        ...(silentAudio
+          ? [
+              "-f",
+              "lavfi",
+              "-i",
+              SILENT_AUDIO_SOURCE,
+              "-map",
+              "0:v",
+              "-map",
+              "1:a",
+            ]
+          : ["-af", "apad"]),
         "-t",
-        "1", // Limit to 1 second
+        formatDuration(duration),
         "-vf",
-        `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`,
+        filters.join(","),
         "-c:v",
         "libx264",
         "-preset",
         "fast",
         "-crf",
         "23",
-        "-c:a",
-        "aac",
-        "-b:a",
-        "128k",
+        ...CLIP_AUDIO_ARGS,
         "-r",
-        "30", // Consistent frame rate
+        String(CLIP_FRAME_RATE), // Consistent frame rate
         "-pix_fmt",
         "yuv420p",
         "-y",
@@ -343,7 +858,7 @@ class VideoCompiler {
       ];
 
       this.info("compiler.normalize.started", { inputPath, outputPath });
-      const ffmpegProcess = spawn(ffmpegPath, args);
+      const ffmpegProcess = this.spawnFfmpeg(args);
 
       ffmpegProcess.stderr.on("data", (data) => {
         // Log duration info for debugging
@@ -371,32 +886,54 @@ class VideoCompiler {
     });
   }
 
-  // Convert an image to a 1-second video clip matching target resolution
-  convertImageToVideo(imagePath, outputPath, width = 1920, height = 1080) {
+  // Convert an image to a still video clip of `duration` seconds matching
+  // target resolution
+  convertImageToVideo(
+    imagePath,
+    outputPath,
+    width = 1920,
+    height = 1080,
+    overlay = null,
+    framing = "pad",
+    { duration = CLIP_DURATION } = {},
+  ) {
     return new Promise((resolve, reject) => {
-      // Use scale with force_original_aspect_ratio and pad to maintain aspect ratio
-      // This centers the image with black bars if needed
+      const filters = [
+        buildFramingFilter(width, height, framing),
+        ...this.getOverlayFilters(overlay, outputPath, width, height),
+      ];
+
+      // Frame the image like video clips (bars, blurred fill or crop)
       const args = [
         "-loop",
         "1", // Loop the image
         "-i",
         imagePath, // Input image
+        "-f",
+        "lavfi",
+        "-i",
+        SILENT_AUDIO_SOURCE, // Silent track so images join like videos
+        "-map",
+        "0:v",
+        "-map",
+        "1:a",
         "-c:v",
         "libx264", // Video codec
         "-t",
-        "1", // Duration: 1 second
+        formatDuration(duration),
         "-pix_fmt",
         "yuv420p", // Pixel format for compatibility
         "-vf",
-        `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`,
+        filters.join(","),
         "-r",
-        "30", // Frame rate
+        String(CLIP_FRAME_RATE), // Frame rate
+        ...CLIP_AUDIO_ARGS,
         "-y", // Overwrite output
         outputPath,
       ];
 
       this.info("compiler.image_convert.started", { imagePath, outputPath });
-      const ffmpegProcess = spawn(ffmpegPath, args);
+      const ffmpegProcess = this.spawnFfmpeg(args);
 
       ffmpegProcess.stderr.on("data", (data) => {
         // Suppress FFmpeg output for image conversion
@@ -418,32 +955,232 @@ class VideoCompiler {
     });
   }
 
-  saveMusicFromBase64(musicData, sessionDir) {
-    const musicPath = path.join(sessionDir, "music.mp3");
+  // Render the gap segments of `timeline` (see planTimeline) and resolve with
+  // every segment's file in timeline order. `clipFiles` are the prepared
+  // clips in order; a held gap repeats the last frame of the clip before it.
+  async renderGaps(
+    timeline,
+    clipFiles,
+    sessionDir,
+    { width, height, dateFormat, durations, onRendered = null },
+  ) {
+    const ffmpegLimit = createConcurrencyLimit(FFMPEG_CONCURRENCY);
+    let clipIndex = 0;
+    let previousClipFile = null;
+    let rendered = 0;
 
-    try {
-      // musicData is a data URL like "data:audio/mpeg;base64,..."
-      const base64Data = musicData.replace(/^data:audio\/[^;]+;base64,/, "");
-      const buffer = Buffer.from(base64Data, "base64");
-      fs.writeFileSync(musicPath, buffer);
-      this.info("compiler.music.saved", { musicPath, bytes: buffer.length });
-      return musicPath;
-    } catch (error) {
-      this.error("compiler.music.save_failed", error, { musicPath });
-      return null; // Continue without music if save fails
+    const segments = timeline.map((entry, i) => {
+      if (entry.clip) {
+        previousClipFile = clipFiles[clipIndex++];
+        return previousClipFile;
+      }
+
+      const outputPath = path.join(sessionDir, `gap-${entry.date}.mp4`);
+      const duration = durations[i];
+      const heldFile = previousClipFile;
+      return ffmpegLimit(() =>
+        entry.gap === "hold"
+          ? this.renderHeldFrame(heldFile, outputPath, duration)
+          : this.renderCard(
+              getGapCardLines(entry.date, dateFormat),
+              outputPath,
+              { width, height, duration },
+              "compiler.gap_card",
+            ),
+      ).then(() => {
+        rendered += 1;
+        if (onRendered) onRendered(rendered);
+        return outputPath;
+      });
+    });
+
+    return Promise.all(segments);
+  }
+
+  // A text card (see buildCardFilters) in the same format as prepared clips.
+  // `event` names its log events.
+  async renderCard(lines, outputPath, { width, height, duration }, event) {
+    const filters = buildCardFilters(lines, {
+      width,
+      height,
+      textFilePrefix: outputPath.replace(/\.mp4$/i, ""),
+    });
+
+    await this.runFfmpeg(
+      [
+        "-f",
+        "lavfi",
+        "-i",
+        `color=c=${CARD_BACKGROUND}:s=${width}x${height}:r=${CLIP_FRAME_RATE}`,
+        "-f",
+        "lavfi",
+        "-i",
+        SILENT_AUDIO_SOURCE,
+        "-map",
+        "0:v",
+        "-map",
+        "1:a",
+        "-t",
+        formatDuration(duration),
+        "-vf",
+        `${filters.join(",")},setsar=1`,
+        "-c:v",
+        "libx264",
+        "-preset",
+        "fast",
+        "-crf",
+        "23",
+        ...CLIP_AUDIO_ARGS,
+        "-r",
+        String(CLIP_FRAME_RATE),
+        "-pix_fmt",
+        "yuv420p",
+        "-y",
+        outputPath,
+      ],
+      event,
+      { outputPath },
+    );
+  }
+
+  // Render the enabled intro and outro cards. Resolves with their files
+  // ({ intro, outro }, null when disabled).
+  async renderTitleCards(
+    { intro, outro },
+    sessionDir,
+    { width, height, userName, startDate, endDate, stats },
+  ) {
+    const render = (card, name, lines) => {
+      if (!card.enabled) return null;
+      const outputPath = path.join(sessionDir, `${name}.mp4`);
+      return this.renderCard(
+        lines,
+        outputPath,
+        { width, height, duration: card.duration },
+        `compiler.${name}_card`,
+      ).then(() => outputPath);
+    };
+
+    const [introPath, outroPath] = await Promise.all([
+      render(
+        intro,
+        "intro",
+        getIntroCardLines({ title: intro.title, userName, startDate, endDate }),
+      ),
+      render(outro, "outro", getOutroCardLines({ title: outro.title, stats })),
+    ]);
+    return { intro: introPath, outro: outroPath };
+  }
+
+  // The last frame of a prepared clip held for `duration` seconds, silent
+  async renderHeldFrame(clipFile, outputPath, duration) {
+    await this.runFfmpeg(
+      [
+        // Only the end of the clip is decoded; reversed, its last frame
+        // comes first
+        "-sseof",
+        "-0.5",
+        "-i",
+        clipFile,
+        "-f",
+        "lavfi",
+        "-i",
+        SILENT_AUDIO_SOURCE,
+        "-map",
+        "0:v",
+        "-map",
+        "1:a",
+        "-t",
+        formatDuration(duration),
+        "-vf",
+        `reverse,trim=end_frame=1,setpts=PTS-STARTPTS,tpad=stop_mode=clone:stop_duration=${formatDuration(duration)}`,
+        "-c:v",
+        "libx264",
+        "-preset",
+        "fast",
+        "-crf",
+        "23",
+        ...CLIP_AUDIO_ARGS,
+        "-r",
+        String(CLIP_FRAME_RATE),
+        "-pix_fmt",
+        "yuv420p",
+        "-y",
+        outputPath,
+      ],
+      "compiler.gap_hold",
+      { clipFile, outputPath },
+    );
+  }
+
+  // Download a library track ({ id, name }) into the session directory and
+  // check it is still usable with the requested start offset
+  async downloadMusic(musicTrack, sessionDir, audio) {
+    const musicPath = path.join(
+      sessionDir,
+      `music${path.extname(musicTrack.name)}`,
+    );
+    await this.downloadFile(musicTrack.id, musicPath);
+
+    const probe = await probeMusic(musicPath);
+    if (probe.error) {
+      throw new Error(`Music track "${musicTrack.name}": ${probe.error}`);
+    }
+
+    if (audio.musicStart >= probe.value.duration) {
+      throw new Error(
+        `Music start (${audio.musicStart}s) is past the end of "${musicTrack.name}"`,
+      );
     }
+
+    this.info("compiler.music.downloaded", {
+      musicTrackId: musicTrack.id,
+      codec: probe.value.codec,
+      duration: probe.value.duration,
+    });
+    return musicPath;
   }
 
-  concatenateVideos(listFile, outputPath, musicPath = null) {
+  // With `streamCopy` the clips (already normalized to matching parameters,
+  // see canStreamCopyClips) are joined without re-encoding the video.
+  // `audio` decides how music and clip sound combine over the `duration`
+  // seconds of video.
+  concatenateVideos(
+    listFile,
+    outputPath,
+    musicPath = null,
+    width = 1920,
+    height = 1080,
+    {
+      streamCopy = false,
+      audio = DEFAULT_AUDIO,
+      duration,
+      onProgress = null,
+    } = {},
+  ) {
     return new Promise((resolve, reject) => {
+      // Clips are already framed to this size; this only guards odd inputs
+      const scaleFilter = buildFramingFilter(width, height, "pad");
+
       // Use vf scale filter to normalize all videos to same resolution
       // This ensures mixed content (phone videos + converted images) blend properly
+      const videoArgs = streamCopy
+        ? ["-c:v", "copy"]
+        : [
+            "-vf",
+            scaleFilter,
+            "-c:v",
+            "libx264",
+            "-preset",
+            "fast",
+            "-crf",
+            "23",
+          ];
       let args;
 
       if (musicPath && fs.existsSync(musicPath)) {
-        // With background music - use music as primary audio
-        // We use the music track directly instead of mixing, because some clips
-        // (like images converted to video) may not have audio tracks
+        // With background music - music alone, or mixed over the clips' sound
+        // (every normalized clip has a track, silent for images)
         args = [
           "-f",
           "concat",
@@ -455,29 +1192,33 @@ class VideoCompiler {
           "-1", // Loop music if needed
           "-i",
           musicPath,
-          "-vf",
-          "scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black,setsar=1",
+          "-filter_complex",
+          buildAudioMixFilter({
+            music: "1:a",
+            clipAudio: usesClipAudio(audio, true) ? "0:a" : null,
+            audio,
+            duration,
+          }),
           "-map",
           "0:v", // Video from concatenated clips
           "-map",
-          "1:a", // Audio from music file
-          "-c:v",
-          "libx264",
-          "-preset",
-          "fast",
-          "-crf",
-          "23",
+          "[aout]", // Music, alone or mixed with the clips' sound
+          ...videoArgs,
           "-c:a",
           "aac",
           "-b:a",
           "192k",
-          "-shortest", // End when video ends
+          "-t",
+          String(duration), // End when video ends
           "-movflags",
           "+faststart",
           "-y",
           outputPath,
         ];
-        this.info("compiler.concat.music_enabled", { musicPath });
+        this.info("compiler.concat.music_enabled", {
+          musicPath,
+          audioMode: audio.mode,
+        });
       } else {
         // Without music - original audio only
         args = [
@@ -487,18 +1228,8 @@ class VideoCompiler {
           "0",
           "-i",
           listFile,
-          "-vf",
-          "scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black,setsar=1",
-          "-c:v",
-          "libx264",
-          "-preset",
-          "fast",
-          "-crf",
-          "23",
-          "-c:a",
-          "aac",
-          "-b:a",
-          "128k",
+          ...videoArgs,
+          ...(streamCopy ? ["-c:a", "copy"] : ["-c:a", "aac", "-b:a", "128k"]),
           "-movflags",
           "+faststart",
           "-y",
@@ -506,24 +1237,41 @@ class VideoCompiler {
         ];
       }
 
-      this.info("compiler.concat.started", { outputPath, ffmpegPath });
-
-      const ffmpegProcess = spawn(ffmpegPath, args);
+      this.info("compiler.concat.started", {
+        outputPath,
+        ffmpegPath,
+        streamCopy,
+      });
 
+      // Progress is the output written against the expected length
+      const ffmpegProcess = this.spawnFfmpeg([
+        "-progress",
+        "pipe:1",
+        "-nostats",
+        ...args,
+      ]);
+      const parseProgress = createFfmpegProgressParser((seconds) => {
+        if (onProgress && duration > 0) onProgress(seconds / duration);
+      });
+      ffmpegProcess.stdout.on("data", parseProgress);
+      let stderrTail = "";
       ffmpegProcess.stderr.on("data", (data) => {
-        const output = data.toString();
-        // Log progress info
-        if (output.includes("frame=") || output.includes("time=")) {
-          process.stdout.write(".");
-        }
+        stderrTail = (stderrTail + data.toString()).slice(-2000);
       });
 
       ffmpegProcess.on("close", (code) => {
         if (code === 0) {
           this.info("compiler.concat.completed", { outputPath });
           resolve(outputPath);
+        } else if (this.signal?.aborted) {
+          reject(createCancelledError());
         } else {
-          reject(new Error(`FFmpeg exited with code ${code}`));
+          const error = ffmpegExitError(code, stderrTail);
+          this.error("compiler.concat.failed", error, {
+            outputPath,
+            stderrTail,
+          });
+          reject(error);
         }
       });
 
@@ -534,29 +1282,288 @@ class VideoCompiler {
     });
   }
 
-  async uploadToDrive(filePath, fileName, folderId) {
-    const fileSize = fs.statSync(filePath).size;
+  // `onTime(seconds)` hears how much of the output has been written
+  runFfmpeg(args, event, meta = {}, { onTime = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.info(`${event}.started`, meta);
+      const ffmpegProcess = this.spawnFfmpeg(
+        onTime ? ["-progress", "pipe:1", "-nostats", ...args] : args,
+      );
+      let stderrTail = "";
+
+      if (onTime) {
+        ffmpegProcess.stdout.on("data", createFfmpegProgressParser(onTime));
+      }
 
-    const response = await this.retry(
-      "google.drive.compiler.upload_output",
-      () => {
-        const fileStream = fs.createReadStream(filePath);
-        return this.drive.files.create({
-          requestBody: {
-            name: fileName,
-            parents: [folderId],
-          },
-          media: {
-            mimeType: "video/mp4",
-            body: fileStream,
-          },
-          fields: "id, name, webViewLink",
+      ffmpegProcess.stderr.on("data", (data) => {
+        stderrTail = (stderrTail + data.toString()).slice(-2000);
+      });
+
+      ffmpegProcess.on("close", (code) => {
+        if (code === 0) {
+          this.info(`${event}.completed`, meta);
+          resolve();
+        } else if (this.signal?.aborted) {
+          reject(createCancelledError());
+        } else {
+          const error = ffmpegExitError(code, stderrTail);
+          this.error(`${event}.failed`, error, { ...meta, stderrTail });
+          reject(error);
+        }
+      });
+
+      ffmpegProcess.on("error", reject);
+    });
+  }
+
+  // Whether a media file has an audio stream, read with ffprobe
+  async hasAudioStream(filePath) {
+    try {
+      return Boolean((await probeMedia(filePath)).audio);
+    } catch {
+      return false;
+    }
+  }
+
+  // Whether the normalized clips can be concatenated with stream copy.
+  // Clips rendered by other versions or from odd sources may differ, and an
+  // image clip has no audio track while a video clip has one, so every clip
+  // is checked. `includeAudio` is false when music replaces the clips' audio.
+  async canStreamCopyClips(
+    localFiles,
+    { width, height, includeAudio = true, concurrency = FFMPEG_CONCURRENCY },
+  ) {
+    const limit = createConcurrencyLimit(concurrency);
+    let result;
+    try {
+      const streamInfos = await Promise.all(
+        localFiles.map((filePath) => limit(() => probeMedia(filePath))),
+      );
+      result = checkStreamCopy(streamInfos, { width, height, includeAudio });
+    } catch (error) {
+      this.error("compiler.concat.probe_failed", error);
+      result = { ok: false, reason: "probe_failed" };
+    }
+
+    this.info("compiler.concat.mode_selected", {
+      streamCopy: result.ok,
+      reason: result.reason,
+      clipCount: localFiles.length,
+    });
+    return result.ok;
+  }
+
+  // Join one batch of clips (or segments) with transitions, video only. The
+  // segment is joined again in a later pass, so it is encoded losslessly and
+  // the video is only compressed once, in the final join.
+  async renderTransitionSegment(
+    parts,
+    segmentPath,
+    transition,
+    { onTime = null } = {},
+  ) {
+    const args = [];
+    parts.forEach((part) => args.push("-i", part.filePath));
+    args.push(
+      "-filter_complex",
+      buildXfadeGraph(
+        parts.map((part) => part.duration),
+        transition,
+      ),
+      "-map",
+      "[vout]",
+      "-an",
+      "-c:v",
+      "libx264",
+      "-preset",
+      "ultrafast",
+      "-qp",
+      "0",
+      "-pix_fmt",
+      "yuv420p",
+      "-y",
+      segmentPath,
+    );
+
+    await this.runFfmpeg(
+      args,
+      "compiler.transition_segment",
+      { segmentPath, partCount: parts.length },
+      { onTime },
+    );
+  }
+
+  // Join clips of the given `durations` with xfade transitions. The output
+  // lasts their sum less (clips - 1) * transition.duration seconds. Audio
+  // follows `audio`: the music, the clips' own sound trimmed to stay in step
+  // with the video, or both mixed.
+  async concatenateWithTransitions(
+    localFiles,
+    listFile,
+    sessionDir,
+    outputPath,
+    musicPath,
+    transition,
+    audio = DEFAULT_AUDIO,
+    durations = localFiles.map(() => CLIP_DURATION),
+    { onProgress = null } = {},
+  ) {
+    let parts = localFiles.map((filePath, index) => ({
+      filePath,
+      duration: durations[index],
+    }));
+    const totalDuration =
+      Math.round(
+        getTransitionedDuration(durations, transition.duration) * 1000,
+      ) / 1000;
+
+    // Each pass (every level of segments, then the final join) renders about
+    // the whole video, so progress is the output written against all passes
+    let passCount = 1;
+    for (
+      let count = parts.length;
+      count > TRANSITION_BATCH_SIZE;
+      count = Math.ceil(count / TRANSITION_BATCH_SIZE)
+    ) {
+      passCount += 1;
+    }
+    let renderedSeconds = 0;
+    const onTime = (seconds) => {
+      if (onProgress && totalDuration > 0) {
+        onProgress((renderedSeconds + seconds) / (passCount * totalDuration));
+      }
+    };
+
+    for (let level = 0; parts.length > TRANSITION_BATCH_SIZE; level++) {
+      const segments = [];
+      for (
+        let start = 0;
+        start < parts.length;
+        start += TRANSITION_BATCH_SIZE
+      ) {
+        const batch = parts.slice(start, start + TRANSITION_BATCH_SIZE);
+        const segmentPath = path.join(
+          sessionDir,
+          `segment-${level}-${String(segments.length).padStart(4, "0")}.mp4`,
+        );
+        await this.renderTransitionSegment(batch, segmentPath, transition, {
+          onTime,
         });
+        const segmentDuration = getTransitionedDuration(
+          batch.map((part) => part.duration),
+          transition.duration,
+        );
+        renderedSeconds += segmentDuration;
+        segments.push({ filePath: segmentPath, duration: segmentDuration });
+      }
+      parts = segments;
+    }
+
+    const args = [];
+    parts.forEach((part) => args.push("-i", part.filePath));
+
+    let filterGraph = buildXfadeGraph(
+      parts.map((part) => part.duration),
+      transition,
+    );
+    const hasMusic = Boolean(musicPath && fs.existsSync(musicPath));
+    let nextInput = parts.length;
+    let hasAudio = false;
+
+    // Clip sound is cut in step with the overlapping video; with music it
+    // feeds the mix instead of the output
+    if (
+      usesClipAudio(audio, hasMusic) &&
+      (await this.hasAudioStream(localFiles[0]))
+    ) {
+      args.push("-f", "concat", "-safe", "0", "-i", listFile);
+      filterGraph += `;[${nextInput}:a]${buildTransitionAudioFilter(
+        durations,
+        transition,
+      )}[${hasMusic ? "clipaudio" : "aout"}]`;
+      nextInput += 1;
+      hasAudio = true;
+    }
+
+    if (hasMusic) {
+      args.push("-stream_loop", "-1", "-i", musicPath);
+      filterGraph += `;${buildAudioMixFilter({
+        music: `${nextInput}:a`,
+        clipAudio: hasAudio ? "clipaudio" : null,
+        audio,
+        duration: totalDuration,
+      })}`;
+      hasAudio = true;
+      this.info("compiler.concat.music_enabled", {
+        musicPath,
+        audioMode: audio.mode,
+      });
+    }
+
+    args.push("-filter_complex", filterGraph, "-map", "[vout]");
+    if (hasAudio) {
+      args.push("-map", "[aout]", "-c:a", "aac", "-b:a", "192k");
+    }
+    args.push(
+      "-c:v",
+      "libx264",
+      "-preset",
+      "fast",
+      "-crf",
+      "23",
+      "-pix_fmt",
+      "yuv420p",
+      "-t",
+      String(totalDuration),
+      "-movflags",
+      "+faststart",
+      "-y",
+      outputPath,
+    );
+
+    await this.runFfmpeg(
+      args,
+      "compiler.concat_transitions",
+      {
+        outputPath,
+        clipCount: localFiles.length,
+        transition: transition.type,
+        totalDuration,
       },
-      { folderId, fileName, fileSize },
+      { onTime },
     );
+    return outputPath;
+  }
 
-    return response.data;
+  // A cancel during the upload aborts it; a file stored anyway is deleted
+  async uploadOutput(filePath, fileName, folderId) {
+    const uploadedFile = await this.storage.createFile(folderId, {
+      name: fileName,
+      mimeType: "video/mp4",
+      filePath,
+      signal: this.signal,
+    });
+    if (this.signal?.aborted) {
+      await this.deleteOutput(uploadedFile.id);
+      throw createCancelledError();
+    }
+
+    this.info("compiler.output.uploaded", {
+      folderId,
+      fileName,
+      fileId: uploadedFile.id,
+    });
+    return uploadedFile;
+  }
+
+  // Remove an uploaded compilation whose job was cancelled
+  async deleteOutput(fileId) {
+    try {
+      await this.storage.deleteFile(fileId);
+      this.info("compiler.output.deleted", { fileId });
+    } catch (error) {
+      this.error("compiler.output.delete_failed", error, { fileId });
+    }
   }
 
   cleanup(sessionDir) {
@@ -0,0 +1,152 @@
+// Per-day records (captions, primary takes) kept in one JSON file per kind in
+// the app folder, so the gallery needs a single extra download rather than one
+// per clip. Works the same on every storage driver.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MAX_CACHED_RECORD_FILES = 200;
+
+// Parsed files keyed by "<fileId>:<modifiedTime>:<size>". S3 and WebDAV
+// times only have one-second resolution and S3 ids are keys, so a rewrite
+// can keep the key; writeDayRecord forgets the file's entries instead.
+const recordsCache = new Map();
+// Pending writes per folder and file, so concurrent edits don't overwrite
+// each other
+const pendingWrites = new Map();
+
+function findRecordsFile(files, fileName) {
+  return files
+    .filter((file) => file.name === fileName)
+    .sort((a, b) =>
+      String(b.modifiedTime || "").localeCompare(String(a.modifiedTime || "")),
+    )[0];
+}
+
+function getRecordsCacheKey(file) {
+  return `${file.id}:${file.modifiedTime}:${file.size ?? ""}`;
+}
+
+function forgetRecordsFile(fileId) {
+  for (const cacheKey of Array.from(recordsCache.keys())) {
+    if (cacheKey.startsWith(`${fileId}:`)) {
+      recordsCache.delete(cacheKey);
+    }
+  }
+}
+
+async function readStreamText(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Read { "YYYY-MM-DD": record } from the named file in a folder listing
+async function readDayRecords(storage, files, fileName) {
+  const recordsFile = findRecordsFile(files, fileName);
+  if (!recordsFile) {
+    return {};
+  }
+
+  const cacheKey = getRecordsCacheKey(recordsFile);
+  if (recordsCache.has(cacheKey)) {
+    return recordsCache.get(cacheKey);
+  }
+
+  let records = {};
+  try {
+    const parsed = JSON.parse(
+      await readStreamText(await storage.getFileStream(recordsFile.id)),
+    );
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      records = parsed;
+    }
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return {};
+    }
+    throw error;
+  }
+
+  if (recordsCache.size >= MAX_CACHED_RECORD_FILES) {
+    recordsCache.delete(recordsCache.keys().next().value);
+  }
+  recordsCache.set(cacheKey, records);
+  return records;
+}
+
+async function writeDayRecord(
+  storage,
+  folderId,
+  fileName,
+  date,
+  record,
+  tempDir,
+) {
+  const files = await storage.listFiles(folderId);
+  const records = { ...(await readDayRecords(storage, files, fileName)) };
+  if (!record && !records[date]) {
+    return records;
+  }
+
+  if (record) {
+    records[date] = record;
+  } else {
+    delete records[date];
+  }
+
+  const tempPath = path.join(
+    tempDir,
+    `${path.parse(fileName).name}-${crypto.randomUUID()}.json`,
+  );
+  try {
+    await fs.promises.writeFile(tempPath, JSON.stringify(records), "utf8");
+    const saved = await storage.createFile(folderId, {
+      name: fileName,
+      mimeType: "application/json",
+      filePath: tempPath,
+    });
+    forgetRecordsFile(saved.id);
+
+    // Drive keeps same-named files side by side; drop the old copies
+    for (const file of files) {
+      if (file.name === fileName && file.id !== saved.id) {
+        await storage.deleteFile(file.id);
+        forgetRecordsFile(file.id);
+      }
+    }
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+
+  return records;
+}
+
+// Set (or clear, with a null record) one day's record in the named file
+function saveDayRecord(storage, folderId, fileName, date, record, { tempDir }) {
+  const writeKey = `${folderId}:${fileName}`;
+  const previous = pendingWrites.get(writeKey) || Promise.resolve();
+  const pending = previous
+    .catch(() => {})
+    .then(() =>
+      writeDayRecord(storage, folderId, fileName, date, record, tempDir),
+    );
+
+  pendingWrites.set(writeKey, pending);
+  pending
+    .finally(() => {
+      if (pendingWrites.get(writeKey) === pending) {
+        pendingWrites.delete(writeKey);
+      }
+    })
+    .catch(() => {});
+
+  return pending;
+}
+
+module.exports = {
+  readDayRecords,
+  saveDayRecord,
+};
@@ -0,0 +1,139 @@
+// Conditional (ETag/Last-Modified) and Range handling for files streamed
+// from storage. Only single byte ranges are served partially; anything else
+// gets the whole file, which RFC 9110 allows.
+const crypto = require("crypto");
+
+// Storage ids and modified times identify a file's contents on every driver
+function getFileEtag(file) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${file.id}:${file.modifiedTime || ""}:${file.size || ""}`)
+    .digest("hex");
+  return `"${hash.slice(0, 32)}"`;
+}
+
+// HTTP dates have one-second resolution
+function toHttpSeconds(timestamp) {
+  return Math.floor(timestamp / 1000);
+}
+
+function matchesEtag(header, etag) {
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+function isNotModified(headers, etag, lastModified) {
+  if (headers["if-none-match"]) {
+    return matchesEtag(headers["if-none-match"], etag);
+  }
+
+  const since = Date.parse(headers["if-modified-since"] || "");
+  return (
+    !Number.isNaN(since) &&
+    !Number.isNaN(lastModified) &&
+    toHttpSeconds(lastModified) <= toHttpSeconds(since)
+  );
+}
+
+// If-Range holds either the ETag or the Last-Modified date the client saw
+function isRangeCurrent(ifRange, etag, lastModified) {
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) return ifRange.trim() === etag;
+
+  const date = Date.parse(ifRange);
+  return (
+    !Number.isNaN(date) &&
+    !Number.isNaN(lastModified) &&
+    toHttpSeconds(lastModified) <= toHttpSeconds(date)
+  );
+}
+
+// Returns { start, end } (inclusive), "unsatisfiable", or null to send the
+// whole file
+function parseRangeHeader(header, size) {
+  const match =
+    typeof header === "string" && header.trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0) return "unsatisfiable";
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    if (end < start && match[2]) return null;
+  }
+
+  return start >= size ? "unsatisfiable" : { start, end };
+}
+
+// Work out how to answer a GET for `file` given the request headers.
+// Returns { status, headers, range } where range is passed to getFileStream;
+// 304 and 416 responses have no body.
+function planFileResponse(requestHeaders, file, contentType) {
+  const size = Number(file.size);
+  const hasSize = file.size !== undefined && Number.isFinite(size);
+  const lastModified = Date.parse(file.modifiedTime || "");
+  const etag = getFileEtag(file);
+
+  const headers = {
+    "Content-Type": contentType,
+    "Cache-Control": "private, no-cache",
+    ETag: etag,
+  };
+  if (!Number.isNaN(lastModified)) {
+    headers["Last-Modified"] = new Date(lastModified).toUTCString();
+  }
+  if (hasSize) {
+    headers["Accept-Ranges"] = "bytes";
+  }
+
+  if (isNotModified(requestHeaders, etag, lastModified)) {
+    return { status: 304, headers, range: null };
+  }
+
+  const range =
+    hasSize && isRangeCurrent(requestHeaders["if-range"], etag, lastModified)
+      ? parseRangeHeader(requestHeaders.range, size)
+      : null;
+
+  if (range === "unsatisfiable") {
+    return {
+      status: 416,
+      headers: { ...headers, "Content-Range": `bytes */${size}` },
+      range: null,
+    };
+  }
+
+  if (range) {
+    return {
+      status: 206,
+      headers: {
+        ...headers,
+        "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+        "Content-Length": String(range.end - range.start + 1),
+      },
+      range,
+    };
+  }
+
+  if (hasSize) {
+    headers["Content-Length"] = String(size);
+  }
+  return { status: 200, headers, range: null };
+}
+
+module.exports = {
+  getFileEtag,
+  parseRangeHeader,
+  planFileResponse,
+};
@@ -0,0 +1,139 @@
+// Filmstrip of evenly spaced frame thumbnails, used to pick a trim start
+const { spawn } = require("child_process");
+const { ffmpegPath } = require("./backend-utils");
+
+const DEFAULT_FRAME_COUNT = 10;
+const MIN_FRAME_COUNT = 2;
+const MAX_FRAME_COUNT = 20;
+const FRAME_WIDTH = 160;
+const FFMPEG_TIMEOUT_MS = 30 * 1000;
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn(ffmpegPath, args);
+    const stdout = [];
+    let stderr = "";
+
+    const timeout = setTimeout(() => {
+      ffmpegProcess.kill("SIGKILL");
+      reject(new Error("FFmpeg timed out while building the filmstrip"));
+    }, FFMPEG_TIMEOUT_MS);
+
+    ffmpegProcess.stdout.on("data", (data) => stdout.push(data));
+    ffmpegProcess.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+    ffmpegProcess.on("close", (code) => {
+      clearTimeout(timeout);
+      resolve({ code, stdout: Buffer.concat(stdout), stderr });
+    });
+    ffmpegProcess.on("error", (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+  });
+}
+
+// "Duration: 00:01:02.50" in FFmpeg's input summary -> 62.5
+function parseDuration(ffmpegOutput) {
+  const match = ffmpegOutput.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  if (!match) return null;
+
+  const [hours, minutes, seconds] = match.slice(1).map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+async function getVideoDuration(filePath) {
+  // With no output file FFmpeg exits non-zero, but still prints the summary
+  const { stderr } = await runFfmpeg(["-hide_banner", "-i", filePath]);
+  const duration = parseDuration(stderr);
+  if (!duration) {
+    throw new Error("Could not read the video duration");
+  }
+  return duration;
+}
+
+// Frame times spread across the usable trim starts (0 to duration - 1s),
+// rounded to the 0.1s step of the start time input
+function getFilmstripTimestamps(duration, count) {
+  const lastStart = Math.max(0, duration - 1);
+  const times = [];
+
+  for (let i = 0; i < count; i++) {
+    const time =
+      Math.round(((lastStart * i) / Math.max(1, count - 1)) * 10) / 10;
+    if (times[times.length - 1] !== time) {
+      times.push(time);
+    }
+  }
+
+  return times;
+}
+
+function parseFrameCount(rawValue) {
+  if (rawValue === undefined || rawValue === "") {
+    return { value: DEFAULT_FRAME_COUNT };
+  }
+
+  const count = Number(rawValue);
+  if (
+    !Number.isInteger(count) ||
+    count < MIN_FRAME_COUNT ||
+    count > MAX_FRAME_COUNT
+  ) {
+    return {
+      error: `count must be a whole number between ${MIN_FRAME_COUNT} and ${MAX_FRAME_COUNT}`,
+    };
+  }
+
+  return { value: count };
+}
+
+// Returns { duration, frames: [{ time, image }] } with JPEG data URLs
+async function generateFilmstrip(
+  filePath,
+  { count = DEFAULT_FRAME_COUNT } = {},
+) {
+  const duration = await getVideoDuration(filePath);
+  const frames = [];
+
+  for (const time of getFilmstripTimestamps(duration, count)) {
+    // -ss before -i seeks by keyframe index instead of decoding from the start
+    const { code, stdout } = await runFfmpeg([
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-ss",
+      String(time),
+      "-i",
+      filePath,
+      "-frames:v",
+      "1",
+      "-vf",
+      `scale=${FRAME_WIDTH}:-2`,
+      "-q:v",
+      "5",
+      "-f",
+      "mjpeg",
+      "pipe:1",
+    ]);
+
+    if (code !== 0 || stdout.length === 0) {
+      throw new Error(`FFmpeg could not extract the frame at ${time}s`);
+    }
+
+    frames.push({
+      time,
+      image: `data:image/jpeg;base64,${stdout.toString("base64")}`,
+    });
+  }
+
+  return { duration, frames };
+}
+
+module.exports = {
+  generateFilmstrip,
+  getFilmstripTimestamps,
+  parseDuration,
+  parseFrameCount,
+};
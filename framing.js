@@ -0,0 +1,46 @@
+// How clips that don't match the output aspect ratio fill the frame
+const { parseEnum } = require("./request-options");
+
+const FRAMING_MODES = ["pad", "blur", "crop"];
+const DEFAULT_FRAMING_MODE = "pad";
+const BLUR_RADIUS = 20;
+
+// `framing`: how clips of another shape fill the frame
+function parseFramingMode(raw) {
+  if (raw === undefined || raw === null) {
+    return { value: DEFAULT_FRAMING_MODE };
+  }
+  return parseEnum(raw, "framing", FRAMING_MODES);
+}
+
+// Filter graph scaling one input to exactly width x height:
+//   pad  - fit inside the frame with black bars
+//   blur - fit inside a scaled, blurred copy of itself
+//   crop - fill the frame, cropping the overflow
+// Further filters can be appended with a comma.
+function buildFramingFilter(width, height, mode = DEFAULT_FRAMING_MODE) {
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  const fill = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+
+  if (mode === "crop") {
+    return `${fill},setsar=1`;
+  }
+
+  if (mode === "blur") {
+    return [
+      "split=2[framebg][framefg]",
+      `[framebg]${fill},boxblur=${BLUR_RADIUS}:2[frameblur]`,
+      `[framefg]${fit}[framefit]`,
+      "[frameblur][framefit]overlay=(W-w)/2:(H-h)/2,setsar=1",
+    ].join(";");
+  }
+
+  return `${fit},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`;
+}
+
+module.exports = {
+  DEFAULT_FRAMING_MODE,
+  FRAMING_MODES,
+  buildFramingFilter,
+  parseFramingMode,
+};
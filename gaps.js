@@ -0,0 +1,90 @@
+// Days without a clip in a compilation's date range ("gaps") and how the
+// video shows them: left out, as a "No moment" card with the date, or by
+// holding the last frame of the day before
+const { formatOverlayDate } = require("./overlays");
+const { parseEnum } = require("./request-options");
+
+const GAP_POLICIES = ["skip", "card", "hold"];
+const DEFAULT_GAP_POLICY = "skip";
+// Every day of the range becomes a segment, so the range is capped
+const MAX_GAP_RANGE_DAYS = 3660;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CARD_TITLE = "No moment";
+
+// `gapPolicy`: how missed days are shown
+function parseGapPolicy(raw) {
+  if (raw === undefined || raw === null) {
+    return { value: DEFAULT_GAP_POLICY };
+  }
+  return parseEnum(raw, "gapPolicy", GAP_POLICIES);
+}
+
+function isGapFillEnabled(gapPolicy) {
+  return Boolean(gapPolicy) && gapPolicy !== "skip";
+}
+
+// Days from startDate to endDate (YYYY-MM-DD, inclusive), counted in UTC
+function countRangeDays(startDate, endDate) {
+  const start = Date.parse(`${startDate}T00:00:00.000Z`);
+  const end = Date.parse(`${endDate}T00:00:00.000Z`);
+  return Math.round((end - start) / DAY_MS) + 1;
+}
+
+function getClipDate(clip) {
+  return clip.name.match(/^(\d{4}-\d{2}-\d{2})/)?.[1] || null;
+}
+
+function listRangeDates(startDate, endDate) {
+  const start = Date.parse(`${startDate}T00:00:00.000Z`);
+  return Array.from({ length: countRangeDays(startDate, endDate) }, (_, i) =>
+    new Date(start + i * DAY_MS).toISOString().slice(0, 10),
+  );
+}
+
+// Segments of a compilation in order: { date, clip } for each day with a clip
+// and, unless gaps are skipped, { date, gap } for each day without one, where
+// `gap` is "card" or "hold". A gap before the first clip has no frame to hold
+// and gets a card. `clips` are named YYYY-MM-DD.ext.
+function planTimeline(clips, { startDate, endDate, gapPolicy }) {
+  if (!isGapFillEnabled(gapPolicy) || !startDate || !endDate) {
+    return clips.map((clip) => ({ date: getClipDate(clip), clip }));
+  }
+
+  const clipsByDate = new Map(clips.map((clip) => [getClipDate(clip), clip]));
+
+  const timeline = [];
+  let seenClip = false;
+  for (const date of listRangeDates(startDate, endDate)) {
+    const clip = clipsByDate.get(date);
+    if (clip) {
+      seenClip = true;
+      timeline.push({ date, clip });
+    } else {
+      timeline.push({
+        date,
+        gap: gapPolicy === "hold" && seenClip ? "hold" : "card",
+      });
+    }
+  }
+  return timeline;
+}
+
+// Text of the card shown for a missed day
+function getGapCardLines(date, dateFormat = "long") {
+  return [
+    { text: CARD_TITLE, size: 72 },
+    { text: formatOverlayDate(date, dateFormat), size: 48, color: "white@0.7" },
+  ];
+}
+
+module.exports = {
+  DEFAULT_GAP_POLICY,
+  GAP_POLICIES,
+  MAX_GAP_RANGE_DAYS,
+  countRangeDays,
+  getClipDate,
+  getGapCardLines,
+  isGapFillEnabled,
+  parseGapPolicy,
+  planTimeline,
+};
@@ -0,0 +1,147 @@
+// Stream parameters of media files, read with ffprobe
+const { spawn } = require("child_process");
+const { ffprobePath } = require("./backend-utils");
+
+const PROBE_TIMEOUT_MS = 30 * 1000;
+
+// ffprobe gives some numbers as strings, e.g. sample_rate "48000"
+function toNumber(raw) {
+  const value = Number(raw);
+  return raw === undefined || raw === null || !Number.isFinite(value)
+    ? null
+    : value;
+}
+
+// Container, duration and first video and audio stream of parsed
+// `ffprobe -show_format -show_streams` output. Rates and time bases stay
+// fractions as ffprobe gives them, e.g. "30/1" and "1/15360".
+function parseStreamInfo(probe) {
+  const streams = Array.isArray(probe?.streams) ? probe.streams : [];
+  const videoStream = streams.find((stream) => stream.codec_type === "video");
+  const audioStream = streams.find((stream) => stream.codec_type === "audio");
+
+  const video = videoStream
+    ? {
+        codec: videoStream.codec_name || null,
+        pixFmt: videoStream.pix_fmt || null,
+        width: toNumber(videoStream.width),
+        height: toNumber(videoStream.height),
+        fps: videoStream.r_frame_rate || null,
+        timebase: videoStream.time_base || null,
+      }
+    : null;
+
+  const audio = audioStream
+    ? {
+        codec: audioStream.codec_name || null,
+        sampleRate: toNumber(audioStream.sample_rate),
+        channels: audioStream.channel_layout || toNumber(audioStream.channels),
+      }
+    : null;
+
+  return {
+    formatName: probe?.format?.format_name || null,
+    duration: toNumber(probe?.format?.duration),
+    video,
+    audio,
+  };
+}
+
+// Rejects when ffprobe cannot run or cannot read the file
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    const ffprobeProcess = spawn(ffprobePath, [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      filePath,
+    ]);
+    let stdout = "";
+    let stderrTail = "";
+
+    const timeout = setTimeout(() => {
+      ffprobeProcess.kill("SIGKILL");
+      reject(new Error("ffprobe timed out while reading media info"));
+    }, PROBE_TIMEOUT_MS);
+
+    ffprobeProcess.stdout.on("data", (data) => {
+      stdout += data.toString();
+    });
+    ffprobeProcess.stderr.on("data", (data) => {
+      stderrTail = (stderrTail + data.toString()).slice(-2000);
+    });
+    ffprobeProcess.on("close", (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) {
+        reject(
+          Object.assign(new Error(`ffprobe exited with code ${code}`), {
+            stderrTail,
+          }),
+        );
+        return;
+      }
+
+      try {
+        resolve(parseStreamInfo(JSON.parse(stdout)));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    ffprobeProcess.on("error", (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+  });
+}
+
+function sameValues(a, b, keys) {
+  return keys.every((key) => a[key] === b[key]);
+}
+
+// Whether probed clips can be joined by the concat demuxer without
+// re-encoding: every clip needs identical video parameters at the output
+// size and, when their audio is kept, identical audio (or none at all).
+// Returns { ok } or { ok: false, reason }.
+function checkStreamCopy(streamInfos, { width, height, includeAudio = true }) {
+  const [first] = streamInfos;
+  if (!first?.video) {
+    return { ok: false, reason: "no_video" };
+  }
+
+  const videoKeys = ["codec", "pixFmt", "width", "height", "fps", "timebase"];
+  if (
+    videoKeys.some((key) => first.video[key] === null) ||
+    first.video.width !== width ||
+    first.video.height !== height
+  ) {
+    return { ok: false, reason: "video_parameters" };
+  }
+
+  for (const info of streamInfos) {
+    if (!info.video || !sameValues(info.video, first.video, videoKeys)) {
+      return { ok: false, reason: "video_mismatch" };
+    }
+
+    if (!includeAudio) continue;
+    if (Boolean(info.audio) !== Boolean(first.audio)) {
+      return { ok: false, reason: "audio_mismatch" };
+    }
+    if (
+      info.audio &&
+      !sameValues(info.audio, first.audio, ["codec", "sampleRate", "channels"])
+    ) {
+      return { ok: false, reason: "audio_mismatch" };
+    }
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  checkStreamCopy,
+  parseStreamInfo,
+  probeMedia,
+};
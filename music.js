@@ -0,0 +1,167 @@
+// Background music for compilations: the per-user library of tracks in the
+// "music" subfolder, accepted formats and validation of uploads with ffprobe
+const { spawn } = require("child_process");
+const path = require("path");
+const { ffprobePath } = require("./backend-utils");
+const { getMimeType } = require("./storage/common");
+
+const MUSIC_FOLDER_NAME = "music";
+const MAX_MUSIC_BYTES = 50 * 1024 * 1024;
+const MAX_TRACK_TITLE_LENGTH = 80;
+const MUSIC_FILE_PATTERN = /\.(?:mp3|m4a|aac|ogg|wav|flac)$/i;
+const MAX_MUSIC_DURATION_SECONDS = 60 * 60;
+const PROBE_TIMEOUT_MS = 30 * 1000;
+
+// ffprobe container names (one entry of format_name) -> stored extension
+const MUSIC_CONTAINERS = new Map([
+  ["mp3", ".mp3"],
+  ["mp4", ".m4a"],
+  ["m4a", ".m4a"],
+  ["aac", ".aac"],
+  ["ogg", ".ogg"],
+  ["wav", ".wav"],
+  ["flac", ".flac"],
+]);
+const MUSIC_CODECS = ["mp3", "aac", "vorbis", "opus", "flac", "alac"];
+
+function isMusicCodec(codecName) {
+  return MUSIC_CODECS.includes(codecName) || /^pcm_/.test(codecName || "");
+}
+
+// Check parsed `ffprobe -show_format -show_streams` output. Returns
+// { value: { container, extension, codec, duration } } or { error }.
+function parseMusicProbe(probe) {
+  const formatNames = String(probe?.format?.format_name || "").split(",");
+  const container = formatNames.find((name) => MUSIC_CONTAINERS.has(name));
+  if (!container) {
+    return { error: "Music must be an MP3, AAC/M4A, OGG, WAV or FLAC file" };
+  }
+
+  const streams = probe.streams || [];
+  // Cover art in MP3/M4A files shows up as an attached picture stream
+  if (
+    streams.some(
+      (stream) =>
+        stream.codec_type === "video" && !stream.disposition?.attached_pic,
+    )
+  ) {
+    return { error: "Music must not contain video" };
+  }
+
+  const audioStream = streams.find((stream) => stream.codec_type === "audio");
+  if (!audioStream || !isMusicCodec(audioStream.codec_name)) {
+    return { error: "Music must contain a supported audio track" };
+  }
+
+  const duration = Number(probe.format.duration ?? audioStream.duration);
+  if (!Number.isFinite(duration) || duration <= 0) {
+    return { error: "Could not read the music duration" };
+  }
+
+  if (duration > MAX_MUSIC_DURATION_SECONDS) {
+    return {
+      error: `Music must be at most ${MAX_MUSIC_DURATION_SECONDS / 60} minutes long`,
+    };
+  }
+
+  return {
+    value: {
+      container,
+      extension: MUSIC_CONTAINERS.get(container),
+      codec: audioStream.codec_name,
+      duration,
+    },
+  };
+}
+
+// Probe an uploaded music file. Resolves { value } or { error } like
+// parseMusicProbe; rejects only when ffprobe itself cannot run.
+function probeMusic(filePath) {
+  return new Promise((resolve, reject) => {
+    const ffprobeProcess = spawn(ffprobePath, [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      filePath,
+    ]);
+    let stdout = "";
+
+    const timeout = setTimeout(() => {
+      ffprobeProcess.kill("SIGKILL");
+      reject(new Error("ffprobe timed out while reading the music file"));
+    }, PROBE_TIMEOUT_MS);
+
+    ffprobeProcess.stdout.on("data", (data) => {
+      stdout += data.toString();
+    });
+    ffprobeProcess.stderr.resume();
+    ffprobeProcess.on("close", (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) {
+        resolve({ error: "Music is not a readable audio file" });
+        return;
+      }
+
+      try {
+        resolve(parseMusicProbe(JSON.parse(stdout)));
+      } catch {
+        resolve({ error: "Music is not a readable audio file" });
+      }
+    });
+    ffprobeProcess.on("error", (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+  });
+}
+
+function isMusicTrackFile(file) {
+  return Boolean(file?.name && MUSIC_FILE_PATTERN.test(file.name));
+}
+
+// Stored name for an uploaded track: the uploaded name cleaned up, with the
+// extension of the format ffprobe found. A " (2)" style suffix keeps it from
+// replacing a track of the same name.
+function getMusicTrackFileName(originalName, extension, existingNames = []) {
+  const baseName = path
+    .basename(String(originalName || ""))
+    .replace(/\.[^.]*$/, "")
+    .replace(/[^\p{L}\p{N} ._()'&,-]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_TRACK_TITLE_LENGTH)
+    .trim();
+  const title = baseName.replace(/^\.+/, "") || "Track";
+  const taken = new Set(existingNames.map((name) => name.toLowerCase()));
+
+  let fileName = `${title}${extension}`;
+  for (let copy = 2; taken.has(fileName.toLowerCase()); copy++) {
+    fileName = `${title} (${copy})${extension}`;
+  }
+  return fileName;
+}
+
+function describeMusicTrack(file) {
+  return {
+    id: file.id,
+    name: file.name,
+    title: file.name.replace(MUSIC_FILE_PATTERN, ""),
+    mimeType: getMimeType(file.name),
+    size: file.size ? Number(file.size) : null,
+    createdTime: file.createdTime,
+  };
+}
+
+module.exports = {
+  MAX_MUSIC_BYTES,
+  MAX_MUSIC_DURATION_SECONDS,
+  MUSIC_FOLDER_NAME,
+  describeMusicTrack,
+  getMusicTrackFileName,
+  isMusicTrackFile,
+  parseMusicProbe,
+  probeMusic,
+};
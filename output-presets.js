@@ -0,0 +1,34 @@
+// Output size presets for compilations
+const { parseEnum } = require("./request-options");
+
+const OUTPUT_PRESETS = {
+  landscape: { label: "Landscape 1080p", width: 1920, height: 1080 },
+  vertical: { label: "Vertical 1080x1920", width: 1080, height: 1920 },
+  square: { label: "Square 1080x1080", width: 1080, height: 1080 },
+  "720p": { label: "Landscape 720p", width: 1280, height: 720 },
+  "4k": { label: "Landscape 4K", width: 3840, height: 2160 },
+};
+const DEFAULT_OUTPUT_PRESET = "landscape";
+
+// `preset`: the name of the output size
+function parseOutputPreset(raw) {
+  if (raw === undefined || raw === null) {
+    return { value: DEFAULT_OUTPUT_PRESET };
+  }
+  return parseEnum(raw, "preset", Object.keys(OUTPUT_PRESETS));
+}
+
+// { name, label, width, height } for a preset name, falling back to the default
+function getOutputPreset(name) {
+  const presetName = Object.hasOwn(OUTPUT_PRESETS, name)
+    ? name
+    : DEFAULT_OUTPUT_PRESET;
+  return { name: presetName, ...OUTPUT_PRESETS[presetName] };
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_PRESET,
+  OUTPUT_PRESETS,
+  getOutputPreset,
+  parseOutputPreset,
+};
@@ -0,0 +1,244 @@
+// Text overlays burned into compilation clips (date and caption)
+const fs = require("fs");
+const {
+  parseBoolean,
+  parseEnum,
+  parseNumberInRange,
+  parseOptionFields,
+} = require("./request-options");
+
+const OVERLAY_POSITIONS = [
+  "top-left",
+  "top-center",
+  "top-right",
+  "bottom-left",
+  "bottom-center",
+  "bottom-right",
+];
+const DATE_FORMATS = ["long", "short", "weekday", "iso", "dmy", "mdy"];
+const MIN_FONT_SIZE = 16;
+const MAX_FONT_SIZE = 160;
+// Font sizes are given for a 1080-line frame and scaled to the output's
+// shorter side, so vertical and square outputs get the same text size
+const REFERENCE_HEIGHT = 1080;
+
+const DEFAULT_OVERLAY = {
+  showDate: false,
+  showCaption: false,
+  position: "bottom-left",
+  fontSize: 48,
+  dateFormat: "long",
+};
+
+// Bundled with Debian/Ubuntu (fonts-dejavu) and Alpine (font-dejavu)
+const FONT_CANDIDATES = [
+  process.env.OVERLAY_FONT_FILE,
+  "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+  "/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf",
+  "/usr/share/fonts/TTF/DejaVuSans-Bold.ttf",
+  "/System/Library/Fonts/Supplemental/Arial Bold.ttf",
+];
+
+let resolvedFontFile;
+
+function getFontFile() {
+  if (resolvedFontFile === undefined) {
+    resolvedFontFile =
+      FONT_CANDIDATES.find((candidate) => {
+        return candidate && fs.existsSync(candidate);
+      }) || null;
+  }
+
+  return resolvedFontFile;
+}
+
+// `overlay`: which text is burned into the clips and how it looks
+function parseOverlayOptions(raw) {
+  return parseOptionFields(raw, "overlay", DEFAULT_OVERLAY, {
+    showDate: parseBoolean,
+    showCaption: parseBoolean,
+    position: (value, field) => parseEnum(value, field, OVERLAY_POSITIONS),
+    fontSize: (value, field) =>
+      parseNumberInRange(value, field, MIN_FONT_SIZE, MAX_FONT_SIZE, {
+        integer: true,
+      }),
+    dateFormat: (value, field) => parseEnum(value, field, DATE_FORMATS),
+  });
+}
+
+function isOverlayEnabled(overlay) {
+  return Boolean(overlay && (overlay.showDate || overlay.showCaption));
+}
+
+// Format a YYYY-MM-DD string; computed in UTC so the day never shifts
+function formatOverlayDate(dateString, dateFormat = "long") {
+  const [year, month, day] = dateString.split("-");
+  const date = new Date(`${dateString}T00:00:00.000Z`);
+  const format = (options) =>
+    new Intl.DateTimeFormat("en-US", { timeZone: "UTC", ...options }).format(
+      date,
+    );
+
+  switch (dateFormat) {
+    case "iso":
+      return dateString;
+    case "dmy":
+      return `${day}/${month}/${year}`;
+    case "mdy":
+      return `${month}/${day}/${year}`;
+    case "short":
+      return format({ month: "short", day: "numeric" });
+    case "weekday":
+      return format({
+        weekday: "long",
+        month: "long",
+        day: "numeric",
+        year: "numeric",
+      });
+    default:
+      return format({ month: "long", day: "numeric", year: "numeric" });
+  }
+}
+
+// drawtext cannot wrap, so break captions into lines that fit the frame
+function wrapText(text, maxChars) {
+  const lines = [];
+
+  for (const paragraph of text.split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + 1 + word.length > maxChars) {
+        lines.push(line);
+        line = "";
+      }
+
+      let remaining = word;
+      while (remaining.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = "";
+        }
+        lines.push(remaining.slice(0, maxChars));
+        remaining = remaining.slice(maxChars);
+      }
+
+      line = line ? `${line} ${remaining}` : remaining;
+    }
+
+    if (line) lines.push(line);
+  }
+
+  return lines;
+}
+
+// Filter option values go through the filtergraph parser and then the
+// option parser, so special characters need escaping at both levels
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\':,;[\]]/g, (char) => `\\\\\\${char}`);
+}
+
+// Write the overlay text for one clip and return the drawtext filters to
+// append to its video filter chain. `overlay` holds the compile settings plus
+// the clip's `date` and `caption`. Text goes through files so captions never
+// need filtergraph escaping.
+function buildOverlayFilters(overlay, { width, height, textFilePrefix }) {
+  if (!isOverlayEnabled(overlay)) {
+    return [];
+  }
+
+  const scale = Math.min(width, height) / REFERENCE_HEIGHT;
+  const dateSize = Math.round(overlay.fontSize * scale);
+  const captionSize = Math.round(overlay.fontSize * 0.75 * scale);
+  const margin = Math.round(Math.min(width, height) * 0.05);
+  const gap = Math.round(dateSize * 0.35);
+  const lineSpacing = Math.round(captionSize * 0.25);
+
+  const dateText =
+    overlay.showDate && overlay.date
+      ? formatOverlayDate(overlay.date, overlay.dateFormat)
+      : "";
+  // Average glyph width is a little over half the font size
+  const maxChars = Math.max(
+    10,
+    Math.floor((width - margin * 2) / (captionSize * 0.6)),
+  );
+  const captionLines =
+    overlay.showCaption && overlay.caption
+      ? wrapText(overlay.caption, maxChars).slice(0, 4)
+      : [];
+
+  const [vertical, horizontal] = overlay.position.split("-");
+  const x =
+    horizontal === "left"
+      ? String(margin)
+      : horizontal === "right"
+        ? `w-text_w-${margin}`
+        : "(w-text_w)/2";
+
+  const captionHeight = captionLines.length
+    ? captionLines.length * captionSize +
+      (captionLines.length - 1) * lineSpacing
+    : 0;
+
+  const entries = [];
+  if (dateText) {
+    entries.push({
+      name: "date",
+      text: dateText,
+      size: dateSize,
+      y:
+        vertical === "top"
+          ? margin
+          : height -
+            margin -
+            captionHeight -
+            (captionHeight ? gap : 0) -
+            dateSize,
+    });
+  }
+  if (captionLines.length) {
+    entries.push({
+      name: "caption",
+      text: captionLines.join("\n"),
+      size: captionSize,
+      y:
+        vertical === "top"
+          ? margin + (dateText ? dateSize + gap : 0)
+          : height - margin - captionHeight,
+    });
+  }
+
+  const fontFile = getFontFile();
+  return entries.map((entry) => {
+    const textFile = `${textFilePrefix}-${entry.name}.txt`;
+    fs.writeFileSync(textFile, entry.text, "utf8");
+
+    const options = [
+      fontFile ? `fontfile=${escapeFilterValue(fontFile)}` : "font=Sans",
+      `textfile=${escapeFilterValue(textFile)}`,
+      "expansion=none",
+      `fontsize=${entry.size}`,
+      "fontcolor=white",
+      `line_spacing=${lineSpacing}`,
+      "box=1",
+      "boxcolor=black@0.45",
+      `boxborderw=${Math.round(entry.size * 0.25)}`,
+      `x=${x}`,
+      `y=${Math.round(entry.y)}`,
+    ];
+    return `drawtext=${options.join(":")}`;
+  });
+}
+
+module.exports = {
+  DATE_FORMATS,
+  DEFAULT_OVERLAY,
+  OVERLAY_POSITIONS,
+  buildOverlayFilters,
+  escapeFilterValue,
+  formatOverlayDate,
+  getFontFile,
+  isOverlayEnabled,
+  parseOverlayOptions,
+  wrapText,
+};
@@ -7,6 +7,16 @@ const API = {
     return response.json();
   },
 
+  // Sign in with WebDAV/Nextcloud credentials
+  async webdavLogin(url, username, password) {
+    const response = await fetch("/api/auth/webdav", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ url, username, password }),
+    });
+    return this.handleResponse(response);
+  },
+
   // Logout
   async logout() {
     const response = await fetch("/api/auth/logout", { method: "POST" });
@@ -66,7 +76,7 @@ const API = {
     return `/api/clips/${clipId}/video`;
   },
 
-  // Delete a clip
+  // Delete a clip or one take of a day
   async deleteClip(clipId) {
     const response = await fetch(`/api/clips/${clipId}`, {
       method: "DELETE",
@@ -74,26 +84,94 @@ const API = {
     return this.handleResponse(response);
   },
 
-  // Request video compilation with date range
-  async compileVideo(startDate, endDate, musicData = null) {
+  // Make a take the primary clip of its day
+  async setPrimaryTake(clipId) {
+    const response = await fetch(`/api/clips/${clipId}/primary`, {
+      method: "POST",
+    });
+    return this.handleResponse(response);
+  },
+
+  // Set or clear (empty string) the caption for a clip's day
+  async updateCaption(clipId, caption) {
+    const response = await fetch(`/api/clips/${clipId}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ caption }),
+    });
+    return this.handleResponse(response);
+  },
+
+  // Get the tracks of the user's music library
+  async getMusicTracks() {
+    const response = await fetch("/api/music");
+    return this.handleResponse(response);
+  },
+
+  // Add an audio file to the music library
+  async uploadMusic(file) {
+    const formData = new FormData();
+    formData.append("music", file, file.name);
+
+    const response = await fetch("/api/music", {
+      method: "POST",
+      body: formData,
+    });
+    return this.handleResponse(response);
+  },
+
+  // Get the preview stream URL for a library track
+  getMusicStreamUrl(trackId) {
+    return `/api/music/${trackId}/stream`;
+  },
+
+  // Remove a track from the music library
+  async deleteMusicTrack(trackId) {
+    const response = await fetch(`/api/music/${trackId}`, {
+      method: "DELETE",
+    });
+    return this.handleResponse(response);
+  },
+
+  // Request video compilation with date range; options carries the
+  // compile settings (e.g. overlay, preset, framing, transition, audio).
+  // Music is a track of the library, picked by id.
+  async compileVideo(startDate, endDate, musicTrackId = null, options = {}) {
     const response = await fetch("/api/compile", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ startDate, endDate, musicData }),
+      body: JSON.stringify({
+        startDate,
+        endDate,
+        ...(musicTrackId ? { musicTrackId } : {}),
+        ...options,
+      }),
     });
     return this.handleResponse(response);
   },
 
-  // Get compilation status
-  async getCompileStatus() {
-    const response = await fetch("/api/compile/status");
-    return response.json();
+  // List the user's queued, running and finished compilations
+  async getCompileJobs() {
+    const response = await fetch("/api/compile/jobs");
+    return this.handleResponse(response);
   },
 
-  // Clear compilation status
-  async clearCompileStatus() {
-    const response = await fetch("/api/compile/status", { method: "DELETE" });
-    return response.json();
+  // Cancel a queued or running compilation
+  async cancelCompileJob(jobId) {
+    const response = await fetch(
+      `/api/compile/jobs/${encodeURIComponent(jobId)}/cancel`,
+      { method: "POST" },
+    );
+    return this.handleResponse(response);
+  },
+
+  // Dismiss a finished compilation
+  async dismissCompileJob(jobId) {
+    const response = await fetch(
+      `/api/compile/jobs/${encodeURIComponent(jobId)}`,
+      { method: "DELETE" },
+    );
+    return this.handleResponse(response);
   },
 
   // Get all compilations
@@ -115,16 +193,171 @@ const API = {
     return this.handleResponse(response);
   },
 
-  // Upload and trim a video to 1 second
-  async uploadAndTrim(file, date, startTime = 0) {
-    const formData = new FormData();
-    formData.append("video", file);
-    formData.append("date", date);
-    formData.append("startTime", startTime.toString());
+  UPLOAD_CHUNK_SIZE: 4 * 1024 * 1024,
+  UPLOAD_MAX_RETRIES: 8,
+
+  // Resumable upload sessions by file fingerprint, so retrying the same file
+  // continues where the previous attempt stopped
+  pendingUploads: new Map(),
+
+  // Uploads in flight by fingerprint, so the filmstrip preview and the final
+  // submit share one transfer instead of racing on the same session
+  activeUploads: new Map(),
+
+  async getUploadStatus(uploadId) {
+    const response = await fetch(`/api/uploads/${uploadId}`);
+    return this.handleResponse(response);
+  },
+
+  // Wait until the browser is back online, then back off a little more
+  async waitForNetwork(delayMs) {
+    if (!navigator.onLine) {
+      await new Promise((resolve) =>
+        window.addEventListener("online", resolve, { once: true }),
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+  },
+
+  // Upload a file in chunks, resuming after network loss. Resolves with the
+  // uploadId to finalize; onProgress receives the fraction uploaded.
+  async uploadFileResumable(file, { onProgress } = {}) {
+    const fingerprint = `${file.name}:${file.size}:${file.lastModified}`;
+    let upload = this.activeUploads.get(fingerprint);
+
+    if (!upload) {
+      upload = { progress: 0, listeners: new Set() };
+      upload.promise = this.runResumableUpload(
+        file,
+        fingerprint,
+        (fraction) => {
+          upload.progress = fraction;
+          upload.listeners.forEach((listener) => listener(fraction));
+        },
+      ).finally(() => this.activeUploads.delete(fingerprint));
+      this.activeUploads.set(fingerprint, upload);
+    }
+
+    if (onProgress) {
+      upload.listeners.add(onProgress);
+      onProgress(upload.progress);
+    }
+
+    try {
+      return await upload.promise;
+    } finally {
+      upload.listeners.delete(onProgress);
+    }
+  },
+
+  async runResumableUpload(file, fingerprint, onProgress) {
+    let session = null;
+
+    if (this.pendingUploads.has(fingerprint)) {
+      session = await this.getUploadStatus(
+        this.pendingUploads.get(fingerprint),
+      ).catch(() => null);
+    }
+
+    if (!session) {
+      const response = await fetch("/api/uploads", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          fileName: file.name,
+          mimeType: file.type,
+          size: file.size,
+        }),
+      });
+      session = await this.handleResponse(response);
+      this.pendingUploads.set(fingerprint, session.uploadId);
+    }
+
+    let offset = session.offset;
+    let failures = 0;
+    onProgress(offset / file.size);
+
+    while (offset < file.size) {
+      const end = Math.min(offset + this.UPLOAD_CHUNK_SIZE, file.size);
+
+      try {
+        const response = await fetch(`/api/uploads/${session.uploadId}`, {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/octet-stream",
+            "Content-Range": `bytes ${offset}-${end - 1}/${file.size}`,
+          },
+          body: file.slice(offset, end),
+        });
+        const data = await response.json().catch(() => ({}));
+
+        // Out of sync (e.g. part of a dropped chunk arrived); realign
+        if (response.status === 409 && typeof data.offset === "number") {
+          offset = data.offset;
+          continue;
+        }
+
+        if (!response.ok) {
+          const error = new Error(data.error || "Upload failed");
+          error.status = response.status;
+          throw error;
+        }
+
+        offset = data.offset;
+        failures = 0;
+        onProgress(offset / file.size);
+      } catch (error) {
+        // Client errors won't succeed on retry; network and 5xx errors might
+        if (error.status && error.status < 500) {
+          this.pendingUploads.delete(fingerprint);
+          throw error;
+        }
+
+        failures += 1;
+        if (failures > this.UPLOAD_MAX_RETRIES) {
+          throw error;
+        }
+
+        console.warn(`Upload chunk failed, retrying (${failures})`, error);
+        await this.waitForNetwork(Math.min(1000 * 2 ** (failures - 1), 15000));
+        const status = await this.getUploadStatus(session.uploadId).catch(
+          () => null,
+        );
+        if (status) {
+          offset = status.offset;
+        }
+      }
+    }
+
+    return { uploadId: session.uploadId, fingerprint };
+  },
+
+  // Frame thumbnails with timestamps for a completed resumable upload; the
+  // upload stays pending so it can be finalized afterwards
+  async getFilmstrip(uploadId, count) {
+    const response = await fetch("/api/clips/filmstrip", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ uploadId, count }),
+    });
+    return this.handleResponse(response);
+  },
+
+  // Upload (resumably) and trim a video to 1 second
+  async uploadAndTrim(file, date, startTime = 0, { onProgress } = {}) {
+    const { uploadId, fingerprint } = await this.uploadFileResumable(file, {
+      onProgress,
+    });
+
     const response = await fetch("/api/clips/upload-trim", {
       method: "POST",
-      body: formData,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ uploadId, date, startTime }),
     });
+    // The session is consumed once processing starts
+    if (response.status !== 409) {
+      this.pendingUploads.delete(fingerprint);
+    }
     if (!response.ok) {
       let errorMsg = `Upload failed (${response.status})`;
       try {
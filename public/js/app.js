@@ -6,9 +6,10 @@ class App {
     this.user = null;
     this.clips = [];
     this.clipsByDate = new Map();
-    this.selectedMusicData = null;
-    this.selectedMusicTitle = null;
+    this.musicTracks = [];
+    this.selectedMusicTrack = null;
     this.uploadPreviewUrl = null;
+    this.signInMode = "google";
     this.activeModalId = null;
     this.lastFocusedElement = null;
     this.pendingConfirmation = null;
@@ -45,6 +46,12 @@ class App {
         // Check for ongoing compilation
         this.checkCompileStatus();
       } else {
+        this.signInMode = authStatus.signInMode || "google";
+        if (this.signInMode === "local") {
+          this.showLocalSignIn();
+        } else if (this.signInMode === "webdav") {
+          this.showWebDavSignIn(authStatus.webdavUrlRequired);
+        }
         this.showScreen("auth");
       }
     } catch (error) {
@@ -82,6 +89,54 @@ class App {
     loadingSubtext.textContent = "Bringing the day back into focus...";
   }
 
+  // Server stores moments on its own disk and signs in without Google
+  showLocalSignIn() {
+    const signInBtn = document.getElementById("google-signin-btn");
+    if (signInBtn) {
+      signInBtn.textContent = "Continue";
+    }
+
+    const privacyNote = document.querySelector("#auth-screen .privacy-note");
+    if (privacyNote) {
+      privacyNote.textContent = "Your moments are saved on this server.";
+    }
+  }
+
+  // Users sign in with their own WebDAV/Nextcloud account instead of Google
+  showWebDavSignIn(urlRequired) {
+    document.getElementById("google-signin-btn")?.classList.add("hidden");
+    document.getElementById("webdav-signin-form")?.classList.remove("hidden");
+    document.getElementById("webdav-url-group").hidden = !urlRequired;
+    document.getElementById("webdav-url").required = Boolean(urlRequired);
+
+    const privacyNote = document.querySelector("#auth-screen .privacy-note");
+    if (privacyNote) {
+      privacyNote.textContent =
+        "Your moments are saved to your own WebDAV storage. Use an app password where your server supports one.";
+    }
+  }
+
+  async submitWebDavSignIn(event) {
+    event.preventDefault();
+
+    const submitBtn = document.getElementById("webdav-signin-btn");
+    const errorEl = document.getElementById("webdav-signin-error");
+    submitBtn.disabled = true;
+    errorEl.textContent = "";
+
+    try {
+      await API.webdavLogin(
+        document.getElementById("webdav-url").value,
+        document.getElementById("webdav-username").value,
+        document.getElementById("webdav-password").value,
+      );
+      window.location.reload();
+    } catch (error) {
+      errorEl.textContent = error.message || "Sign-in failed";
+      submitBtn.disabled = false;
+    }
+  }
+
   startUploadingDelight(kind = "video") {
     const note = document.getElementById("uploading-rotating-note");
     if (!note) {
@@ -132,7 +187,7 @@ class App {
     const googleSignInBtn = document.getElementById("google-signin-btn");
     if (googleSignInBtn) {
       googleSignInBtn.addEventListener("click", async (event) => {
-        if (!Platform.isNative()) {
+        if (!Platform.isNative() || this.signInMode !== "google") {
           return;
         }
 
@@ -141,6 +196,12 @@ class App {
       });
     }
 
+    document
+      .getElementById("webdav-signin-form")
+      ?.addEventListener("submit", (event) => {
+        this.submitWebDavSignIn(event);
+      });
+
     // Profile dropdown toggle
     const userInfoBtn = document.getElementById("user-info-btn");
     const profileDropdown = document.getElementById("profile-dropdown");
@@ -304,7 +365,7 @@ class App {
         this.updateCompileClipCount();
       });
 
-    // Music file upload
+    // Adding a track to the music library
     document
       .getElementById("music-file-input")
       .addEventListener("change", (e) => {
@@ -316,12 +377,78 @@ class App {
         this.clearSelectedMusic();
       });
 
+    const musicPreview = document.getElementById("music-preview-audio");
+    musicPreview.addEventListener("loadedmetadata", () => {
+      document.getElementById("music-start").max = String(
+        Math.max(0, Math.floor(musicPreview.duration) - 1),
+      );
+    });
+    document.getElementById("music-start").addEventListener("change", (e) => {
+      this.setMusicStart(Number(e.target.value));
+    });
+    document
+      .getElementById("music-start-from-preview")
+      .addEventListener("click", () => {
+        this.setMusicStart(musicPreview.currentTime);
+      });
+
+    // Music settings only matter while the music plays
+    document.getElementById("audio-mode").addEventListener("change", () => {
+      this.updateAudioSettingsVisibility();
+    });
+    document.getElementById("beat-sync-mode").addEventListener("change", () => {
+      this.updateAudioSettingsVisibility();
+    });
+    document
+      .getElementById("beat-sync-beats")
+      .addEventListener("change", () => this.updateCompileClipCount());
+    document
+      .getElementById("compile-gap-policy")
+      .addEventListener("change", () => this.updateCompileClipCount());
+
+    // Transition duration only matters once a transition is chosen
+    ["transition-type", "transition-duration"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", () => {
+        this.updateTransitionSettingsVisibility();
+        this.updateCompileClipCount();
+      });
+    });
+
+    // Title card settings only matter for the cards that are shown
+    ["intro-enabled", "outro-enabled"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", () => {
+        this.updateTitleCardSettingsVisibility();
+        this.updateCompileClipCount();
+      });
+    });
+    ["intro-duration", "outro-duration"].forEach((id) => {
+      document
+        .getElementById(id)
+        .addEventListener("change", () => this.updateCompileClipCount());
+    });
+
+    // Overlay settings only matter once something is drawn
+    ["overlay-show-date", "overlay-show-caption"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", () => {
+        this.updateOverlaySettingsVisibility();
+      });
+    });
+
     document
       .getElementById("compilations-btn")
       .addEventListener("click", () => {
         this.showCompilationsModal();
       });
 
+    document
+      .getElementById("compilation-status-container")
+      .addEventListener("click", (e) => {
+        const cancelButton = e.target.closest("[data-compile-job-id]");
+        if (cancelButton) {
+          this.cancelCompileJob(cancelButton);
+        }
+      });
+
     document
       .getElementById("compilations-list")
       .addEventListener("click", (e) => {
@@ -387,6 +514,12 @@ class App {
         }
       });
 
+    document
+      .getElementById("day-caption-form")
+      .addEventListener("submit", (e) => {
+        this.saveDayCaption(e);
+      });
+
     // Upload modal
     document
       .getElementById("close-upload-modal")
@@ -434,6 +567,26 @@ class App {
         this.handleFileSelect(e.target.files[0]);
       });
 
+    // Trim start scrubber and filmstrip
+    document.getElementById("trim-scrubber").addEventListener("input", (e) => {
+      this.setTrimStart(parseFloat(e.target.value) || 0);
+    });
+
+    document.getElementById("trim-start").addEventListener("input", (e) => {
+      this.setTrimStart(parseFloat(e.target.value) || 0, {
+        updateInput: false,
+      });
+    });
+
+    document
+      .getElementById("trim-filmstrip-frames")
+      .addEventListener("click", (e) => {
+        const frame = e.target.closest(".trim-filmstrip-frame");
+        if (frame) {
+          this.setTrimStart(parseFloat(frame.dataset.time));
+        }
+      });
+
     // Submit upload
     document.getElementById("submit-upload").addEventListener("click", () => {
       this.submitUpload();
@@ -1229,8 +1382,21 @@ class App {
     // Clear existing buttons
     buttonsContainer.innerHTML = "";
 
+    // Captions belong to a day's clip, so only offer them once one exists
+    const captionForm = document.getElementById("day-caption-form");
+    captionForm.classList.toggle("hidden", !clip);
+    captionForm.dataset.clipId = clip ? clip.id : "";
+    document.getElementById("day-caption-input").value = clip?.caption || "";
+
+    // Days with several takes list them to switch, preview or delete each
+    const takes = clip?.takes || [];
+    document
+      .getElementById("day-takes")
+      .classList.toggle("hidden", takes.length < 2);
+    this.renderDayTakes(dateString, takes.length > 1 ? takes : []);
+
     if (clip) {
-      // Day has a video/image - show view, replace, delete options
+      // Day has a video/image - show view, add take, delete options
       const isImage = clip.type === "image";
 
       const viewBtn = document.createElement("button");
@@ -1244,27 +1410,29 @@ class App {
       });
       buttonsContainer.appendChild(viewBtn);
 
-      const replaceBtn = document.createElement("button");
-      replaceBtn.className = "day-option-btn secondary";
-      replaceBtn.innerHTML = isImage
-        ? '<span class="material-symbols-rounded">sync</span> Replace Image'
-        : '<span class="material-symbols-rounded">sync</span> Replace Video';
-      replaceBtn.addEventListener("click", () => {
+      const addTakeBtn = document.createElement("button");
+      addTakeBtn.className = "day-option-btn secondary";
+      addTakeBtn.innerHTML =
+        '<span class="material-symbols-rounded">add_circle</span> Add Another Take';
+      addTakeBtn.addEventListener("click", () => {
         this.closeDayOptionsModal();
-        this.openUploadModal(dateString, true); // true = replace mode
+        this.openUploadModal(dateString, true); // true = add a take
       });
-      buttonsContainer.appendChild(replaceBtn);
-
-      const deleteBtn = document.createElement("button");
-      deleteBtn.className = "day-option-btn danger";
-      deleteBtn.innerHTML = isImage
-        ? '<span class="material-symbols-rounded">delete</span> Delete Image'
-        : '<span class="material-symbols-rounded">delete</span> Delete Video';
-      deleteBtn.addEventListener("click", () => {
-        this.closeDayOptionsModal();
-        this.deleteClip(clip);
-      });
-      buttonsContainer.appendChild(deleteBtn);
+      buttonsContainer.appendChild(addTakeBtn);
+
+      // With several takes, each one is deleted from the takes list
+      if (takes.length < 2) {
+        const deleteBtn = document.createElement("button");
+        deleteBtn.className = "day-option-btn danger";
+        deleteBtn.innerHTML = isImage
+          ? '<span class="material-symbols-rounded">delete</span> Delete Image'
+          : '<span class="material-symbols-rounded">delete</span> Delete Video';
+        deleteBtn.addEventListener("click", () => {
+          this.closeDayOptionsModal();
+          this.deleteClip(clip);
+        });
+        buttonsContainer.appendChild(deleteBtn);
+      }
     } else {
       // No video for this day - show record and upload options
       const recordBtn = document.createElement("button");
@@ -1305,6 +1473,98 @@ class App {
     this.closeModal("day-options-modal", options);
   }
 
+  renderDayTakes(dateString, takes) {
+    const list = document.getElementById("day-takes-list");
+    list.replaceChildren();
+
+    takes.forEach((take) => {
+      const item = document.createElement("li");
+      item.className = "day-take";
+      item.classList.toggle("primary", take.primary);
+
+      if (take.thumbnail) {
+        const thumb = document.createElement("img");
+        thumb.src = take.thumbnail;
+        thumb.alt = "";
+        thumb.className = "day-take-thumbnail";
+        item.appendChild(thumb);
+      }
+
+      const label = document.createElement("span");
+      label.className = "day-take-label";
+      label.textContent = take.primary
+        ? `Take ${take.take} · Primary`
+        : `Take ${take.take}`;
+      item.appendChild(label);
+
+      const addAction = (icon, title, onClick) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "icon-btn day-take-action";
+        button.title = title;
+        button.setAttribute("aria-label", `${title} (take ${take.take})`);
+        button.innerHTML = `<span class="material-symbols-rounded">${icon}</span>`;
+        button.addEventListener("click", onClick);
+        item.appendChild(button);
+      };
+
+      addAction("play_circle", "Preview", () => {
+        this.closeDayOptionsModal();
+        this.showVideoPreview(dateString, take);
+      });
+      if (!take.primary) {
+        addAction("star", "Make primary", () => this.setPrimaryTake(take));
+      }
+      addAction("delete", "Delete take", () => {
+        this.closeDayOptionsModal();
+        this.deleteClip(take);
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  async setPrimaryTake(take) {
+    try {
+      await API.setPrimaryTake(take.id);
+      showToast(`Take ${take.take} is now the primary`, "success");
+      this.closeDayOptionsModal();
+      await this.loadClips();
+      this.renderGallery();
+    } catch (error) {
+      console.error("Primary take error:", error);
+      showToast(error.message || "Failed to switch takes", "error");
+    }
+  }
+
+  async saveDayCaption(event) {
+    event.preventDefault();
+
+    const form = document.getElementById("day-caption-form");
+    const input = document.getElementById("day-caption-input");
+    const saveBtn = document.getElementById("day-caption-save");
+    const clipId = form.dataset.clipId;
+    if (!clipId) {
+      return;
+    }
+
+    saveBtn.disabled = true;
+    try {
+      const { caption } = await API.updateCaption(clipId, input.value);
+      const clip = this.clips.find((c) => c.id === clipId);
+      if (clip) {
+        clip.caption = caption;
+      }
+      input.value = caption;
+      showToast(caption ? "Caption saved" : "Caption removed", "success");
+    } catch (error) {
+      console.error("Caption save error:", error);
+      showToast(error.message || "Failed to save caption", "error");
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
   async deleteClip(clip) {
     const confirmed = await this.requestConfirmation({
       title: "Delete this moment?",
@@ -1409,6 +1669,7 @@ class App {
 
     this.updateCompileClipCount();
     this.openModal("compile-modal", "#compile-start-date");
+    this.loadMusicLibrary();
   }
 
   closeCompileModal(options) {
@@ -1417,58 +1678,207 @@ class App {
     this.clearSelectedMusic();
   }
 
-  handleMusicFileSelect(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+  async loadMusicLibrary() {
+    const list = document.getElementById("music-library");
+    list.innerHTML = '<div class="loading-music">Loading your music...</div>';
 
-    // Validate file type
-    if (!file.type.includes("audio") && !file.name.endsWith(".mp3")) {
-      showToast("Please select an MP3 file", "error");
-      return;
+    try {
+      const { tracks } = await API.getMusicTracks();
+      this.musicTracks = tracks;
+      this.renderMusicLibrary();
+    } catch (error) {
+      console.error("Failed to load music library", error);
+      list.innerHTML = '<div class="no-music">Failed to load your music</div>';
     }
+  }
+
+  renderMusicLibrary() {
+    const list = document.getElementById("music-library");
+    list.replaceChildren();
 
-    // Validate file size (max 20MB)
-    if (file.size > 20 * 1024 * 1024) {
-      showToast("File too large. Max 20MB.", "error");
+    if (!this.musicTracks.length) {
+      list.innerHTML =
+        '<div class="no-music">No tracks yet. Add one to your library below.</div>';
       return;
     }
 
-    // Read file as base64
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      this.selectedMusicData = event.target.result; // base64 data URL
-      this.selectedMusicTitle = file.name;
+    this.musicTracks.forEach((track) => {
+      const selected = this.selectedMusicTrack?.id === track.id;
+      const item = document.createElement("div");
+      item.className = "music-track";
+      item.classList.toggle("selected", selected);
 
-      // Update UI
-      document.getElementById("music-file-name").textContent = file.name;
-      document.getElementById("selected-music-title").textContent = file.name;
-      document.getElementById("selected-music").classList.remove("hidden");
+      const info = document.createElement("div");
+      info.className = "music-track-info";
+
+      const title = document.createElement("div");
+      title.className = "music-track-title";
+      title.textContent = track.title;
+      info.appendChild(title);
+
+      if (track.size) {
+        const meta = document.createElement("div");
+        meta.className = "music-track-meta";
+        meta.textContent = `${(track.size / 1024 / 1024).toFixed(1)} MB`;
+        info.appendChild(meta);
+      }
 
-      // Set up audio preview
-      const audioPlayer = document.getElementById("music-preview-audio");
-      audioPlayer.src = event.target.result;
-      audioPlayer.classList.remove("hidden");
+      const actions = document.createElement("div");
+      actions.className = "music-actions";
+
+      const selectButton = document.createElement("button");
+      selectButton.type = "button";
+      selectButton.className = "music-select-btn";
+      selectButton.setAttribute("aria-pressed", String(selected));
+      selectButton.setAttribute("aria-label", `Use ${track.title}`);
+      selectButton.innerHTML = `<span class="material-symbols-rounded">${
+        selected ? "check" : "add"
+      }</span>`;
+      selectButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.selectMusicTrack(track);
+      });
 
-      showToast("Music added!", "success");
-    };
-    reader.readAsDataURL(file);
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "music-preview-btn";
+      deleteButton.setAttribute("aria-label", `Delete ${track.title}`);
+      deleteButton.innerHTML =
+        '<span class="material-symbols-rounded">delete</span>';
+      deleteButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.deleteMusicTrack(track);
+      });
+
+      actions.append(selectButton, deleteButton);
+      item.append(info, actions);
+      item.addEventListener("click", () => this.selectMusicTrack(track));
+      list.appendChild(item);
+    });
+  }
+
+  // Pick a library track for the compilation; picking it again clears it
+  selectMusicTrack(track) {
+    const alreadySelected = this.selectedMusicTrack?.id === track.id;
+    this.clearSelectedMusic();
+    if (alreadySelected) return;
+
+    this.selectedMusicTrack = track;
+    document.getElementById("selected-music-title").textContent = track.title;
+    document.getElementById("selected-music").classList.remove("hidden");
+    this.updateAudioSettingsVisibility();
+    this.renderMusicLibrary();
+
+    // Preview streams from storage, with range requests for seeking
+    const audioPlayer = document.getElementById("music-preview-audio");
+    audioPlayer.src = API.getMusicStreamUrl(track.id);
+    audioPlayer.classList.remove("hidden");
+  }
+
+  async deleteMusicTrack(track) {
+    const confirmed = await this.requestConfirmation({
+      title: "Delete this track?",
+      message: `"${track.title}" will be removed from your music library. Compilations already made with it are not affected.`,
+      confirmLabel: "Delete track",
+      destructive: true,
+    });
+
+    if (!confirmed) return;
+
+    try {
+      await API.deleteMusicTrack(track.id);
+      if (this.selectedMusicTrack?.id === track.id) {
+        this.clearSelectedMusic();
+      }
+      this.musicTracks = this.musicTracks.filter(
+        (candidate) => candidate.id !== track.id,
+      );
+      this.renderMusicLibrary();
+      showToast("Track deleted", "success");
+    } catch (error) {
+      showToast("Failed to delete track", "error");
+    }
+  }
+
+  async handleMusicFileSelect(e) {
+    const input = e.target;
+    const file = input.files[0];
+    if (!file) return;
+
+    // The server checks the format itself; this only catches obvious mistakes
+    if (
+      !file.type.startsWith("audio/") &&
+      !/\.(mp3|m4a|aac|ogg|oga|wav|flac)$/i.test(file.name)
+    ) {
+      showToast("Please select an MP3, M4A, OGG, WAV or FLAC file", "error");
+      return;
+    }
+
+    // Validate file size (max 50MB)
+    if (file.size > 50 * 1024 * 1024) {
+      showToast("File too large. Max 50MB.", "error");
+      return;
+    }
+
+    const fileName = document.getElementById("music-file-name");
+    fileName.textContent = `Uploading ${file.name}...`;
+    input.disabled = true;
+
+    try {
+      const { track } = await API.uploadMusic(file);
+      this.musicTracks = [...this.musicTracks, track].sort((a, b) =>
+        a.name.localeCompare(b.name),
+      );
+      this.selectMusicTrack(track);
+      showToast("Added to your music library", "success");
+    } catch (error) {
+      showToast(error.message || "Failed to upload music", "error");
+    } finally {
+      input.value = "";
+      input.disabled = false;
+      fileName.textContent = "Add a track to your library...";
+    }
   }
 
   clearSelectedMusic() {
-    this.selectedMusicData = null;
-    this.selectedMusicTitle = null;
+    const hadSelection = Boolean(this.selectedMusicTrack);
+    this.selectedMusicTrack = null;
 
-    document.getElementById("music-file-input").value = "";
-    document.getElementById("music-file-name").textContent =
-      "Choose MP3 file...";
     document.getElementById("selected-music").classList.add("hidden");
+    const startInput = document.getElementById("music-start");
+    startInput.value = "0";
+    startInput.removeAttribute("max");
+    this.updateAudioSettingsVisibility();
 
     const audioPlayer = document.getElementById("music-preview-audio");
     if (audioPlayer) {
       audioPlayer.pause();
-      audioPlayer.src = "";
+      audioPlayer.removeAttribute("src");
+      audioPlayer.load();
       audioPlayer.classList.add("hidden");
     }
+
+    if (hadSelection) {
+      this.renderMusicLibrary();
+    }
+  }
+
+  // Keep the start offset inside the track and preview from there
+  setMusicStart(seconds) {
+    const startInput = document.getElementById("music-start");
+    const audioPlayer = document.getElementById("music-preview-audio");
+    const duration = Number.isFinite(audioPlayer.duration)
+      ? audioPlayer.duration
+      : Infinity;
+    const start = Math.min(
+      Math.max(0, seconds || 0),
+      Math.max(0, duration - 1),
+    );
+
+    startInput.value = String(Math.round(start * 10) / 10);
+    if (Number.isFinite(audioPlayer.duration)) {
+      audioPlayer.currentTime = start;
+    }
   }
 
   getUniqueDatesInRange(startDate, endDate) {
@@ -1491,10 +1901,146 @@ class App {
 
     const uniqueDates = this.getUniqueDatesInRange(startDate, endDate);
     const count = uniqueDates.size;
-
+    // Filled gaps get a one-second segment like the clips
+    const gapCount =
+      startDate &&
+      endDate &&
+      document.getElementById("compile-gap-policy").value !== "skip"
+        ? Math.max(0, this.countRangeDays(startDate, endDate) - count)
+        : 0;
+    const segments = count + gapCount;
+    const titleCards = this.getTitleCardOptions();
+    const cards = [titleCards.intro, titleCards.outro].filter(
+      (card) => card.enabled,
+    );
+    const cardSeconds = cards.reduce((sum, card) => sum + card.duration, 0);
+
+    // Each transition overlaps its two neighbours
+    const transition = this.getTransitionOptions();
+    const overlap =
+      transition.type === "none"
+        ? 0
+        : Math.max(0, segments + cards.length - 1) * transition.duration;
+    const seconds = Math.round((segments + cardSeconds - overlap) * 10) / 10;
+    // With beat sync the length depends on the music's tempo
+    const length =
+      this.getBeatSyncOptions().mode === "off"
+        ? `${seconds}s`
+        : "length follows the beat";
+
+    const gaps = gapCount
+      ? ` + ${gapCount} missed day${gapCount !== 1 ? "s" : ""}`
+      : "";
     countEl.textContent = `${count} clip${
       count !== 1 ? "s" : ""
-    } in selected range`;
+    }${gaps} in selected range · ${length}`;
+  }
+
+  // Days from startDate to endDate (YYYY-MM-DD), both included
+  countRangeDays(startDate, endDate) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const start = Date.parse(`${startDate}T00:00:00Z`);
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+    return Math.round((end - start) / dayMs) + 1;
+  }
+
+  updateTransitionSettingsVisibility() {
+    const enabled = document.getElementById("transition-type").value !== "none";
+    document
+      .getElementById("transition-duration-row")
+      .classList.toggle("hidden", !enabled);
+  }
+
+  getTransitionOptions() {
+    return {
+      type: document.getElementById("transition-type").value,
+      duration: Number(document.getElementById("transition-duration").value),
+    };
+  }
+
+  updateAudioSettingsVisibility() {
+    const mode = document.getElementById("audio-mode").value;
+    document
+      .getElementById("audio-options")
+      .classList.toggle("hidden", !this.selectedMusicTrack);
+    document
+      .getElementById("audio-music-settings")
+      .classList.toggle("hidden", mode === "original");
+    document
+      .getElementById("audio-mix-settings")
+      .classList.toggle("hidden", mode !== "mixed");
+    document
+      .getElementById("beat-sync-beats-row")
+      .classList.toggle(
+        "hidden",
+        document.getElementById("beat-sync-mode").value !== "multiple",
+      );
+    this.updateCompileClipCount();
+  }
+
+  getAudioOptions() {
+    return {
+      mode: document.getElementById("audio-mode").value,
+      musicVolume:
+        Number(document.getElementById("audio-music-volume").value) / 100,
+      clipVolume:
+        Number(document.getElementById("audio-clip-volume").value) / 100,
+      ducking: document.getElementById("audio-ducking").checked,
+      fadeIn: Number(document.getElementById("audio-fade-in").value),
+      fadeOut: Number(document.getElementById("audio-fade-out").value),
+      musicStart: Number(document.getElementById("music-start").value) || 0,
+    };
+  }
+
+  // Cuts only follow the beat while the chosen music plays
+  getBeatSyncOptions() {
+    const mode = document.getElementById("beat-sync-mode").value;
+    const musicPlays =
+      this.selectedMusicTrack &&
+      document.getElementById("audio-mode").value !== "original";
+    return {
+      mode: musicPlays ? mode : "off",
+      beatsPerClip: Number(document.getElementById("beat-sync-beats").value),
+    };
+  }
+
+  updateTitleCardSettingsVisibility() {
+    ["intro", "outro"].forEach((kind) => {
+      document
+        .getElementById(`${kind}-settings`)
+        .classList.toggle(
+          "hidden",
+          !document.getElementById(`${kind}-enabled`).checked,
+        );
+    });
+  }
+
+  getTitleCardOptions() {
+    const getCard = (kind) => ({
+      enabled: document.getElementById(`${kind}-enabled`).checked,
+      title: document.getElementById(`${kind}-title`).value,
+      duration: Number(document.getElementById(`${kind}-duration`).value),
+    });
+    return { intro: getCard("intro"), outro: getCard("outro") };
+  }
+
+  updateOverlaySettingsVisibility() {
+    const enabled =
+      document.getElementById("overlay-show-date").checked ||
+      document.getElementById("overlay-show-caption").checked;
+    document
+      .getElementById("overlay-settings")
+      .classList.toggle("hidden", !enabled);
+  }
+
+  getOverlayOptions() {
+    return {
+      showDate: document.getElementById("overlay-show-date").checked,
+      showCaption: document.getElementById("overlay-show-caption").checked,
+      position: document.getElementById("overlay-position").value,
+      fontSize: Number(document.getElementById("overlay-font-size").value),
+      dateFormat: document.getElementById("overlay-date-format").value,
+    };
   }
 
   async startCompile() {
@@ -1510,8 +2056,16 @@ class App {
       return;
     }
 
-    // Save music data before closing modal (closeCompileModal clears it)
-    const musicData = this.selectedMusicData;
+    // Save music before closing modal (closeCompileModal clears it)
+    const musicTrackId = this.selectedMusicTrack?.id ?? null;
+    const overlay = this.getOverlayOptions();
+    const preset = document.getElementById("compile-preset").value;
+    const framing = document.getElementById("compile-framing").value;
+    const gapPolicy = document.getElementById("compile-gap-policy").value;
+    const transition = this.getTransitionOptions();
+    const audio = this.getAudioOptions();
+    const beatSync = this.getBeatSyncOptions();
+    const titleCards = this.getTitleCardOptions();
 
     startCompileBtn.disabled = true;
     startCompileBtn.textContent = "Starting...";
@@ -1519,12 +2073,25 @@ class App {
     this.closeCompileModal();
 
     try {
-      const result = await API.compileVideo(startDate, endDate, musicData);
+      const result = await API.compileVideo(startDate, endDate, musicTrackId, {
+        overlay,
+        preset,
+        framing,
+        transition,
+        audio,
+        beatSync,
+        gapPolicy,
+        titleCards,
+      });
       if (result.status === "started") {
         showToast("Compilation started! Check status in menu.", "success");
         this.startCompileStatusPolling();
-      } else if (result.status === "already_compiling") {
-        showToast("A compilation is already in progress", "info");
+      } else if (result.status === "queued") {
+        showToast(
+          `Compilation queued (position ${result.queuePosition}). Check status in menu.`,
+          "success",
+        );
+        this.startCompileStatusPolling();
       } else {
         showToast(result.message, "error");
       }
@@ -1544,24 +2111,12 @@ class App {
 
     this.compileStatusInterval = setInterval(async () => {
       try {
-        const status = await API.getCompileStatus();
-        this.renderCompilationStatus(status);
+        const { jobs } = await API.getCompileJobs();
+        await this.handleCompileJobs(jobs);
 
-        if (status.status === "complete") {
-          clearInterval(this.compileStatusInterval);
-          this.compileStatusInterval = null;
-          showToast(
-            `Compilation complete! ${status.clipCount} clips compiled.`,
-            "success",
-          );
-          await API.clearCompileStatus();
-          await this.loadCompilationsList();
-        } else if (status.status === "error") {
+        if (!jobs.some((job) => this.isCompileJobActive(job))) {
           clearInterval(this.compileStatusInterval);
           this.compileStatusInterval = null;
-          showToast(`Compilation failed: ${status.error}`, "error");
-          await API.clearCompileStatus();
-          await this.loadCompilationsList();
         }
       } catch (error) {
         // Ignore polling errors
@@ -1569,13 +2124,70 @@ class App {
     }, 3000); // Check every 3 seconds
   }
 
-  // Check for any ongoing compilation on page load
+  isCompileJobActive(job) {
+    return job.status === "queued" || job.status === "compiling";
+  }
+
+  // Show queued and running jobs, and report and dismiss finished ones
+  async handleCompileJobs(jobs) {
+    this.renderCompilationStatus(jobs);
+
+    const finished = jobs.filter((job) => !this.isCompileJobActive(job));
+    for (const job of finished) {
+      if (job.status === "complete") {
+        showToast(
+          `Compilation complete! ${job.clipCount} clips compiled.`,
+          "success",
+        );
+      } else if (job.status === "cancelled") {
+        showToast("Compilation cancelled", "info");
+      } else {
+        showToast(`Compilation failed: ${job.error}`, "error");
+      }
+      await API.dismissCompileJob(job.id);
+    }
+
+    if (finished.length) {
+      await this.loadCompilationsList();
+    }
+  }
+
+  async cancelCompileJob(button) {
+    const confirmed = await this.requestConfirmation({
+      title: "Cancel this compilation?",
+      message:
+        "The video stops being made and nothing is saved. You can start it again later.",
+      confirmLabel: "Cancel compilation",
+      destructive: true,
+    });
+    if (!confirmed) return;
+
+    button.disabled = true;
+    button.textContent = "Cancelling...";
+    try {
+      await API.cancelCompileJob(button.dataset.compileJobId);
+      // Polling reports the job once it has stopped
+      this.startCompileStatusPolling();
+    } catch (error) {
+      showToast("Failed to cancel the compilation", "error");
+      button.disabled = false;
+      button.textContent = "Cancel";
+    }
+  }
+
+  // Check for queued or running compilations on page load
   async checkCompileStatus() {
     try {
-      const status = await API.getCompileStatus();
-      this.renderCompilationStatus(status);
-      if (status.status === "compiling") {
-        showToast(`Compilation in progress: ${status.progress}`, "info");
+      const { jobs } = await API.getCompileJobs();
+      await this.handleCompileJobs(jobs);
+      const active = jobs.filter((job) => this.isCompileJobActive(job));
+      if (active.length) {
+        showToast(
+          active.length === 1
+            ? `Compilation in progress: ${active[0].progress}`
+            : `${active.length} compilations in progress`,
+          "info",
+        );
         this.startCompileStatusPolling();
       }
     } catch (error) {
@@ -1593,24 +2205,71 @@ class App {
     await this.loadCompilationsList({ showLoading: true });
   }
 
-  renderCompilationStatus(status) {
+  renderCompilationStatus(jobs = []) {
     const container = document.getElementById("compilation-status-container");
     if (!container) return;
 
-    if (status?.status === "compiling") {
-      const progressText = status.progress || "Processing...";
-      container.innerHTML = `
+    container.innerHTML = jobs
+      .filter((job) => this.isCompileJobActive(job))
+      .map((job) => {
+        const queued = job.status === "queued";
+        const title = queued
+          ? "🕒 Waiting to compile"
+          : "⏳ Compilation in progress";
+        const progressText = queued
+          ? `Number ${job.queuePosition} in the queue`
+          : job.progress || "Processing...";
+        const percent = Math.min(
+          100,
+          Math.max(0, Math.round(job.percent || 0)),
+        );
+        const eta = this.formatCompileEta(job.etaSeconds);
+        const progressBar = queued
+          ? ""
+          : `
+            <div
+              class="status-bar"
+              role="progressbar"
+              aria-label="Compilation progress"
+              aria-valuemin="0"
+              aria-valuemax="100"
+              aria-valuenow="${percent}"
+            >
+              <div class="status-bar-fill" style="width: ${percent}%"></div>
+            </div>
+            <div class="status-meta">${percent}%${eta ? ` · ${eta}` : ""}</div>`;
+        return `
         <div class="compilation-status">
           <div class="status-spinner"></div>
           <div class="status-info">
-            <div class="status-title">⏳ Compilation in progress</div>
-            <div class="status-progress">${progressText}</div>
+            <div class="status-title">${title}</div>
+            <div class="status-progress">${progressText}</div>${progressBar}
           </div>
+          <button
+            type="button"
+            class="cancel-compile-btn"
+            data-compile-job-id="${job.id}"
+            aria-label="Cancel this compilation"
+          >
+            Cancel
+          </button>
         </div>
       `;
-    } else {
-      container.innerHTML = "";
-    }
+      })
+      .join("");
+  }
+
+  // "About 3 min left" from a job's ETA, or "" while there is none
+  formatCompileEta(etaSeconds) {
+    if (!Number.isFinite(etaSeconds)) return "";
+    if (etaSeconds < 60) return "Less than a minute left";
+
+    const minutes = Math.round(etaSeconds / 60);
+    if (minutes < 60) return `About ${minutes} min left`;
+
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return `About ${hours} h${rest ? ` ${rest} min` : ""} left`;
   }
 
   async loadCompilationsList({ showLoading = false } = {}) {
@@ -1626,20 +2285,20 @@ class App {
     }
 
     try {
-      let status = null;
+      let jobs = [];
       try {
-        status = await API.getCompileStatus();
+        ({ jobs } = await API.getCompileJobs());
       } catch (statusError) {
         console.error("Failed to fetch compilation status", statusError);
       }
 
-      this.renderCompilationStatus(status);
+      this.renderCompilationStatus(jobs);
 
       const { compilations } = await API.getCompilations();
 
       if (!compilations.length) {
         list.innerHTML = "";
-        if (status?.status === "compiling") {
+        if (jobs.some((job) => this.isCompileJobActive(job))) {
           emptyState.classList.add("hidden");
         } else {
           emptyState.classList.remove("hidden");
@@ -1746,7 +2405,7 @@ class App {
 
   // ============ UPLOAD MODAL ============
 
-  openUploadModal(presetDate = null, replaceMode = false) {
+  openUploadModal(presetDate = null, addTakeMode = false) {
     const dateInput = document.getElementById("video-date");
     const dateDisplay = document.getElementById("video-date-display");
     const uploadFileLabel = document.querySelector(
@@ -1760,14 +2419,15 @@ class App {
     // Display in European format (dd-mm-yyyy)
     dateDisplay.textContent = CONFIG.formatDateStringForDisplay(dateValue);
 
-    // Store replace mode
-    this.uploadReplaceMode = replaceMode;
+    // Store add-take mode
+    this.uploadTakeMode = addTakeMode;
 
     // Reset form
     document.getElementById("video-file-input").value = "";
     document.getElementById("file-name").textContent = "Choose file...";
     document.getElementById("trim-start").value = "0";
     document.getElementById("trim-start-group").hidden = false;
+    this.resetFilmstrip();
     document.getElementById("upload-preview").classList.add("hidden");
     document.getElementById("upload-preview-image").classList.add("hidden");
     document.getElementById("submit-upload").disabled = true;
@@ -1837,6 +2497,96 @@ class App {
       videoPreview.src = fileUrl;
       videoPreview.classList.remove("hidden");
     }
+
+    document.getElementById("trim-start").value = "0";
+    this.resetFilmstrip();
+    if (!isImage) {
+      this.loadFilmstrip(file);
+    }
+  }
+
+  resetFilmstrip() {
+    document.getElementById("trim-filmstrip").hidden = true;
+    document.getElementById("trim-filmstrip-frames").innerHTML = "";
+    document.getElementById("trim-filmstrip-status").hidden = true;
+    document.getElementById("trim-scrubber").value = "0";
+  }
+
+  // Upload the video in the background and show frames to pick the start
+  // from; submitting reuses the same upload
+  async loadFilmstrip(file) {
+    const status = document.getElementById("trim-filmstrip-status");
+    status.textContent = "Preparing frames...";
+    status.hidden = false;
+
+    try {
+      const { uploadId } = await API.uploadFileResumable(file, {
+        onProgress: (fraction) => {
+          if (this.selectedFile === file && fraction < 1) {
+            status.textContent = `Preparing frames... ${Math.floor(fraction * 100)}%`;
+          }
+        },
+      });
+      const filmstrip = await API.getFilmstrip(uploadId);
+      if (this.selectedFile !== file) return;
+
+      this.renderFilmstrip(filmstrip);
+      status.hidden = true;
+    } catch (error) {
+      if (this.selectedFile !== file) return;
+      console.warn("Filmstrip unavailable:", error);
+      status.textContent = "Frames unavailable. Enter a start time instead.";
+    }
+  }
+
+  renderFilmstrip({ duration, frames }) {
+    const framesContainer = document.getElementById("trim-filmstrip-frames");
+    framesContainer.innerHTML = frames
+      .map(
+        (frame) => `
+          <button type="button" class="trim-filmstrip-frame" data-time="${frame.time}">
+            <img src="${frame.image}" alt="" />
+            <span>${frame.time.toFixed(1)}s</span>
+          </button>
+        `,
+      )
+      .join("");
+
+    const scrubber = document.getElementById("trim-scrubber");
+    scrubber.max = String(Math.max(0, Math.floor((duration - 1) * 10) / 10));
+    document.getElementById("trim-filmstrip").hidden = false;
+
+    this.setTrimStart(parseFloat(document.getElementById("trim-start").value));
+  }
+
+  // Sync the start time input, scrubber, selected frame and preview position
+  setTrimStart(time, { updateInput = true } = {}) {
+    const scrubber = document.getElementById("trim-scrubber");
+    const maxStart = parseFloat(scrubber.max) || 0;
+    const startTime = Math.min(Math.max(time || 0, 0), maxStart || Infinity);
+
+    if (updateInput) {
+      document.getElementById("trim-start").value = String(startTime);
+    }
+    scrubber.value = String(startTime);
+
+    // Highlight the last frame at or before the start time
+    const frames = document.querySelectorAll(".trim-filmstrip-frame");
+    let selected = null;
+    frames.forEach((frame) => {
+      if (parseFloat(frame.dataset.time) <= startTime) {
+        selected = frame;
+      }
+    });
+    frames.forEach((frame) =>
+      frame.classList.toggle("selected", frame === selected),
+    );
+
+    const videoPreview = document.getElementById("upload-preview");
+    if (videoPreview.src && videoPreview.readyState > 0) {
+      videoPreview.pause();
+      videoPreview.currentTime = startTime;
+    }
   }
 
   async submitUpload() {
@@ -1854,24 +2604,14 @@ class App {
       return;
     }
 
-    // Check if date already has a clip (unless in replace mode)
+    // Check if date already has a clip (unless adding another take, which
+    // the server stores next to the existing ones)
     const existingClip = this.clips.find((c) => c.date === date);
-    if (existingClip && !this.uploadReplaceMode) {
+    if (existingClip && !this.uploadTakeMode) {
       showToast(`You already have a clip for ${date}`, "error");
       return;
     }
 
-    // If replacing, delete the old clip first
-    if (existingClip && this.uploadReplaceMode) {
-      try {
-        await API.deleteClip(existingClip.id);
-      } catch (error) {
-        console.error("Failed to delete existing clip:", error);
-        showToast("Failed to replace video", "error");
-        return;
-      }
-    }
-
     const submitBtn = document.getElementById("submit-upload");
     submitBtn.disabled = true;
     submitBtn.textContent = "Saving...";
@@ -1892,7 +2632,8 @@ class App {
     uploadingMessage.textContent = isImage
       ? "Uploading your image and preparing it for playback..."
       : "Uploading your video and trimming it to one second...";
-    uploadingDetailText.textContent = `File: ${this.selectedFile.name} (${(this.selectedFile.size / 1024 / 1024).toFixed(2)} MB)`;
+    const fileLabel = `File: ${this.selectedFile.name} (${(this.selectedFile.size / 1024 / 1024).toFixed(2)} MB)`;
+    uploadingDetailText.textContent = fileLabel;
     uploadingDetails.classList.remove("hidden");
     uploadingModal.classList.remove("hidden");
     this.startUploadingDelight(isImage ? "image" : "video");
@@ -1902,6 +2643,14 @@ class App {
         this.selectedFile,
         date,
         startTime,
+        {
+          onProgress: (fraction) => {
+            uploadingDetailText.textContent =
+              fraction < 1
+                ? `${fileLabel} · ${Math.floor(fraction * 100)}% uploaded`
+                : `${fileLabel} · Processing...`;
+          },
+        },
       );
 
       // Success
@@ -0,0 +1,70 @@
+// Checks shared by the parsers of compile request fields. Each returns
+// { value } or { error }, naming the field as given, e.g. "overlay.position".
+
+// An object of options over `defaults` (copied, so callers can't change
+// them). `parsers` maps each option to parse(raw, "field.option"), in the
+// order they are checked; options left out keep their default, and a missing
+// object gives the defaults.
+function parseOptionFields(raw, field, defaults, parsers) {
+  if (raw === undefined || raw === null) {
+    return { value: structuredClone(defaults) };
+  }
+
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: `${field} must be an object` };
+  }
+
+  const value = structuredClone(defaults);
+  for (const [option, parse] of Object.entries(parsers)) {
+    if (raw[option] === undefined) continue;
+    const parsed = parse(raw[option], `${field}.${option}`);
+    if (parsed.error) return parsed;
+    value[option] = parsed.value;
+  }
+  return { value };
+}
+
+function parseEnum(raw, field, allowed) {
+  if (!allowed.includes(raw)) {
+    return { error: `${field} must be one of: ${allowed.join(", ")}` };
+  }
+
+  return { value: raw };
+}
+
+function parseBoolean(raw, field) {
+  if (typeof raw !== "boolean") {
+    return { error: `${field} must be a boolean` };
+  }
+
+  return { value: raw };
+}
+
+// A number from min to max; `integer` requires a whole number and `unit`
+// (e.g. " seconds") is added to the error
+function parseNumberInRange(
+  raw,
+  field,
+  min,
+  max,
+  { integer = false, unit = "" } = {},
+) {
+  const value = Number(raw);
+  const valid = integer ? Number.isInteger(value) : Number.isFinite(value);
+  if (raw === null || !valid || value < min || value > max) {
+    return {
+      error: integer
+        ? `${field} must be a whole number between ${min} and ${max}${unit}`
+        : `${field} must be between ${min} and ${max}${unit}`,
+    };
+  }
+
+  return { value };
+}
+
+module.exports = {
+  parseBoolean,
+  parseEnum,
+  parseNumberInRange,
+  parseOptionFields,
+};
@@ -6,15 +6,76 @@ const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const dns = require("dns");
 const { google } = require("googleapis");
+const {
+  MAX_CAPTION_LENGTH,
+  normalizeCaption,
+  readCaptions,
+  saveCaption,
+} = require("./captions");
+const { parseAudioOptions } = require("./audio-mix");
+const { BeatAnalysisStore } = require("./beat-analysis-store");
+const { isBeatSyncEnabled, parseBeatSyncOptions } = require("./beat-sync");
+const {
+  MAX_MUSIC_BYTES,
+  MUSIC_FOLDER_NAME,
+  describeMusicTrack,
+  getMusicTrackFileName,
+  isMusicTrackFile,
+  probeMusic,
+} = require("./music");
+const { ClipCache } = require("./clip-cache");
+const { ClipIndexStore } = require("./clip-index-store");
+const { planFileResponse } = require("./file-response");
+const { generateFilmstrip, parseFrameCount } = require("./filmstrip");
+const { probeMedia } = require("./media-probe");
+const {
+  addTake,
+  getTakeBaseName,
+  getTakeFileName,
+  getTakeThumbnailName,
+  groupDayTakes,
+  parseClipFileName,
+  readPrimaryTakes,
+  savePrimaryTake,
+} = require("./takes");
+const { parseFramingMode } = require("./framing");
+const {
+  MAX_GAP_RANGE_DAYS,
+  countRangeDays,
+  isGapFillEnabled,
+  parseGapPolicy,
+} = require("./gaps");
+const { parseOutputPreset } = require("./output-presets");
+const { parseOverlayOptions } = require("./overlays");
+const { parseTitleCardOptions } = require("./title-cards");
+const { parseTransitionOptions } = require("./transitions");
+const {
+  UploadSessionStore,
+  parseContentRange,
+} = require("./upload-session-store");
 const { CompilationJobStore } = require("./compilation-job-store");
+const { CompileQueue } = require("./compile-queue");
+const {
+  createStorage,
+  getS3Config,
+  getStorageDriverName,
+  getWebDavAllowedHosts,
+  getWebDavBaseUrl,
+} = require("./storage");
+const { getMimeType } = require("./storage/common");
+const { WebDavStorage } = require("./storage/webdav");
 const {
+  decryptSecret,
+  encryptSecret,
+  ffmpegPath,
   getRequestLogContext,
+  isPublicAddress,
   logError,
   logInfo,
   logWarn,
   requestContextMiddleware,
-  retryAsync,
   serializeError,
 } = require("./backend-utils");
 
@@ -61,12 +122,18 @@ const TEMP_DIR = path.join(__dirname, "temp");
 const NATIVE_AUTH_TOKEN_TTL_MS = 60 * 1000;
 const COMPILATION_JOB_TTL_MS = 24 * 60 * 60 * 1000;
 const ACTIVE_COMPILATION_STALE_MS = 2 * 60 * 60 * 1000;
+const DEFAULT_COMPILE_CONCURRENCY = 1;
+const MAX_ACTIVE_COMPILATIONS_PER_USER = 3;
 const TEMP_FILE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const CLIP_INDEX_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const BEAT_ANALYSIS_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
 const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_CLIP_CACHE_MAX_MB = 2048;
 const VALID_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 const MAX_TRIM_START_SECONDS = 24 * 60 * 60;
-const MAX_MUSIC_DATA_URL_LENGTH = 30 * 1024 * 1024;
-const TEMP_ENTRY_PATTERN = /^(?:input|output|thumb|image)-|^session-/;
+const MAX_UPLOAD_BYTES = 500 * 1024 * 1024;
+const TEMP_ENTRY_PATTERN =
+  /^(?:input|output|thumb|image|captions|takes|upload|music)-|^session-/;
 const VIDEO_UPLOAD_MIME_TYPES = new Map([
   ["video/mp4", ".mp4"],
   ["video/webm", ".webm"],
@@ -77,13 +144,67 @@ const IMAGE_UPLOAD_MIME_TYPES = new Map([
   ["image/jpg", ".jpg"],
   ["image/png", ".png"],
 ]);
-const ALLOWED_AUDIO_DATA_URL_PATTERN = /^data:audio\/(?:mpeg|mp3);base64,/i;
 
 // Compilation job tracking
 const compilationJobs = new CompilationJobStore(
   path.join(TEMP_DIR, "compilation-jobs.json"),
 );
 
+// Compilations wait their turn server-wide; COMPILE_CONCURRENCY (default 1)
+// of them run at once
+const compileConcurrency = Number.parseInt(
+  process.env.COMPILE_CONCURRENCY ?? DEFAULT_COMPILE_CONCURRENCY,
+  10,
+);
+// Abort controllers of queued and running jobs, by job id
+const compileControllers = new Map();
+const compileQueue = new CompileQueue({
+  concurrency:
+    compileConcurrency > 0 ? compileConcurrency : DEFAULT_COMPILE_CONCURRENCY,
+  onError: (jobId, error) => {
+    logError("compile.queue.job_failed", {
+      jobId,
+      error: serializeError(error),
+    });
+  },
+});
+
+// Per-user storage listings, kept fresh from the Drive changes feed
+const clipIndexes = new ClipIndexStore(path.join(TEMP_DIR, "clip-index"));
+
+// Size cap of the clip cache in MB. Only an explicit 0 disables the cache; a
+// value that is not a whole number keeps the default.
+function readClipCacheMaxMb(value = process.env.CLIP_CACHE_MAX_MB) {
+  if (value === undefined || value.trim() === "") {
+    return DEFAULT_CLIP_CACHE_MAX_MB;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    logWarn("config.clip_cache_max_mb.invalid", {
+      value,
+      fallback: DEFAULT_CLIP_CACHE_MAX_MB,
+    });
+    return DEFAULT_CLIP_CACHE_MAX_MB;
+  }
+
+  return parsed;
+}
+
+// Normalized clips reused across compilations
+const clipCacheMaxMb = readClipCacheMaxMb();
+const clipCache =
+  clipCacheMaxMb > 0
+    ? new ClipCache(path.join(TEMP_DIR, "clip-cache"), {
+        maxBytes: clipCacheMaxMb * 1024 * 1024,
+      })
+    : null;
+
+// Beat analyses of music tracks, reused while a track is unchanged
+const beatAnalyses = new BeatAnalysisStore(
+  path.join(TEMP_DIR, "beat-analysis"),
+);
+
 function ensureTempDir() {
   if (!fs.existsSync(TEMP_DIR)) {
     fs.mkdirSync(TEMP_DIR, { recursive: true });
@@ -138,7 +259,20 @@ function parseStartTime(rawValue) {
 function validateCompileRequest(body = {}) {
   const startDate = body.startDate ?? null;
   const endDate = body.endDate ?? null;
-  const musicData = body.musicData ?? null;
+
+  if (body.musicData !== undefined) {
+    return {
+      error: "Upload music to the library and send its musicTrackId instead",
+    };
+  }
+
+  const musicTrackId = body.musicTrackId ?? null;
+  if (
+    musicTrackId !== null &&
+    (typeof musicTrackId !== "string" || !musicTrackId.trim())
+  ) {
+    return { error: "musicTrackId must be a non-empty string" };
+  }
 
   if ((startDate && !endDate) || (!startDate && endDate)) {
     return { error: "startDate and endDate must be provided together" };
@@ -156,24 +290,78 @@ function validateCompileRequest(body = {}) {
     return { error: "startDate must be before or equal to endDate" };
   }
 
-  if (musicData !== null) {
-    if (typeof musicData !== "string" || !musicData.trim()) {
-      return { error: "musicData must be a non-empty base64 data URL" };
-    }
+  const overlay = parseOverlayOptions(body.overlay);
+  if (overlay.error) {
+    return { error: overlay.error };
+  }
 
-    if (!ALLOWED_AUDIO_DATA_URL_PATTERN.test(musicData)) {
-      return { error: "musicData must be an MP3 data URL" };
-    }
+  const preset = parseOutputPreset(body.preset);
+  if (preset.error) {
+    return { error: preset.error };
+  }
+
+  const framing = parseFramingMode(body.framing);
+  if (framing.error) {
+    return { error: framing.error };
+  }
+
+  const transition = parseTransitionOptions(body.transition);
+  if (transition.error) {
+    return { error: transition.error };
+  }
+
+  const audio = parseAudioOptions(body.audio);
+  if (audio.error) {
+    return { error: audio.error };
+  }
+
+  const beatSync = parseBeatSyncOptions(body.beatSync);
+  if (beatSync.error) {
+    return { error: beatSync.error };
+  }
+
+  // Beats come from the music, so there has to be music playing
+  if (
+    isBeatSyncEnabled(beatSync.value) &&
+    (!musicTrackId || audio.value.mode === "original")
+  ) {
+    return { error: "beatSync needs a music track that plays" };
+  }
+
+  const gapPolicy = parseGapPolicy(body.gapPolicy);
+  if (gapPolicy.error) {
+    return { error: gapPolicy.error };
+  }
 
-    if (musicData.length > MAX_MUSIC_DATA_URL_LENGTH) {
-      return { error: "musicData is too large" };
+  // Gaps are the days of the range without a clip, one segment each
+  if (isGapFillEnabled(gapPolicy.value)) {
+    if (!startDate) {
+      return { error: "gapPolicy needs startDate and endDate" };
+    }
+    if (countRangeDays(startDate, endDate) > MAX_GAP_RANGE_DAYS) {
+      return {
+        error: `gapPolicy needs a date range of at most ${MAX_GAP_RANGE_DAYS} days`,
+      };
     }
   }
 
+  const titleCards = parseTitleCardOptions(body.titleCards);
+  if (titleCards.error) {
+    return { error: titleCards.error };
+  }
+
   return {
     startDate,
     endDate,
-    musicData,
+    overlay: overlay.value,
+    preset: preset.value,
+    framing: framing.value,
+    transition: transition.value,
+    audio: audio.value,
+    beatSync: beatSync.value,
+    gapPolicy: gapPolicy.value,
+    titleCards: titleCards.value,
+    musicTrackId,
   };
 }
 
@@ -194,6 +382,12 @@ function getJobTimestamp(job, fieldName) {
   return Number.isNaN(value) ? null : value;
 }
 
+function isCompilationJobActive(job) {
+  return job?.status === "queued" || job?.status === "compiling";
+}
+
+// An unfinished job counts as stuck ACTIVE_COMPILATION_STALE_MS after it
+// started or was queued; callers keep jobs the queue still holds
 function isCompilationJobExpired(job, now = Date.now()) {
   if (!job) return true;
 
@@ -202,7 +396,8 @@ function isCompilationJobExpired(job, now = Date.now()) {
     return completedAt <= now - COMPILATION_JOB_TTL_MS;
   }
 
-  const startedAt = getJobTimestamp(job, "startedAt");
+  const startedAt =
+    getJobTimestamp(job, "startedAt") || getJobTimestamp(job, "createdAt");
   if (!startedAt) {
     return true;
   }
@@ -210,6 +405,68 @@ function isCompilationJobExpired(job, now = Date.now()) {
   return startedAt <= now - ACTIVE_COMPILATION_STALE_MS;
 }
 
+// Seconds left of a running job, counted down from its last estimate
+function getCompilationEtaSeconds(job, now = Date.now()) {
+  if (job.status !== "compiling" || !Number.isFinite(job.etaSeconds)) {
+    return null;
+  }
+
+  const updatedAt = getJobTimestamp(job, "progressUpdatedAt") ?? now;
+  const sinceUpdate = Math.max(0, (now - updatedAt) / 1000);
+  return Math.max(0, Math.round(job.etaSeconds - sinceUpdate));
+}
+
+function describeCompilationJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    // Structured progress: the phase, how far along it is, and the share of
+    // the whole compilation done with the time it should take to finish
+    phase: job.phase ?? null,
+    phasePercent: job.phasePercent ?? 0,
+    percent: job.status === "complete" ? 100 : (job.percent ?? 0),
+    etaSeconds: getCompilationEtaSeconds(job),
+    // 1 for the next job to start
+    queuePosition:
+      job.status === "queued" ? compileQueue.positionOf(job.id) : null,
+    startDate: job.startDate,
+    endDate: job.endDate,
+    preset: job.preset,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    clipCount: job.clipCount,
+    error: job.error,
+    result: job.result,
+  };
+}
+
+function markCompilationJobCancelled(job) {
+  return {
+    ...job,
+    status: "cancelled",
+    progress: "Cancelled",
+    completedAt: new Date().toISOString(),
+  };
+}
+
+// The queue and the users' credentials only live in memory, so jobs queued
+// or running when the server stopped cannot go on
+function failInterruptedCompilationJobs() {
+  for (const [jobId, job] of Array.from(compilationJobs.entries())) {
+    if (isCompilationJobActive(job) && !compileQueue.has(jobId)) {
+      compilationJobs.set(jobId, {
+        ...job,
+        status: "error",
+        progress: "Failed",
+        error: "The server restarted before the compilation finished",
+        completedAt: new Date().toISOString(),
+      });
+    }
+  }
+}
+
 function sweepExpiredNativeAuthTokens(now = Date.now()) {
   for (const [token, entry] of nativeAuthTokens.entries()) {
     if (!entry?.expiresAt || entry.expiresAt <= now) {
@@ -219,9 +476,9 @@ function sweepExpiredNativeAuthTokens(now = Date.now()) {
 }
 
 function sweepExpiredCompilationJobs(now = Date.now()) {
-  for (const [userId, job] of compilationJobs.entries()) {
-    if (isCompilationJobExpired(job, now)) {
-      compilationJobs.delete(userId);
+  for (const [jobId, job] of Array.from(compilationJobs.entries())) {
+    if (isCompilationJobExpired(job, now) && !compileQueue.has(jobId)) {
+      compilationJobs.delete(jobId);
     }
   }
 }
@@ -252,16 +509,62 @@ function sweepStaleTempEntries(now = Date.now()) {
   }
 }
 
+function sweepStaleClipIndexes(now = Date.now()) {
+  try {
+    clipIndexes.sweep(CLIP_INDEX_MAX_AGE_MS, now);
+  } catch (error) {
+    logWarn("cleanup.clip_index_sweep_failed", {
+      error: serializeError(error),
+    });
+  }
+}
+
+function sweepBeatAnalyses(now = Date.now()) {
+  try {
+    beatAnalyses.sweep(BEAT_ANALYSIS_MAX_AGE_MS, now);
+  } catch (error) {
+    logWarn("cleanup.beat_analysis_sweep_failed", {
+      error: serializeError(error),
+    });
+  }
+}
+
+function sweepClipCache(now = Date.now()) {
+  if (!clipCache) return;
+
+  try {
+    const { removedFiles, removedBytes, totalBytes } = clipCache.sweep(now);
+    if (removedFiles > 0) {
+      logInfo("cleanup.clip_cache_evicted", {
+        removedFiles,
+        removedBytes,
+        totalBytes,
+      });
+    }
+  } catch (error) {
+    logWarn("cleanup.clip_cache_sweep_failed", {
+      error: serializeError(error),
+    });
+  }
+}
+
 function startCleanupTasks() {
+  failInterruptedCompilationJobs();
   sweepExpiredNativeAuthTokens();
   sweepExpiredCompilationJobs();
   sweepStaleTempEntries();
+  sweepStaleClipIndexes();
+  sweepBeatAnalyses();
+  sweepClipCache();
 
   const interval = setInterval(() => {
     const now = Date.now();
     sweepExpiredNativeAuthTokens(now);
     sweepExpiredCompilationJobs(now);
     sweepStaleTempEntries(now);
+    sweepStaleClipIndexes(now);
+    sweepBeatAnalyses(now);
+    sweepClipCache(now);
   }, CLEANUP_INTERVAL_MS);
 
   if (typeof interval.unref === "function") {
@@ -271,15 +574,88 @@ function startCleanupTasks() {
 
 startCleanupTasks();
 
-// Multer setup for handling video uploads
-const storage = multer.memoryStorage();
+// Multer setup for handling video uploads; files stream to disk rather than
+// being buffered in memory
+const uploadDiskStorage = multer.diskStorage({
+  destination: (req, file, callback) => {
+    ensureTempDir();
+    callback(null, TEMP_DIR);
+  },
+  filename: (req, file, callback) => {
+    callback(null, `upload-${crypto.randomUUID()}.tmp`);
+  },
+});
 const upload = multer({
-  storage: storage,
-  limits: { fileSize: 500 * 1024 * 1024 }, // 500MB limit
+  storage: uploadDiskStorage,
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+});
+
+// Tracks uploaded to the music library; validated with ffprobe
+const musicUpload = multer({
+  storage: uploadDiskStorage,
+  limits: { fileSize: MAX_MUSIC_BYTES, files: 1 },
 });
 
+// Resumable chunked uploads, finalized by POST /api/clips or
+// /api/clips/upload-trim with the uploadId
+const uploadSessions = new UploadSessionStore(TEMP_DIR, {
+  maxBytes: MAX_UPLOAD_BYTES,
+});
+
+function getUploadOwner(req) {
+  return req.session.user?.email || req.session.id;
+}
+
+// The file behind a clip upload: a multipart file or a completed resumable
+// upload referenced by `uploadId`. Returns { mimeType, filePath,
+// claim(targetPath) } or { status, error }; filePath can be read in place and
+// claim moves the file into place.
+function resolveUploadedFile(req) {
+  if (req.file) {
+    return {
+      mimeType: req.file.mimetype.split(";")[0].trim(),
+      filePath: req.file.path,
+      claim: (targetPath) => fs.renameSync(req.file.path, targetPath),
+    };
+  }
+
+  const uploadId = req.body?.uploadId;
+  if (!uploadId) {
+    return { status: 400, error: "No file provided" };
+  }
+
+  const session = uploadSessions.get(uploadId, getUploadOwner(req));
+  if (!session) {
+    return { status: 404, error: "Upload not found" };
+  }
+
+  if (session.offset !== session.size) {
+    return { status: 409, error: "Upload is not complete" };
+  }
+
+  return {
+    mimeType: session.mimeType,
+    filePath: uploadSessions.dataPath(uploadId),
+    claim: (targetPath) => {
+      const { filePath } = uploadSessions.take(uploadId, getUploadOwner(req));
+      fs.renameSync(filePath, targetPath);
+    },
+  };
+}
+
+// Multipart files left unclaimed (validation errors, failures) are removed
+// once the response is sent
+function removeUnclaimedUpload(req, res, next) {
+  res.on("close", () => {
+    if (req.file?.path) {
+      fs.rm(req.file.path, { force: true }, () => {});
+    }
+  });
+  next();
+}
+
 // Middleware
-app.use(express.json({ limit: "50mb" })); // Increased for base64 music files
+app.use(express.json({ limit: "1mb" }));
 app.use(
   express.static(path.join(__dirname, "public"), {
     setHeaders(res, filePath) {
@@ -295,6 +671,8 @@ if (process.env.NODE_ENV === "production") {
   app.set("trust proxy", 1);
 }
 
+const SESSION_SECRET = process.env.SESSION_SECRET || "change-this-secret";
+
 // Configure session store - Redis for production, FileStore for local dev
 const sessionStore =
   redisStore ||
@@ -308,7 +686,7 @@ app.use(
   session({
     name: "moments365.sid",
     store: sessionStore,
-    secret: process.env.SESSION_SECRET || "change-this-secret",
+    secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -325,21 +703,6 @@ function buildLogContext(req, extra = {}) {
   return getRequestLogContext(req, extra);
 }
 
-function getDriveLogContext(req, operation, extra = {}) {
-  return buildLogContext(req, {
-    service: "google.drive",
-    operation,
-    ...extra,
-  });
-}
-
-function withDriveRetry(req, operation, work, extra = {}) {
-  return retryAsync(work, {
-    label: `google.drive.${operation}`,
-    context: getDriveLogContext(req, operation, extra),
-  });
-}
-
 function createOAuthClient(redirectUri) {
   return new google.auth.OAuth2(
     process.env.GOOGLE_CLIENT_ID,
@@ -373,24 +736,247 @@ const SCOPES = [
   "https://www.googleapis.com/auth/userinfo.email",
 ];
 
-const DRIVE_FOLDER_NAME = "365Moments";
+const APP_FOLDER_NAME = "365Moments";
+const STORAGE_DRIVER = getStorageDriverName();
+
+if (STORAGE_DRIVER === "s3") {
+  getS3Config(); // Fail at startup rather than on the first request
+}
+
+if (
+  STORAGE_DRIVER === "webdav" &&
+  !process.env.WEBDAV_URL &&
+  !getWebDavAllowedHosts().length
+) {
+  throw new Error(
+    "WEBDAV_URL or WEBDAV_ALLOWED_HOSTS must be set when STORAGE_DRIVER=webdav",
+  );
+}
+
+// How users sign in:
+// - "google": Google OAuth (required for Drive, optional identity otherwise)
+// - "local": self-hosted storage (local disk, S3) without a Google Cloud
+//   project signs in a single local user
+// - "webdav": users sign in with their own WebDAV/Nextcloud credentials
+function getSignInMode() {
+  if (STORAGE_DRIVER === "webdav") return "webdav";
+  if (STORAGE_DRIVER !== "drive" && !process.env.GOOGLE_CLIENT_ID) {
+    return "local";
+  }
+  return "google";
+}
+
+const SIGN_IN_MODE = getSignInMode();
+const LOCAL_USER = {
+  id: "local",
+  name: process.env.LOCAL_USER_NAME || "Local user",
+  email: "local",
+  picture: "",
+};
+
+function isSignedIn(session) {
+  if (!session?.user) return false;
+
+  switch (session.authProvider) {
+    case "local":
+      return SIGN_IN_MODE === "local";
+    case "webdav":
+      return (
+        SIGN_IN_MODE === "webdav" &&
+        Boolean(getSessionWebDavCredentials(session))
+      );
+    default:
+      return SIGN_IN_MODE !== "webdav" && Boolean(session.tokens);
+  }
+}
+
+// Storage driver for the current request's user
+function getStorage(req, auth = oauth2Client) {
+  return createStorage({
+    auth,
+    user: req.session.user,
+    webdav: getSessionWebDavCredentials(req.session),
+    indexStore: clipIndexes,
+    logContext: buildLogContext(req),
+  });
+}
+
+// The session keeps the WebDAV password encrypted with the session secret.
+// Returns the credentials with the password decrypted, or null; sessions that
+// cannot be decrypted (older ones, or a changed secret) sign in again.
+function getSessionWebDavCredentials(session) {
+  const webdav = session?.webdav;
+  const password = webdav
+    ? decryptSecret(webdav.password, SESSION_SECRET)
+    : null;
+  return password ? { ...webdav, password } : null;
+}
+
+// Credentials from the sign-in form with the server to use: WEBDAV_URL, or
+// the user's own URL when its host is in WEBDAV_ALLOWED_HOSTS and resolves to
+// public addresses only, so sign-in cannot reach the server's own network
+async function parseWebDavCredentials(
+  body = {},
+  { lookup = dns.promises.lookup } = {},
+) {
+  const username =
+    typeof body.username === "string" ? body.username.trim() : "";
+  const password = typeof body.password === "string" ? body.password : "";
+
+  if (!username || !password) {
+    return { error: "username and password are required" };
+  }
+
+  const baseUrl = getWebDavBaseUrl(username);
+  if (baseUrl) {
+    return { url: baseUrl, username, password };
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(typeof body.url === "string" ? body.url.trim() : "");
+  } catch {
+    return { error: "url must be a valid WebDAV URL" };
+  }
+
+  if (parsedUrl.protocol !== "https:" && parsedUrl.protocol !== "http:") {
+    return { error: "url must use http or https" };
+  }
+
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!getWebDavAllowedHosts().includes(hostname)) {
+    return { error: "url is not on an allowed WebDAV server" };
+  }
+
+  let addresses;
+  try {
+    addresses = await lookup(hostname, { all: true });
+  } catch {
+    return { error: "url host could not be resolved" };
+  }
+
+  if (
+    !addresses.length ||
+    addresses.some(({ address }) => !isPublicAddress(address))
+  ) {
+    return { error: "url must point to a public address" };
+  }
+
+  return { url: parsedUrl.toString(), username, password };
+}
 
 // ============ AUTH ROUTES ============
 
 // Check if user is authenticated
 app.get("/api/auth/status", (req, res) => {
-  if (req.session.tokens && req.session.user) {
+  if (isSignedIn(req.session)) {
     res.json({
       authenticated: true,
       user: req.session.user,
     });
   } else {
-    res.json({ authenticated: false });
+    res.json({
+      authenticated: false,
+      signInMode: SIGN_IN_MODE,
+      webdavUrlRequired: SIGN_IN_MODE === "webdav" && !process.env.WEBDAV_URL,
+    });
+  }
+});
+
+// Sign in with WebDAV credentials; they are kept in the session and used for
+// every storage request
+app.post("/api/auth/webdav", async (req, res) => {
+  if (SIGN_IN_MODE !== "webdav") {
+    return res.status(404).json({ error: "WebDAV sign-in is not enabled" });
+  }
+
+  const credentials = await parseWebDavCredentials(req.body);
+  if (credentials.error) {
+    return res.status(400).json({ error: credentials.error });
+  }
+
+  try {
+    const storage = new WebDavStorage({
+      ...credentials,
+      logContext: buildLogContext(req),
+    });
+    await storage.checkConnection();
+  } catch (error) {
+    const status = error.status;
+    logWarn("auth.webdav.check_failed", {
+      ...buildLogContext(req),
+      host: new URL(credentials.url).host,
+      error: serializeError(error),
+    });
+    return res.status(status === 401 || status === 403 ? 401 : 502).json({
+      error:
+        status === 401 || status === 403
+          ? "WebDAV server rejected these credentials"
+          : "Could not reach the WebDAV server",
+    });
   }
+
+  const host = new URL(credentials.url).host;
+  req.session.authProvider = "webdav";
+  req.session.webdav = {
+    ...credentials,
+    password: encryptSecret(credentials.password, SESSION_SECRET),
+  };
+  req.session.user = {
+    id: `${credentials.username}@${host}`,
+    name: credentials.username,
+    email: `${credentials.username}@${host}`,
+    picture: "",
+  };
+
+  req.session.save((err) => {
+    if (err) {
+      logError("auth.session_save_failed", {
+        requestId: req.requestId,
+        userId: req.session.user.email,
+        error: serializeError(err),
+      });
+      return res.status(500).json({ error: "Session creation failed" });
+    }
+
+    logInfo("auth.login.success", {
+      requestId: req.requestId,
+      userId: req.session.user.email,
+      mode: "webdav",
+    });
+    res.json({ success: true, user: req.session.user });
+  });
 });
 
 // Start OAuth flow
 app.get("/auth/login", (req, res) => {
+  if (SIGN_IN_MODE === "webdav") {
+    // WebDAV credentials are entered on the sign-in screen
+    return res.redirect("/");
+  }
+
+  if (SIGN_IN_MODE === "local") {
+    req.session.authProvider = "local";
+    req.session.user = { ...LOCAL_USER };
+    return req.session.save((err) => {
+      if (err) {
+        logError("auth.session_save_failed", {
+          requestId: req.requestId,
+          userId: LOCAL_USER.email,
+          error: serializeError(err),
+        });
+        return res.redirect("/?error=auth_failed");
+      }
+
+      logInfo("auth.login.success", {
+        requestId: req.requestId,
+        userId: LOCAL_USER.email,
+        mode: "local",
+      });
+      res.redirect("/");
+    });
+  }
+
   const baseUrl = getBaseUrl(req);
   const redirectUri = `${baseUrl}/auth/callback`;
   const client = createOAuthClient(redirectUri);
@@ -560,10 +1146,17 @@ function isInvalidGrantError(error) {
 }
 
 async function requireAuth(req, res, next) {
-  if (!req.session.tokens) {
+  if (!isSignedIn(req.session)) {
     return res.status(401).json({ error: "Not authenticated" });
   }
 
+  if (
+    req.session.authProvider === "local" ||
+    req.session.authProvider === "webdav"
+  ) {
+    return next();
+  }
+
   try {
     const tokens = req.session.tokens;
     oauth2Client.setCredentials(tokens);
@@ -648,57 +1241,17 @@ async function handlePermissionError(req, res, error) {
   return false; // Not a permission error
 }
 
-// ============ DRIVE ROUTES ============
+// ============ STORAGE ROUTES ============
 
 // Get or create app folder
-async function getOrCreateFolder(drive) {
-  // Search for existing folder
-  const searchResponse = await retryAsync(
-    () =>
-      drive.files.list({
-        q: `name='${DRIVE_FOLDER_NAME}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-        fields: "files(id, name)",
-      }),
-    {
-      label: "google.drive.folder.lookup",
-      context: { folderName: DRIVE_FOLDER_NAME },
-    },
-  );
-
-  if (searchResponse.data.files.length > 0) {
-    return searchResponse.data.files[0].id;
-  }
-
-  // Create new folder
-  const folderResponse = await retryAsync(
-    () =>
-      drive.files.create({
-        requestBody: {
-          name: DRIVE_FOLDER_NAME,
-          mimeType: "application/vnd.google-apps.folder",
-        },
-        fields: "id",
-      }),
-    {
-      label: "google.drive.folder.create",
-      context: { folderName: DRIVE_FOLDER_NAME },
-    },
-  );
-
-  return folderResponse.data.id;
+function getOrCreateFolder(storage) {
+  return storage.getOrCreateFolder(APP_FOLDER_NAME);
 }
 
 // Helper function to generate thumbnail from video using FFmpeg
 async function generateThumbnail(videoPath, thumbnailPath) {
   const { spawn } = require("child_process");
 
-  let ffmpegPath;
-  try {
-    ffmpegPath = require("ffmpeg-static");
-  } catch {
-    ffmpegPath = "ffmpeg";
-  }
-
   return new Promise((resolve, reject) => {
     const args = [
       "-i",
@@ -749,39 +1302,21 @@ async function generateThumbnail(videoPath, thumbnailPath) {
   });
 }
 
-// Helper function to upload thumbnail to Drive
-async function uploadThumbnail(drive, folderId, thumbnailPath, fileName) {
-  const fs = require("fs");
-
+// Helper function to upload thumbnail to storage
+async function uploadThumbnail(storage, folderId, thumbnailPath, fileName) {
   if (!fs.existsSync(thumbnailPath)) {
     return null;
   }
 
   try {
-    const fileStream = fs.createReadStream(thumbnailPath);
-    const response = await retryAsync(
-      () => {
-        const retryStream = fs.createReadStream(thumbnailPath);
-        return drive.files.create({
-          requestBody: {
-            name: fileName,
-            parents: [folderId],
-          },
-          media: {
-            mimeType: "image/jpeg",
-            body: retryStream,
-          },
-          fields: "id",
-        });
-      },
-      {
-        label: "google.drive.thumbnail.create",
-        context: { folderId, fileName },
-      },
-    );
-    return response.data.id;
+    const file = await storage.createFile(folderId, {
+      name: fileName,
+      mimeType: "image/jpeg",
+      filePath: thumbnailPath,
+    });
+    return file.id;
   } catch (error) {
-    logError("drive.thumbnail_upload.failed", {
+    logError("storage.thumbnail_upload.failed", {
       folderId,
       fileName,
       error: serializeError(error),
@@ -793,58 +1328,63 @@ async function uploadThumbnail(drive, folderId, thumbnailPath, fileName) {
 // Get all clips
 app.get("/api/clips", requireAuth, async (req, res) => {
   try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
-    const folderId = await getOrCreateFolder(drive);
-
-    // Fetch ALL files using pagination (default pageSize is only 100)
-    let allFiles = [];
-    let pageToken = null;
-    do {
-      const response = await withDriveRetry(
-        req,
-        "clips.list",
-        () =>
-          drive.files.list({
-            q: `'${folderId}' in parents and trashed=false`,
-            fields: "nextPageToken, files(id, name, createdTime, size)",
-            orderBy: "name",
-            pageSize: 1000,
-            pageToken: pageToken || undefined,
-          }),
-        { folderId },
-      );
-      allFiles = allFiles.concat(response.data.files);
-      pageToken = response.data.nextPageToken;
-    } while (pageToken);
+    const storage = getStorage(req);
+    const folderId = await getOrCreateFolder(storage);
+    const allFiles = await storage.listFiles(folderId);
 
-    // Build a map of thumbnail files
-    const thumbnailMap = new Map();
-    allFiles.forEach((file) => {
+    // Captions and primary takes are optional; a broken metadata file must
+    // not hide the gallery
+    let captions = {};
+    try {
+      captions = await readCaptions(storage, allFiles);
+    } catch (captionError) {
+      logWarn("clips.captions_read.failed", {
+        ...buildLogContext(req),
+        error: serializeError(captionError),
+      });
+    }
+
+    let primaryTakes = {};
+    try {
+      primaryTakes = await readPrimaryTakes(storage, allFiles);
+    } catch (takesError) {
+      logWarn("clips.takes_read.failed", {
+        ...buildLogContext(req),
+        error: serializeError(takesError),
+      });
+    }
+
+    // Build a map of thumbnail files, keyed by take base name
+    const thumbnailMap = new Map();
+    allFiles.forEach((file) => {
       if (file.name.endsWith(".thumb.jpg")) {
-        const date = file.name.replace(".thumb.jpg", "");
-        thumbnailMap.set(date, file.id);
+        thumbnailMap.set(file.name.replace(".thumb.jpg", ""), file.id);
       }
     });
 
-    // Filter to only daily clips (YYYY-MM-DD.ext format), exclude compilations
-    const datePattern = /^\d{4}-\d{2}-\d{2}\.(mp4|webm|jpg|jpeg|png)$/i;
-    const clips = allFiles
-      .filter((file) => datePattern.test(file.name))
-      .map((file) => {
-        const dateMatch = file.name.match(/^(\d{4}-\d{2}-\d{2})/);
-        const date = dateMatch ? dateMatch[1] : null;
-        const thumbId = date ? thumbnailMap.get(date) : null;
-        const isImage = /\.(jpg|jpeg|png)$/i.test(file.name);
-        return {
-          id: file.id,
-          name: file.name,
-          date: date,
-          createdTime: file.createdTime,
-          size: file.size,
-          thumbnail: thumbId ? `/api/thumbnails/${thumbId}` : null,
-          type: isImage ? "image" : "video",
-        };
-      });
+    const describeTake = (file, date, primary) => {
+      const thumbId = thumbnailMap.get(getTakeBaseName(date, file.take));
+      return {
+        id: file.id,
+        name: file.name,
+        date,
+        take: file.take,
+        primary: file.id === primary.id,
+        createdTime: file.createdTime,
+        size: file.size,
+        thumbnail: thumbId ? `/api/thumbnails/${thumbId}` : null,
+        type: /\.(jpg|jpeg|png)$/i.test(file.name) ? "image" : "video",
+      };
+    };
+
+    // One entry per day for its primary take, listing every take of the day
+    const clips = Array.from(groupDayTakes(allFiles, primaryTakes))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, { primary, takes }]) => ({
+        ...describeTake(primary, date, primary),
+        caption: captions[date]?.caption || "",
+        takes: takes.map((file) => describeTake(file, date, primary)),
+      }));
 
     res.json({ clips, folderId });
   } catch (error) {
@@ -863,22 +1403,12 @@ app.get("/api/clips", requireAuth, async (req, res) => {
 // Serve thumbnail image
 app.get("/api/thumbnails/:id", requireAuth, async (req, res) => {
   try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
-
-    const response = await withDriveRetry(
-      req,
-      "thumbnails.get",
-      () =>
-        drive.files.get(
-          { fileId: req.params.id, alt: "media" },
-          { responseType: "stream" },
-        ),
-      { fileId: req.params.id },
-    );
+    const storage = getStorage(req);
+    const thumbnailStream = await storage.getFileStream(req.params.id);
 
     res.setHeader("Content-Type", "image/jpeg");
     res.setHeader("Cache-Control", "public, max-age=86400"); // Cache for 1 day
-    response.data.pipe(res);
+    thumbnailStream.pipe(res);
   } catch (error) {
     logError("thumbnails.fetch.failed", {
       ...buildLogContext(req, { fileId: req.params.id }),
@@ -889,42 +1419,10 @@ app.get("/api/thumbnails/:id", requireAuth, async (req, res) => {
 });
 
 // Probe whether a file is already H.264 MP4 (skips FFmpeg conversion)
-function probeIsH264Mp4(filePath) {
-  const { spawnSync } = require("child_process");
-  let ffprobePath;
+async function probeIsH264Mp4(filePath) {
   try {
-    // ffmpeg-static ships ffprobe alongside ffmpeg in newer versions
-    ffprobePath = require("ffmpeg-static").replace(/ffmpeg/, "ffprobe");
-    const fs = require("fs");
-    if (!fs.existsSync(ffprobePath)) ffprobePath = "ffprobe";
-  } catch {
-    ffprobePath = "ffprobe";
-  }
-
-  try {
-    const result = spawnSync(
-      ffprobePath,
-      [
-        "-v",
-        "quiet",
-        "-print_format",
-        "json",
-        "-show_streams",
-        "-show_format",
-        filePath,
-      ],
-      { timeout: 10000 },
-    );
-
-    if (result.status !== 0) return false;
-
-    const info = JSON.parse(result.stdout.toString());
-    const videoStream = (info.streams || []).find(
-      (s) => s.codec_type === "video",
-    );
-    const isH264 = videoStream && videoStream.codec_name === "h264";
-    const isMp4 = info.format && /mp4|mov/.test(info.format.format_name);
-    return isH264 && isMp4;
+    const info = await probeMedia(filePath);
+    return info.video?.codec === "h264" && /mp4|mov/.test(info.formatName);
   } catch {
     return false;
   }
@@ -934,6 +1432,7 @@ function probeIsH264Mp4(filePath) {
 app.post(
   "/api/clips",
   requireAuth,
+  removeUnclaimedUpload,
   upload.single("video"),
   async (req, res) => {
     const userName = req.session.user?.name || "Unknown";
@@ -944,8 +1443,9 @@ app.post(
       userId: userEmail,
     });
 
-    if (!req.file) {
-      return res.status(400).json({ error: "No video file provided" });
+    const uploaded = resolveUploadedFile(req);
+    if (uploaded.error) {
+      return res.status(uploaded.status).json({ error: uploaded.error });
     }
 
     const normalizedFileName = normalizeClipFileName(
@@ -957,7 +1457,7 @@ app.post(
       });
     }
 
-    const inputExt = getUploadExtension(req.file.mimetype.split(";")[0].trim());
+    const inputExt = getUploadExtension(uploaded.mimeType);
     if (!inputExt) {
       return res.status(415).json({
         error: "Unsupported upload type. Use MP4, WebM, or MOV video files.",
@@ -966,19 +1466,11 @@ app.post(
 
     const { spawn } = require("child_process");
 
-    // Get ffmpeg path
-    let ffmpegPath;
-    try {
-      ffmpegPath = require("ffmpeg-static");
-    } catch {
-      ffmpegPath = "ffmpeg";
-    }
-
     ensureTempDir();
 
     // Use unique ID to prevent conflicts between concurrent uploads
     const uniqueId = crypto.randomUUID();
-    const isUploadMp4 = req.file.mimetype === "video/mp4";
+    const isUploadMp4 = uploaded.mimeType === "video/mp4";
     const captureSource =
       typeof req.body.captureSource === "string"
         ? req.body.captureSource
@@ -992,11 +1484,11 @@ app.post(
     const outputPath = path.join(TEMP_DIR, `output-${uniqueId}.mp4`);
 
     try {
-      // Write uploaded file to disk
-      fs.writeFileSync(inputPath, req.file.buffer);
+      // Move the uploaded file into place
+      uploaded.claim(inputPath);
 
       // Check if already H.264 MP4 — skip conversion if so
-      const alreadyMp4 = isUploadMp4 && probeIsH264Mp4(inputPath);
+      const alreadyMp4 = isUploadMp4 && (await probeIsH264Mp4(inputPath));
 
       const finalVideoPath = alreadyMp4 ? inputPath : outputPath;
 
@@ -1054,44 +1546,35 @@ app.post(
         });
       }
 
-      const drive = google.drive({ version: "v3", auth: oauth2Client });
-      const folderId = await getOrCreateFolder(drive);
+      const storage = getStorage(req);
+      const folderId = await getOrCreateFolder(storage);
 
-      const fileName = normalizedFileName;
-      const dateStr = fileName.split(".")[0];
+      const dateStr = normalizedFileName.split(".")[0];
 
       // Generate thumbnail
       const thumbnailPath = path.join(TEMP_DIR, `thumb-${uniqueId}.jpg`);
       await generateThumbnail(finalVideoPath, thumbnailPath);
 
-      // Upload video
-      const fileStream = fs.createReadStream(finalVideoPath);
-      const response = await withDriveRetry(
-        req,
-        "clips.create",
-        () => {
-          const retryStream = fs.createReadStream(finalVideoPath);
-          return drive.files.create({
-            requestBody: {
-              name: fileName,
-              parents: [folderId],
-            },
-            media: {
-              mimeType: "video/mp4",
-              body: retryStream,
-            },
-            fields: "id, name, createdTime",
-          });
-        },
-        { folderId, fileName },
+      // Upload video; another clip for the same day is stored as its next take
+      const { take, file: uploadedFile } = await addTake(
+        storage,
+        folderId,
+        dateStr,
+        (nextTake) =>
+          storage.createFile(folderId, {
+            name: getTakeFileName(dateStr, nextTake, "mp4"),
+            mimeType: "video/mp4",
+            filePath: finalVideoPath,
+          }),
+        { userId: req.session.user?.email || req.session.id },
       );
 
       // Upload thumbnail
       await uploadThumbnail(
-        drive,
+        storage,
         folderId,
         thumbnailPath,
-        `${dateStr}.thumb.jpg`,
+        getTakeThumbnailName(dateStr, take),
       );
 
       // Cleanup temp files
@@ -1102,10 +1585,11 @@ app.post(
       res.json({
         success: true,
         file: {
-          id: response.data.id,
-          name: response.data.name,
+          id: uploadedFile.id,
+          name: uploadedFile.name,
           date: dateStr,
-          createdTime: response.data.createdTime,
+          take,
+          createdTime: uploadedFile.createdTime,
         },
       });
     } catch (error) {
@@ -1131,37 +1615,16 @@ app.post(
 // Get video file for playback
 app.get("/api/clips/:id/video", requireAuth, async (req, res) => {
   try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
+    const storage = getStorage(req);
 
     // Get file metadata to determine content type
-    const metaResponse = await withDriveRetry(
-      req,
-      "clips.meta.get",
-      () =>
-        drive.files.get({
-          fileId: req.params.id,
-          fields: "name, mimeType",
-        }),
-      { fileId: req.params.id },
-    );
-
-    const response = await withDriveRetry(
-      req,
-      "clips.video.get",
-      () =>
-        drive.files.get(
-          { fileId: req.params.id, alt: "media" },
-          { responseType: "stream" },
-        ),
-      { fileId: req.params.id },
-    );
+    const fileInfo = await storage.getFile(req.params.id);
 
     // Set content type based on file extension or mimeType
     const contentType =
-      metaResponse.data.mimeType ||
-      (metaResponse.data.name?.endsWith(".mp4") ? "video/mp4" : "video/webm");
-    res.setHeader("Content-Type", contentType);
-    response.data.pipe(res);
+      fileInfo.mimeType ||
+      (fileInfo.name?.endsWith(".mp4") ? "video/mp4" : "video/webm");
+    await sendStorageFile(req, res, storage, fileInfo, contentType);
   } catch (error) {
     logError("clips.video_fetch.failed", {
       ...buildLogContext(req, { fileId: req.params.id }),
@@ -1171,7 +1634,109 @@ app.get("/api/clips/:id/video", requireAuth, async (req, res) => {
   }
 });
 
-// Delete a clip (and its thumbnail)
+// Set or clear the caption for a clip's day
+app.patch("/api/clips/:id", requireAuth, async (req, res) => {
+  const caption = normalizeCaption(req.body?.caption);
+  if (caption === null) {
+    return res.status(400).json({
+      error: `caption must be a string of at most ${MAX_CAPTION_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const storage = getStorage(req);
+    const fileInfo = await storage.getFile(req.params.id);
+    const dateMatch = fileInfo.name?.match(/^(\d{4}-\d{2}-\d{2})/);
+    if (!dateMatch || !fileInfo.parents?.[0]) {
+      return res.status(400).json({ error: "File is not a daily clip" });
+    }
+
+    ensureTempDir();
+    await saveCaption(storage, fileInfo.parents[0], dateMatch[1], caption, {
+      tempDir: TEMP_DIR,
+    });
+
+    logInfo("clips.caption.updated", {
+      ...buildLogContext(req, { fileId: req.params.id, date: dateMatch[1] }),
+      captionLength: caption.length,
+    });
+    res.json({ id: req.params.id, date: dateMatch[1], caption });
+  } catch (error) {
+    if ((error.status || error.response?.status) === 404) {
+      return res.status(404).json({ error: "Clip not found" });
+    }
+
+    logError("clips.caption.update_failed", {
+      ...buildLogContext(req, { fileId: req.params.id }),
+      error: serializeError(error),
+    });
+    res.status(500).json({ error: "Failed to save caption" });
+  }
+});
+
+// Make a take the primary clip of its day
+app.post("/api/clips/:id/primary", requireAuth, async (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const fileInfo = await storage.getFile(req.params.id);
+    const parsed = parseClipFileName(fileInfo.name);
+    if (!parsed || !fileInfo.parents?.[0]) {
+      return res.status(400).json({ error: "File is not a daily clip" });
+    }
+
+    ensureTempDir();
+    await savePrimaryTake(
+      storage,
+      fileInfo.parents[0],
+      parsed.date,
+      fileInfo.name,
+      { tempDir: TEMP_DIR },
+    );
+
+    logInfo("clips.primary.updated", {
+      ...buildLogContext(req, { fileId: req.params.id, date: parsed.date }),
+      take: parsed.take,
+    });
+    res.json({ id: req.params.id, date: parsed.date, take: parsed.take });
+  } catch (error) {
+    if ((error.status || error.response?.status) === 404) {
+      return res.status(404).json({ error: "Clip not found" });
+    }
+
+    logError("clips.primary.update_failed", {
+      ...buildLogContext(req, { fileId: req.params.id }),
+      error: serializeError(error),
+    });
+    res.status(500).json({ error: "Failed to set primary take" });
+  }
+});
+
+// Stream a stored file, honoring conditional and Range requests so players
+// can seek (and iOS Safari will play at all)
+async function sendStorageFile(req, res, storage, fileInfo, contentType) {
+  const plan = planFileResponse(req.headers, fileInfo, contentType);
+
+  if (plan.status === 304 || plan.status === 416 || req.method === "HEAD") {
+    res.status(plan.status).set(plan.headers).end();
+    return;
+  }
+
+  // Open the stream before sending headers so a failure can still be a 500
+  const fileStream = await storage.getFileStream(fileInfo.id, plan.range);
+  res.status(plan.status).set(plan.headers);
+  // Players abort requests when seeking; stop downloading from storage too
+  res.on("close", () => fileStream.destroy());
+  fileStream.on("error", (error) => {
+    logWarn("storage.stream.failed", {
+      ...buildLogContext(req, { fileId: fileInfo.id }),
+      error: serializeError(error),
+    });
+    res.destroy(error);
+  });
+  fileStream.pipe(res);
+}
+
+// Delete a clip or one take of a day (and its thumbnail)
 app.delete("/api/clips/:id", requireAuth, async (req, res) => {
   const userName = req.session.user?.name || "Unknown";
   const userEmail = req.session.user?.email || "Unknown";
@@ -1184,21 +1749,12 @@ app.delete("/api/clips/:id", requireAuth, async (req, res) => {
   });
 
   try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
+    const storage = getStorage(req);
 
     // Get file info to find associated thumbnail
-    const fileInfo = await withDriveRetry(
-      req,
-      "clips.delete.meta",
-      () =>
-        drive.files.get({
-          fileId: req.params.id,
-          fields: "name, parents",
-        }),
-      { fileId: req.params.id },
-    );
+    const fileInfo = await storage.getFile(req.params.id);
 
-    const fileName = fileInfo.data.name;
+    const fileName = fileInfo.name;
     logInfo("clips.delete.target_resolved", {
       ...buildLogContext(req, {
         fileId: req.params.id,
@@ -1206,40 +1762,53 @@ app.delete("/api/clips/:id", requireAuth, async (req, res) => {
         userId: userEmail,
       }),
     });
-    const dateMatch = fileName.match(/^(\d{4}-\d{2}-\d{2})/);
+    const parsed = parseClipFileName(fileName);
 
     // Delete the video
-    await withDriveRetry(
-      req,
-      "clips.delete.file",
-      () => drive.files.delete({ fileId: req.params.id }),
-      { fileId: req.params.id },
-    );
+    await storage.deleteFile(req.params.id);
 
-    // Try to delete associated thumbnail
-    if (dateMatch && fileInfo.data.parents?.[0]) {
-      const folderId = fileInfo.data.parents[0];
-      const thumbName = `${dateMatch[1]}.thumb.jpg`;
+    if (parsed && fileInfo.parents?.[0]) {
+      const folderId = fileInfo.parents[0];
+      ensureTempDir();
 
       try {
-        const thumbSearch = await withDriveRetry(
-          req,
-          "clips.delete.thumbnail_lookup",
-          () =>
-            drive.files.list({
-              q: `'${folderId}' in parents and name='${thumbName}' and trashed=false`,
-              fields: "files(id)",
-            }),
-          { folderId, thumbName },
-        );
+        const remainingFiles = await storage.listFiles(folderId);
+        const day = groupDayTakes(remainingFiles).get(parsed.date);
+        const primaryTakes = await readPrimaryTakes(storage, remainingFiles);
+
+        // A deleted primary take falls back to the day's first take
+        if (
+          primaryTakes[parsed.date]?.primary === fileName &&
+          !day?.takes.some((file) => file.name === fileName)
+        ) {
+          await savePrimaryTake(storage, folderId, parsed.date, null, {
+            tempDir: TEMP_DIR,
+          });
+        }
 
-        if (thumbSearch.data.files?.length > 0) {
-          await withDriveRetry(
-            req,
-            "clips.delete.thumbnail",
-            () => drive.files.delete({ fileId: thumbSearch.data.files[0].id }),
-            { fileId: thumbSearch.data.files[0].id },
-          );
+        // Deleting the last take clears the day's caption unless asked not to
+        if (!day && req.query.keepCaption !== "true") {
+          await saveCaption(storage, folderId, parsed.date, "", {
+            tempDir: TEMP_DIR,
+          });
+        }
+      } catch (metadataError) {
+        logWarn("clips.delete.metadata_update_failed", {
+          ...buildLogContext(req, { fileId: req.params.id }),
+          error: serializeError(metadataError),
+        });
+      }
+    }
+
+    // Try to delete associated thumbnail
+    if (parsed && fileInfo.parents?.[0]) {
+      const folderId = fileInfo.parents[0];
+      const thumbName = getTakeThumbnailName(parsed.date, parsed.take);
+
+      try {
+        const thumbFile = await storage.findFile(folderId, thumbName);
+        if (thumbFile) {
+          await storage.deleteFile(thumbFile.id);
         }
       } catch (thumbError) {
         logWarn("clips.delete.thumbnail_missing", {
@@ -1259,32 +1828,181 @@ app.delete("/api/clips/:id", requireAuth, async (req, res) => {
   }
 });
 
+// ============ RESUMABLE UPLOAD ROUTES ============
+
+function describeUploadSession(session) {
+  return {
+    uploadId: session.id,
+    offset: session.offset,
+    size: session.size,
+    complete: session.offset === session.size,
+  };
+}
+
+// Start a resumable upload: { fileName, mimeType, size }
+app.post("/api/uploads", requireAuth, (req, res) => {
+  const { fileName, mimeType, size } = req.body || {};
+  const normalizedMimeType =
+    typeof mimeType === "string" ? mimeType.split(";")[0].trim() : "";
+
+  if (!getUploadExtension(normalizedMimeType, true)) {
+    return res.status(415).json({
+      error: "Unsupported file type. Use MP4, WebM, MOV, JPG, or PNG.",
+    });
+  }
+
+  try {
+    const session = uploadSessions.create({
+      userId: getUploadOwner(req),
+      fileName: typeof fileName === "string" ? path.basename(fileName) : "",
+      mimeType: normalizedMimeType,
+      size: Number(size),
+    });
+
+    logInfo("uploads.session.created", {
+      ...buildLogContext(req, { uploadId: session.id }),
+      size: session.size,
+      mimeType: session.mimeType,
+    });
+    res.status(201).json(describeUploadSession(session));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logError("uploads.session.create_failed", {
+      ...buildLogContext(req),
+      error: serializeError(error),
+    });
+    res.status(500).json({ error: "Failed to start upload" });
+  }
+});
+
+// Current offset, used to resume after a dropped connection
+app.get("/api/uploads/:id", requireAuth, (req, res) => {
+  const session = uploadSessions.get(req.params.id, getUploadOwner(req));
+  if (!session) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+
+  res.json(describeUploadSession(session));
+});
+
+// Append a chunk; Content-Range must start at the current offset
+app.put("/api/uploads/:id", requireAuth, async (req, res) => {
+  const session = uploadSessions.get(req.params.id, getUploadOwner(req));
+  if (!session) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+
+  const range = parseContentRange(req.get("Content-Range"));
+  if (!range || range.total !== session.size) {
+    return res.status(400).json({
+      error: `Content-Range must be "bytes <start>-<end>/${session.size}"`,
+    });
+  }
+
+  try {
+    const offset = await uploadSessions.appendChunk(
+      session.id,
+      session.userId,
+      range.start,
+      req,
+    );
+    res.json(describeUploadSession({ ...session, offset }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        offset: error.offset,
+      });
+    }
+
+    // Usually the client dropped mid-chunk; the bytes received are kept
+    logWarn("uploads.chunk.interrupted", {
+      ...buildLogContext(req, { uploadId: session.id }),
+      error: serializeError(error),
+    });
+    if (!res.headersSent && !req.destroyed) {
+      res.status(500).json({ error: "Failed to store chunk" });
+    }
+  }
+});
+
+app.delete("/api/uploads/:id", requireAuth, (req, res) => {
+  if (!uploadSessions.delete(req.params.id, getUploadOwner(req))) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+
+  res.json({ success: true });
+});
+
 // ============ UPLOAD & TRIM ROUTE ============
 
+// Evenly spaced frames of an uploaded video (multipart or a completed
+// resumable upload, which is left in place) for picking the trim start
+app.post(
+  "/api/clips/filmstrip",
+  requireAuth,
+  removeUnclaimedUpload,
+  upload.single("video"),
+  async (req, res) => {
+    const uploaded = resolveUploadedFile(req);
+    if (uploaded.error) {
+      return res.status(uploaded.status).json({ error: uploaded.error });
+    }
+
+    if (!getUploadExtension(uploaded.mimeType)) {
+      return res.status(415).json({
+        error: "Unsupported file type. Use MP4, WebM, or MOV.",
+      });
+    }
+
+    const parsedCount = parseFrameCount(req.body.count);
+    if (parsedCount.error) {
+      return res.status(400).json({ error: parsedCount.error });
+    }
+
+    try {
+      const filmstrip = await generateFilmstrip(uploaded.filePath, {
+        count: parsedCount.value,
+      });
+      res.json(filmstrip);
+    } catch (error) {
+      logError("clips.filmstrip.failed", {
+        ...buildLogContext(req, { userId: getUploadOwner(req) }),
+        error: serializeError(error),
+      });
+      res
+        .status(500)
+        .json({ error: "Failed to build filmstrip: " + error.message });
+    }
+  },
+);
+
 // Upload a video or image and process it
 app.post(
   "/api/clips/upload-trim",
   requireAuth,
+  removeUnclaimedUpload,
   upload.single("video"),
   async (req, res) => {
     const userName = req.session.user?.name || "Unknown";
     const userEmail = req.session.user?.email || "Unknown";
 
-    if (!req.file) {
-      return res.status(400).json({ error: "No file provided" });
+    const uploaded = resolveUploadedFile(req);
+    if (uploaded.error) {
+      return res.status(uploaded.status).json({ error: uploaded.error });
     }
 
-    const inputExt = getUploadExtension(
-      req.file.mimetype.split(";")[0].trim(),
-      true,
-    );
+    const inputExt = getUploadExtension(uploaded.mimeType, true);
     if (!inputExt) {
       return res.status(415).json({
         error: "Unsupported file type. Use MP4, WebM, MOV, JPG, or PNG.",
       });
     }
 
-    const isImage = req.file.mimetype.startsWith("image/");
+    const isImage = uploaded.mimeType.startsWith("image/");
     logInfo("clips.trim_upload.started", {
       ...buildLogContext(req, {
         userName,
@@ -1295,14 +2013,6 @@ app.post(
 
     const { spawn } = require("child_process");
 
-    // Get ffmpeg path
-    let ffmpegPath;
-    try {
-      ffmpegPath = require("ffmpeg-static");
-    } catch {
-      ffmpegPath = "ffmpeg";
-    }
-
     const targetDate = req.body.date || new Date().toISOString().split("T")[0];
     if (!isValidDateString(targetDate)) {
       return res
@@ -1317,10 +2027,27 @@ app.post(
     const startTime = parsedStartTime.value;
 
     ensureTempDir();
+    // Removed however the request ends: the claimed upload, FFmpeg's output
+    // and the thumbnail
+    const tempPaths = [];
 
     try {
-      const drive = google.drive({ version: "v3", auth: oauth2Client });
-      const folderId = await getOrCreateFolder(drive);
+      const storage = getStorage(req);
+      const folderId = await getOrCreateFolder(storage);
+      // Another clip for the same day is stored as its next take
+      const addDayTake = (filePath, extension, mimeType) =>
+        addTake(
+          storage,
+          folderId,
+          targetDate,
+          (nextTake) =>
+            storage.createFile(folderId, {
+              name: getTakeFileName(targetDate, nextTake, extension),
+              mimeType,
+              filePath,
+            }),
+          { userId: req.session.user?.email || req.session.id },
+        );
 
       // Use unique ID to prevent conflicts between concurrent uploads
       const uniqueId = crypto.randomUUID();
@@ -1328,36 +2055,21 @@ app.post(
       if (isImage) {
         // Handle image upload - store as-is for compilation later
         const imagePath = path.join(TEMP_DIR, `image-${uniqueId}${inputExt}`);
+        tempPaths.push(imagePath);
 
-        // Write uploaded image to disk
-        fs.writeFileSync(imagePath, req.file.buffer);
-
-        // Upload image directly to Drive
-        const fileName = `${targetDate}${imageExt}`;
-        const fileStream = fs.createReadStream(imagePath);
-
-        const response = await withDriveRetry(
-          req,
-          "clips.trim_upload.image_create",
-          () => {
-            const retryStream = fs.createReadStream(imagePath);
-            return drive.files.create({
-              requestBody: {
-                name: fileName,
-                parents: [folderId],
-              },
-              media: {
-                mimeType: req.file.mimetype,
-                body: retryStream,
-              },
-              fields: "id, name, createdTime",
-            });
-          },
-          { folderId, fileName },
+        // Move the uploaded image into place
+        uploaded.claim(imagePath);
+
+        // Upload image directly to storage
+        const { take, file: uploadedFile } = await addDayTake(
+          imagePath,
+          inputExt,
+          uploaded.mimeType,
         );
 
         // Generate thumbnail from image (resize it)
         const thumbnailPath = path.join(TEMP_DIR, `thumb-${uniqueId}.jpg`);
+        tempPaths.push(thumbnailPath);
         await new Promise((resolve, reject) => {
           const args = [
             "-i",
@@ -1376,24 +2088,19 @@ app.post(
         });
 
         await uploadThumbnail(
-          drive,
+          storage,
           folderId,
           thumbnailPath,
-          `${targetDate}.thumb.jpg`,
+          getTakeThumbnailName(targetDate, take),
         );
 
-        // Cleanup temp files
-        try {
-          fs.unlinkSync(imagePath);
-          fs.unlinkSync(thumbnailPath);
-        } catch (e) {}
-
         res.json({
           success: true,
           clip: {
-            id: response.data.id,
-            name: response.data.name,
+            id: uploadedFile.id,
+            name: uploadedFile.name,
             date: targetDate,
+            take,
             type: "image",
           },
         });
@@ -1401,9 +2108,10 @@ app.post(
         // Handle video upload - trim to 1 second
         const inputPath = path.join(TEMP_DIR, `input-${uniqueId}${inputExt}`);
         const outputPath = path.join(TEMP_DIR, `output-${uniqueId}.mp4`);
+        tempPaths.push(inputPath, outputPath);
 
-        // Write uploaded file to disk
-        fs.writeFileSync(inputPath, req.file.buffer);
+        // Move the uploaded file into place
+        uploaded.claim(inputPath);
 
         // Trim to 1 second and convert to MP4 using FFmpeg
         await new Promise((resolve, reject) => {
@@ -1473,52 +2181,32 @@ app.post(
           });
         });
 
-        // Upload trimmed video to Drive
-        const fileName = `${targetDate}.mp4`;
-        const fileStream = fs.createReadStream(outputPath);
-
-        const response = await withDriveRetry(
-          req,
-          "clips.trim_upload.video_create",
-          () => {
-            const retryStream = fs.createReadStream(outputPath);
-            return drive.files.create({
-              requestBody: {
-                name: fileName,
-                parents: [folderId],
-              },
-              media: {
-                mimeType: "video/mp4",
-                body: retryStream,
-              },
-              fields: "id, name, createdTime",
-            });
-          },
-          { folderId, fileName },
+        // Upload trimmed video to storage
+        const { take, file: uploadedFile } = await addDayTake(
+          outputPath,
+          "mp4",
+          "video/mp4",
         );
 
         // Generate and upload thumbnail
         const thumbnailPath = path.join(TEMP_DIR, `thumb-${uniqueId}.jpg`);
+        tempPaths.push(thumbnailPath);
         await generateThumbnail(outputPath, thumbnailPath);
         await uploadThumbnail(
-          drive,
+          storage,
           folderId,
           thumbnailPath,
-          `${targetDate}.thumb.jpg`,
+          getTakeThumbnailName(targetDate, take),
         );
 
-        // Cleanup temp files
-        fs.unlinkSync(inputPath);
-        fs.unlinkSync(outputPath);
-        if (fs.existsSync(thumbnailPath)) fs.unlinkSync(thumbnailPath);
-
         res.json({
           success: true,
           file: {
-            id: response.data.id,
-            name: response.data.name,
+            id: uploadedFile.id,
+            name: uploadedFile.name,
             date: targetDate,
-            createdTime: response.data.createdTime,
+            take,
+            createdTime: uploadedFile.createdTime,
           },
         });
       }
@@ -1530,10 +2218,194 @@ app.post(
       res
         .status(500)
         .json({ error: "Failed to process file: " + error.message });
+    } finally {
+      for (const tempPath of tempPaths) {
+        fs.rmSync(tempPath, { force: true });
+      }
+    }
+  },
+);
+
+// ============ MUSIC LIBRARY ROUTES ============
+
+function getMusicFolder(storage, appFolderId) {
+  return storage.getOrCreateFolder(MUSIC_FOLDER_NAME, appFolderId);
+}
+
+// A track of the user's library by id. Throws a 404 error for anything
+// outside the music folder, so the routes cannot reach other files.
+async function getMusicTrack(storage, trackId) {
+  const musicFolderId = await getMusicFolder(
+    storage,
+    await getOrCreateFolder(storage),
+  );
+  const fileInfo = await storage.getFile(trackId);
+
+  if (
+    !fileInfo.parents?.includes(musicFolderId) ||
+    !isMusicTrackFile(fileInfo)
+  ) {
+    const error = new Error("Music track not found");
+    error.status = 404;
+    throw error;
+  }
+
+  return fileInfo;
+}
+
+// List the user's music library
+app.get("/api/music", requireAuth, async (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const musicFolderId = await getMusicFolder(
+      storage,
+      await getOrCreateFolder(storage),
+    );
+
+    const tracks = (await storage.listFiles(musicFolderId))
+      .filter(isMusicTrackFile)
+      .map(describeMusicTrack);
+
+    res.json({ tracks });
+  } catch (error) {
+    const handled = await handlePermissionError(req, res, error);
+    if (handled !== false) return;
+
+    logError("music.list.failed", {
+      ...buildLogContext(req),
+      error: serializeError(error),
+    });
+    res.status(500).json({ error: "Failed to fetch music" });
+  }
+});
+
+// Add a track to the library: multipart form data with a "music" audio file
+app.post(
+  "/api/music",
+  requireAuth,
+  removeUnclaimedUpload,
+  musicUpload.single("music"),
+  async (req, res) => {
+    const userEmail = req.session.user?.email || "Unknown";
+
+    if (!req.file) {
+      return res.status(400).json({ error: "No music file uploaded" });
+    }
+
+    try {
+      const probe = await probeMusic(req.file.path);
+      if (probe.error) {
+        return res.status(400).json({ error: probe.error });
+      }
+
+      const storage = getStorage(req);
+      const musicFolderId = await getMusicFolder(
+        storage,
+        await getOrCreateFolder(storage),
+      );
+      const existingNames = (await storage.listFiles(musicFolderId)).map(
+        (file) => file.name,
+      );
+      const name = getMusicTrackFileName(
+        req.file.originalname,
+        probe.value.extension,
+        existingNames,
+      );
+
+      const uploaded = await storage.createFile(musicFolderId, {
+        name,
+        mimeType: getMimeType(name),
+        filePath: req.file.path,
+      });
+
+      logInfo("music.track.uploaded", {
+        ...buildLogContext(req, {
+          fileId: uploaded.id,
+          fileName: name,
+          bytes: req.file.size,
+          container: probe.value.container,
+          codec: probe.value.codec,
+          duration: probe.value.duration,
+          userId: userEmail,
+        }),
+      });
+
+      res.json({
+        success: true,
+        track: {
+          ...describeMusicTrack({ size: req.file.size, ...uploaded, name }),
+          duration: probe.value.duration,
+        },
+      });
+    } catch (error) {
+      const handled = await handlePermissionError(req, res, error);
+      if (handled !== false) return;
+
+      logError("music.track.upload_failed", {
+        ...buildLogContext(req, { userId: userEmail }),
+        error: serializeError(error),
+      });
+      res.status(500).json({ error: "Failed to upload music" });
     }
   },
 );
 
+// Stream a track for previewing in the compile modal
+app.get("/api/music/:id/stream", requireAuth, async (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const fileInfo = await getMusicTrack(storage, req.params.id);
+
+    await sendStorageFile(
+      req,
+      res,
+      storage,
+      fileInfo,
+      describeMusicTrack(fileInfo).mimeType,
+    );
+  } catch (error) {
+    if ((error.status || error.response?.status) === 404) {
+      return res.status(404).json({ error: "Music track not found" });
+    }
+
+    logError("music.track.stream_failed", {
+      ...buildLogContext(req, { fileId: req.params.id }),
+      error: serializeError(error),
+    });
+    res.status(500).json({ error: "Failed to stream music" });
+  }
+});
+
+// Remove a track from the library
+app.delete("/api/music/:id", requireAuth, async (req, res) => {
+  const userEmail = req.session.user?.email || "Unknown";
+
+  try {
+    const storage = getStorage(req);
+    const fileInfo = await getMusicTrack(storage, req.params.id);
+    await storage.deleteFile(fileInfo.id);
+
+    logInfo("music.track.deleted", {
+      ...buildLogContext(req, {
+        fileId: fileInfo.id,
+        fileName: fileInfo.name,
+        userId: userEmail,
+      }),
+    });
+    res.json({ success: true });
+  } catch (error) {
+    if ((error.status || error.response?.status) === 404) {
+      return res.status(404).json({ error: "Music track not found" });
+    }
+
+    logError("music.track.delete_failed", {
+      ...buildLogContext(req, { fileId: req.params.id, userId: userEmail }),
+      error: serializeError(error),
+    });
+    res.status(500).json({ error: "Failed to delete music" });
+  }
+});
+
 // ============ COMPILATION ROUTE ============
 
 const VideoCompiler = require("./compiler");
@@ -1541,35 +2413,20 @@ const VideoCompiler = require("./compiler");
 // List all compilations
 app.get("/api/compilations", requireAuth, async (req, res) => {
   try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
-    const folderId = await getOrCreateFolder(drive);
-
-    const files = [];
-    let pageToken;
-
-    do {
-      const response = await withDriveRetry(
-        req,
-        "compilations.list",
-        () =>
-          drive.files.list({
-            q: `'${folderId}' in parents and trashed=false and name contains '365moments' and mimeType contains 'video/'`,
-            fields: "nextPageToken, files(id, name, createdTime, size)",
-            orderBy: "createdTime desc",
-            pageSize: 1000,
-            pageToken,
-          }),
-        { folderId },
-      );
-
-      files.push(...(response.data.files || []));
-      pageToken = response.data.nextPageToken || null;
-    } while (pageToken);
-
-    // Filter to only compilation files (not daily clips which are YYYY-MM-DD.mp4)
-    const datePattern = /^\d{4}-\d{2}-\d{2}\.(mp4|webm)$/;
+    const storage = getStorage(req);
+    const folderId = await getOrCreateFolder(storage);
+
+    const files = (await storage.listFiles(folderId))
+      .filter(
+        (file) =>
+          file.name.includes("365moments") &&
+          file.mimeType?.startsWith("video/"),
+      )
+      .sort((a, b) => (b.createdTime || "").localeCompare(a.createdTime || ""));
+
+    // Filter to only compilation files (not daily clips or their takes)
     const compilations = files
-      .filter((file) => !datePattern.test(file.name))
+      .filter((file) => !parseClipFileName(file.name))
       .map((file) => ({
         id: file.id,
         name: file.name,
@@ -1592,41 +2449,19 @@ app.get("/api/compilations", requireAuth, async (req, res) => {
 // Download/stream a compilation
 app.get("/api/compilations/:id", requireAuth, async (req, res) => {
   try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
+    const storage = getStorage(req);
 
     // Get file metadata
-    const fileInfo = await withDriveRetry(
-      req,
-      "compilations.meta.get",
-      () =>
-        drive.files.get({
-          fileId: req.params.id,
-          fields: "name, mimeType, size",
-        }),
-      { fileId: req.params.id },
-    );
-
-    res.setHeader("Content-Type", fileInfo.data.mimeType || "video/mp4");
-    res.setHeader(
-      "Content-Disposition",
-      `inline; filename="${fileInfo.data.name}"`,
-    );
-    if (fileInfo.data.size) {
-      res.setHeader("Content-Length", fileInfo.data.size);
-    }
+    const fileInfo = await storage.getFile(req.params.id);
 
-    const response = await withDriveRetry(
+    res.setHeader("Content-Disposition", `inline; filename="${fileInfo.name}"`);
+    await sendStorageFile(
       req,
-      "compilations.stream",
-      () =>
-        drive.files.get(
-          { fileId: req.params.id, alt: "media" },
-          { responseType: "stream" },
-        ),
-      { fileId: req.params.id },
+      res,
+      storage,
+      fileInfo,
+      fileInfo.mimeType || "video/mp4",
     );
-
-    response.data.pipe(res);
   } catch (error) {
     logError("compilations.stream.failed", {
       ...buildLogContext(req, { fileId: req.params.id }),
@@ -1649,13 +2484,8 @@ app.delete("/api/compilations/:id", requireAuth, async (req, res) => {
   });
 
   try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
-    await withDriveRetry(
-      req,
-      "compilations.delete",
-      () => drive.files.delete({ fileId: req.params.id }),
-      { fileId: req.params.id },
-    );
+    const storage = getStorage(req);
+    await storage.deleteFile(req.params.id);
     logInfo("compilations.delete.completed", {
       ...buildLogContext(req, { fileId: req.params.id, userId: userEmail }),
     });
@@ -1669,6 +2499,7 @@ app.delete("/api/compilations/:id", requireAuth, async (req, res) => {
   }
 });
 
+// Start a compilation; music is picked from the library by musicTrackId
 app.post("/api/compile", requireAuth, async (req, res) => {
   const userName = req.session.user?.name || "Unknown";
   const userEmail = req.session.user?.email || "Unknown";
@@ -1677,8 +2508,8 @@ app.post("/api/compile", requireAuth, async (req, res) => {
   });
 
   try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
-    const folderId = await getOrCreateFolder(drive);
+    const storage = getStorage(req);
+    const folderId = await getOrCreateFolder(storage);
     const compileRequest = validateCompileRequest(req.body);
     if (compileRequest.error) {
       return res.status(400).json({
@@ -1688,31 +2519,59 @@ app.post("/api/compile", requireAuth, async (req, res) => {
       });
     }
 
-    const { startDate, endDate, musicData } = compileRequest; // musicData is base64 encoded MP3
-    const userId = req.session.user?.email || req.session.id; // Use email or session ID for unique job tracking
-
-    // Check if already compiling
-    const existingJob = compilationJobs.get(userId);
-    if (existingJob && isCompilationJobExpired(existingJob)) {
-      compilationJobs.delete(userId);
+    const {
+      startDate,
+      endDate,
+      overlay,
+      preset,
+      framing,
+      transition,
+      audio,
+      beatSync,
+      gapPolicy,
+      titleCards,
+      musicTrackId,
+    } = compileRequest;
+
+    // The track is downloaded and checked against audio.musicStart by the
+    // compiler; here it only has to exist in the library
+    let musicTrack = null;
+    if (musicTrackId) {
+      try {
+        const fileInfo = await getMusicTrack(storage, musicTrackId);
+        musicTrack = {
+          id: fileInfo.id,
+          name: fileInfo.name,
+          modifiedTime: fileInfo.modifiedTime,
+        };
+      } catch (error) {
+        if ((error.status || error.response?.status) !== 404) throw error;
+        return res.status(400).json({
+          success: false,
+          message: "Music track not found",
+          status: "invalid_request",
+        });
+      }
     }
 
-    const activeJob = compilationJobs.get(userId);
-    if (activeJob && activeJob.status === "compiling") {
+    const userId = req.session.user?.email || req.session.id; // Use email or session ID for unique job tracking
+
+    // A user can queue a few compilations, not flood the queue
+    const activeJobs = compilationJobs
+      .listForUser(userId)
+      .filter(isCompilationJobActive);
+    if (activeJobs.length >= MAX_ACTIVE_COMPILATIONS_PER_USER) {
       return res.json({
         success: false,
-        message: "A compilation is already in progress",
-        status: "already_compiling",
-        jobId: activeJob.id,
+        message: `You can have at most ${MAX_ACTIVE_COMPILATIONS_PER_USER} compilations queued or running`,
+        status: "queue_full",
+        jobIds: activeJobs.map((job) => job.id),
       });
     }
 
     // Check if FFmpeg is available (bundled or system)
-    let ffmpegAvailable = false;
-    try {
-      require("ffmpeg-static");
-      ffmpegAvailable = true;
-    } catch {
+    let ffmpegAvailable = ffmpegPath !== "ffmpeg";
+    if (!ffmpegAvailable) {
       const { execSync } = require("child_process");
       try {
         execSync("ffmpeg -version", { stdio: "ignore" });
@@ -1734,39 +2593,58 @@ app.post("/api/compile", requireAuth, async (req, res) => {
     const jobId = crypto.randomUUID();
     const job = {
       id: jobId,
-      status: "compiling",
-      progress: "Starting...",
+      userId,
+      status: "queued",
+      progress: "Waiting to start...",
+      phase: null,
+      phasePercent: 0,
+      percent: 0,
+      etaSeconds: null,
+      progressUpdatedAt: null,
       startDate,
       endDate,
-      startedAt: new Date().toISOString(),
+      preset,
+      framing,
+      transition,
+      audio,
+      beatSync,
+      gapPolicy,
+      titleCards,
+      musicTrackId,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
       clipCount: 0,
       error: null,
       result: null,
     };
-    compilationJobs.set(userId, job);
+    compilationJobs.set(jobId, job);
 
-    // Return immediately - compilation runs in background
-    res.json({
-      success: true,
-      message: "Compilation started",
-      status: "started",
-      jobId,
-    });
-
-    // Run compilation in background
+    // Compilation runs in the background once the queue reaches it
     const scopedOauthClient = cloneOAuthClientWithTokens(req.session.tokens);
-    const compiler = new VideoCompiler(scopedOauthClient, {
-      requestId: req.requestId,
-      userId: userEmail,
-      jobId,
-    });
+    const jobStorage = getStorage(req, scopedOauthClient);
+    const controller = new AbortController();
+    compileControllers.set(jobId, controller);
+    const compiler = new VideoCompiler(
+      jobStorage,
+      {
+        requestId: req.requestId,
+        userId: userEmail,
+        jobId,
+      },
+      {
+        clipCache,
+        beatAnalyses,
+        cacheScope: `${jobStorage.name}:${userId}`,
+        signal: controller.signal,
+      },
+    );
 
-    // Log music data status
-    if (musicData) {
-      logInfo("compile.music.received", {
+    // Log music status
+    if (musicTrack) {
+      logInfo("compile.music.selected", {
         ...buildLogContext(req, {
           jobId,
-          bytes: musicData.length,
+          musicTrackId: musicTrack.id,
           userId: userEmail,
         }),
       });
@@ -1776,61 +2654,128 @@ app.post("/api/compile", requireAuth, async (req, res) => {
       });
     }
 
-    try {
-      compilationJobs.update(userId, (currentJob) => {
+    // The intro leaves out a missing name rather than show "Unknown"
+    const introName = req.session.user?.name || null;
+
+    const runJob = async () => {
+      const startedJob = compilationJobs.update(jobId, (currentJob) => {
         if (!currentJob) return currentJob;
         return {
           ...currentJob,
+          status: "compiling",
           progress: "Fetching clips...",
+          startedAt: new Date().toISOString(),
         };
       });
+      // Cleared while it waited
+      if (!startedJob) return;
 
-      const result = await compiler.compile(
-        folderId,
-        startDate,
-        endDate,
-        (progress) => {
-          compilationJobs.update(userId, (currentJob) => {
-            if (!currentJob) return currentJob;
-            if (currentJob.progress === progress) {
-              return currentJob;
-            }
+      logInfo("compile.job.started", {
+        ...buildLogContext(req, { jobId, userId: userEmail }),
+        queuedMs: Date.parse(startedJob.startedAt) - Date.parse(job.createdAt),
+      });
 
-            return {
-              ...currentJob,
-              progress,
-            };
+      try {
+        const result = await compiler.compile(
+          folderId,
+          startDate,
+          endDate,
+          (progress, details) => {
+            compilationJobs.update(jobId, (currentJob) => {
+              if (!currentJob) return currentJob;
+              if (currentJob.progress === progress && !details) {
+                return currentJob;
+              }
+
+              return {
+                ...currentJob,
+                progress,
+                ...(details && {
+                  phase: details.phase,
+                  phasePercent: details.phasePercent,
+                  percent: details.percent,
+                  etaSeconds: details.etaSeconds,
+                  progressUpdatedAt: new Date().toISOString(),
+                }),
+              };
+            });
+          },
+          musicTrack,
+          {
+            overlay,
+            preset,
+            framing,
+            transition,
+            audio,
+            beatSync,
+            gapPolicy,
+            titleCards,
+            userName: introName,
+          },
+        );
+        // Cancelled as the upload finished; the catch marks it cancelled
+        if (controller.signal.aborted) {
+          await compiler.deleteOutput(result.fileId);
+          throw new Error("Compilation cancelled");
+        }
+
+        compilationJobs.update(jobId, (currentJob) => {
+          if (!currentJob) return currentJob;
+          return {
+            ...currentJob,
+            status: "complete",
+            progress: "Done!",
+            percent: 100,
+            etaSeconds: null,
+            result,
+            clipCount: result.clipCount,
+            completedAt: new Date().toISOString(),
+          };
+        });
+      } catch (error) {
+        if (controller.signal.aborted) {
+          logInfo("compile.job.cancelled", {
+            ...buildLogContext(req, { jobId, userId: userEmail }),
+            progress: startedJob.progress,
           });
-        },
-        musicData, // Pass music data (base64) to compiler
-      );
+          compilationJobs.update(jobId, (currentJob) =>
+            currentJob ? markCompilationJobCancelled(currentJob) : currentJob,
+          );
+          return;
+        }
 
-      compilationJobs.update(userId, (currentJob) => {
-        if (!currentJob) return currentJob;
-        return {
-          ...currentJob,
-          status: "complete",
-          progress: "Done!",
-          result,
-          clipCount: result.clipCount,
-          completedAt: new Date().toISOString(),
-        };
-      });
-    } catch (error) {
-      logError("compile.background.failed", {
-        ...buildLogContext(req, { jobId, userId: userEmail }),
-        error: serializeError(error),
-      });
-      compilationJobs.update(userId, (currentJob) => {
-        if (!currentJob) return currentJob;
-        return {
-          ...currentJob,
-          status: "error",
-          error: error.message,
-          progress: "Failed",
-        };
-      });
-    }
+        logError("compile.background.failed", {
+          ...buildLogContext(req, { jobId, userId: userEmail }),
+          error: serializeError(error),
+        });
+        compilationJobs.update(jobId, (currentJob) => {
+          if (!currentJob) return currentJob;
+          return {
+            ...currentJob,
+            status: "error",
+            error: error.message,
+            progress: "Failed",
+            completedAt: new Date().toISOString(),
+          };
+        });
+      }
+    };
+
+    const queuePosition = compileQueue.enqueue(jobId, () =>
+      runJob().finally(() => compileControllers.delete(jobId)),
+    );
+    logInfo("compile.job.queued", {
+      ...buildLogContext(req, { jobId, userId: userEmail }),
+      queuePosition,
+    });
+
+    res.json({
+      success: true,
+      message: queuePosition > 0 ? "Compilation queued" : "Compilation started",
+      status: queuePosition > 0 ? "queued" : "started",
+      jobId,
+      queuePosition,
+    });
   } catch (error) {
     logError("compile.request.failed", {
       ...buildLogContext(req, { userId: userEmail }),
@@ -1844,37 +2789,115 @@ app.post("/api/compile", requireAuth, async (req, res) => {
   }
 });
 
-// Get compilation status
-app.get("/api/compile/status", requireAuth, (req, res) => {
+// The user's jobs that have not expired, oldest first
+function listCompilationJobs(userId) {
+  return compilationJobs.listForUser(userId).filter((job) => {
+    if (!isCompilationJobExpired(job) || compileQueue.has(job.id)) {
+      return true;
+    }
+    compilationJobs.delete(job.id);
+    return false;
+  });
+}
+
+// Cancel a queued or running compilation. A queued job is dropped at once;
+// a running one stops its FFmpeg processes and downloads, cleans up its
+// session directory and is then marked cancelled.
+app.post("/api/compile/jobs/:id/cancel", requireAuth, (req, res) => {
   const userId = req.session.user?.email || req.session.id;
-  const job = compilationJobs.get(userId);
+  const job = compilationJobs.get(req.params.id);
 
-  if (job && isCompilationJobExpired(job)) {
-    compilationJobs.delete(userId);
-    return res.json({ status: "idle", message: "No compilation in progress" });
+  if (!job || job.userId !== userId) {
+    return res.status(404).json({ error: "Compilation job not found" });
   }
 
-  if (!job) {
-    return res.json({ status: "idle", message: "No compilation in progress" });
+  if (!isCompilationJobActive(job)) {
+    return res
+      .status(409)
+      .json({ error: "Compilation job has already finished" });
+  }
+
+  const controller = compileControllers.get(job.id);
+  let cancelledJob;
+  if (compileQueue.remove(job.id) || !controller) {
+    compileControllers.delete(job.id);
+    cancelledJob = compilationJobs.update(job.id, markCompilationJobCancelled);
+  } else {
+    controller.abort();
+    cancelledJob = compilationJobs.update(job.id, (currentJob) => ({
+      ...currentJob,
+      progress: "Cancelling...",
+    }));
   }
 
-  res.json({
+  logInfo("compile.cancel.requested", {
+    ...buildLogContext(req, { jobId: job.id, userId }),
     status: job.status,
-    progress: job.progress,
-    startDate: job.startDate,
-    endDate: job.endDate,
-    startedAt: job.startedAt,
-    completedAt: job.completedAt,
-    clipCount: job.clipCount,
-    error: job.error,
-    result: job.result,
   });
+  res.json({ success: true, job: describeCompilationJob(cancelledJob) });
+});
+
+// List the user's compilation jobs
+app.get("/api/compile/jobs", requireAuth, (req, res) => {
+  const userId = req.session.user?.email || req.session.id;
+  res.json({ jobs: listCompilationJobs(userId).map(describeCompilationJob) });
 });
 
-// Clear compilation status
+// Get one compilation job
+app.get("/api/compile/jobs/:id", requireAuth, (req, res) => {
+  const userId = req.session.user?.email || req.session.id;
+  const job = listCompilationJobs(userId).find(
+    (entry) => entry.id === req.params.id,
+  );
+
+  if (!job) {
+    return res.status(404).json({ error: "Compilation job not found" });
+  }
+
+  res.json(describeCompilationJob(job));
+});
+
+// Dismiss a finished compilation job
+app.delete("/api/compile/jobs/:id", requireAuth, (req, res) => {
+  const userId = req.session.user?.email || req.session.id;
+  const job = compilationJobs.get(req.params.id);
+
+  if (!job || job.userId !== userId) {
+    return res.status(404).json({ error: "Compilation job not found" });
+  }
+
+  if (isCompilationJobActive(job)) {
+    return res
+      .status(409)
+      .json({ error: "Compilation job is still queued or running" });
+  }
+
+  compilationJobs.delete(job.id);
+  res.json({ success: true });
+});
+
+// Get compilation status: the oldest queued or running job, else the latest
+// finished one
+app.get("/api/compile/status", requireAuth, (req, res) => {
+  const userId = req.session.user?.email || req.session.id;
+  const jobs = listCompilationJobs(userId);
+  const job = jobs.find(isCompilationJobActive) || jobs[jobs.length - 1];
+
+  if (!job) {
+    return res.json({ status: "idle", message: "No compilation in progress" });
+  }
+
+  res.json(describeCompilationJob(job));
+});
+
+// Clear the status of the user's finished compilations
 app.delete("/api/compile/status", requireAuth, (req, res) => {
   const userId = req.session.user?.email || req.session.id;
-  compilationJobs.delete(userId);
+  for (const job of compilationJobs.listForUser(userId)) {
+    if (!isCompilationJobActive(job)) {
+      compilationJobs.delete(job.id);
+    }
+  }
   res.json({ success: true });
 });
 
@@ -1890,7 +2913,8 @@ function startServer(port = PORT) {
   return app.listen(port, () => {
     logInfo("server.started", {
       port,
-      driveFolderName: DRIVE_FOLDER_NAME,
+      appFolderName: APP_FOLDER_NAME,
+      storageDriver: STORAGE_DRIVER,
     });
   });
 }
@@ -1906,6 +2930,8 @@ module.exports = {
   isValidDateString,
   normalizeClipFileName,
   parseStartTime,
+  parseWebDavCredentials,
+  readClipCacheMaxMb,
   startServer,
   validateCompileRequest,
 };
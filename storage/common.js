@@ -0,0 +1,68 @@
+// Helpers shared by the path-based storage drivers (local, S3)
+const crypto = require("crypto");
+const path = require("path");
+
+const MIME_TYPES_BY_EXTENSION = new Map([
+  [".mp4", "video/mp4"],
+  [".webm", "video/webm"],
+  [".mov", "video/quicktime"],
+  [".jpg", "image/jpeg"],
+  [".jpeg", "image/jpeg"],
+  [".png", "image/png"],
+  [".json", "application/json"],
+  [".mp3", "audio/mpeg"],
+  [".m4a", "audio/mp4"],
+  [".aac", "audio/aac"],
+  [".ogg", "audio/ogg"],
+  [".wav", "audio/wav"],
+  [".flac", "audio/flac"],
+]);
+
+function getMimeType(fileName) {
+  return (
+    MIME_TYPES_BY_EXTENSION.get(path.extname(fileName).toLowerCase()) ||
+    "application/octet-stream"
+  );
+}
+
+function notFoundError(fileId) {
+  const error = new Error(`File not found: ${fileId}`);
+  error.code = "ENOENT";
+  error.status = 404;
+  return error;
+}
+
+// A user identifier as a single safe directory name: a readable prefix plus a
+// hash of the identifier as given, so identifiers that clean up to the same
+// prefix (e.g. "a+b@x" and "a_b@x") still get their own directory
+function getUserStorageKey(user) {
+  const raw = String(user?.email || user?.id || "default");
+  const readable = raw
+    .toLowerCase()
+    .replace(/[^a-z0-9@._-]/g, "_")
+    .replace(/^\.+/, "_")
+    .slice(0, 40);
+  const hash = crypto.createHash("sha256").update(raw).digest("hex");
+  return `${readable}-${hash.slice(0, 32)}`;
+}
+
+// Ids are the base64url-encoded path relative to the user's root
+function encodePathId(relativePath) {
+  return Buffer.from(relativePath, "utf8").toString("base64url");
+}
+
+function decodePathId(fileId) {
+  if (typeof fileId !== "string" || !fileId) {
+    throw notFoundError(fileId);
+  }
+
+  return Buffer.from(fileId, "base64url").toString("utf8");
+}
+
+module.exports = {
+  decodePathId,
+  encodePathId,
+  getMimeType,
+  getUserStorageKey,
+  notFoundError,
+};
@@ -0,0 +1,230 @@
+// Google Drive storage driver
+const fs = require("fs");
+const { google } = require("googleapis");
+const { retryAsync } = require("../backend-utils");
+
+const FOLDER_MIME_TYPE = "application/vnd.google-apps.folder";
+const FILE_FIELDS =
+  "id, name, mimeType, createdTime, modifiedTime, size, parents";
+
+// Drive query strings are single-quoted; escape names before interpolating
+function escapeQueryValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+}
+
+class DriveStorage {
+  constructor(auth, logContext = {}) {
+    this.name = "drive";
+    this.drive = google.drive({ version: "v3", auth });
+    this.logContext = logContext;
+  }
+
+  retry(operation, work, context = {}) {
+    return retryAsync(work, {
+      label: `google.drive.${operation}`,
+      context: {
+        ...this.logContext,
+        service: "google.drive",
+        operation,
+        ...context,
+      },
+    });
+  }
+
+  async getOrCreateFolder(name, parentId = null) {
+    const parentClause = parentId
+      ? ` and '${escapeQueryValue(parentId)}' in parents`
+      : "";
+
+    // Search for existing folder
+    const searchResponse = await this.retry(
+      "folder.lookup",
+      () =>
+        this.drive.files.list({
+          q: `name='${escapeQueryValue(name)}' and mimeType='${FOLDER_MIME_TYPE}' and trashed=false${parentClause}`,
+          fields: "files(id, name)",
+        }),
+      { folderName: name, parentId },
+    );
+
+    if (searchResponse.data.files.length > 0) {
+      return searchResponse.data.files[0].id;
+    }
+
+    // Create new folder
+    const folderResponse = await this.retry(
+      "folder.create",
+      () =>
+        this.drive.files.create({
+          requestBody: {
+            name,
+            mimeType: FOLDER_MIME_TYPE,
+            ...(parentId ? { parents: [parentId] } : {}),
+          },
+          fields: "id",
+        }),
+      { folderName: name, parentId },
+    );
+
+    return folderResponse.data.id;
+  }
+
+  // List every non-folder file in a folder, sorted by name
+  async listFiles(folderId) {
+    const files = [];
+    let pageToken;
+
+    do {
+      const response = await this.retry(
+        "files.list",
+        () =>
+          this.drive.files.list({
+            q: `'${escapeQueryValue(folderId)}' in parents and trashed=false and mimeType != '${FOLDER_MIME_TYPE}'`,
+            fields: `nextPageToken, files(${FILE_FIELDS})`,
+            orderBy: "name",
+            pageSize: 1000,
+            pageToken,
+          }),
+        { folderId },
+      );
+
+      files.push(...(response.data.files || []));
+      pageToken = response.data.nextPageToken || undefined;
+    } while (pageToken);
+
+    return files;
+  }
+
+  async findFile(folderId, name) {
+    const response = await this.retry(
+      "files.find",
+      () =>
+        this.drive.files.list({
+          q: `'${escapeQueryValue(folderId)}' in parents and name='${escapeQueryValue(name)}' and trashed=false`,
+          fields: `files(${FILE_FIELDS})`,
+        }),
+      { folderId, fileName: name },
+    );
+
+    return response.data.files?.[0] || null;
+  }
+
+  async getFile(fileId) {
+    const response = await this.retry(
+      "files.get",
+      () => this.drive.files.get({ fileId, fields: FILE_FIELDS }),
+      { fileId },
+    );
+
+    return response.data;
+  }
+
+  async getFileStream(fileId, range = null) {
+    const response = await this.retry(
+      "files.download",
+      () =>
+        this.drive.files.get(
+          { fileId, alt: "media" },
+          {
+            responseType: "stream",
+            ...(range
+              ? { headers: { Range: `bytes=${range.start}-${range.end}` } }
+              : {}),
+          },
+        ),
+      { fileId, range },
+    );
+
+    return response.data;
+  }
+
+  async createFile(folderId, { name, mimeType, filePath, signal }) {
+    const fileSize = fs.statSync(filePath).size;
+
+    const response = await this.retry(
+      "files.create",
+      () => {
+        // A fresh stream per attempt; a consumed stream cannot be re-sent
+        const body = fs.createReadStream(filePath);
+        return this.drive.files.create(
+          {
+            requestBody: {
+              name,
+              parents: [folderId],
+            },
+            media: {
+              mimeType,
+              body,
+            },
+            fields: FILE_FIELDS,
+          },
+          { signal },
+        );
+      },
+      { folderId, fileName: name, fileSize },
+    );
+
+    return response.data;
+  }
+
+  // Token marking "now" in the changes feed; pass it to listChanges later
+  async getChangesStartToken() {
+    const response = await this.retry("changes.startToken", () =>
+      this.drive.changes.getStartPageToken({}),
+    );
+
+    return response.data.startPageToken;
+  }
+
+  // Every file change since pageToken. Trashed files are reported as
+  // removed and folders are skipped, matching what listFiles returns.
+  async listChanges(pageToken) {
+    const changes = [];
+    let nextPageToken = pageToken;
+    let newStartPageToken;
+
+    do {
+      const response = await this.retry(
+        "changes.list",
+        () =>
+          this.drive.changes.list({
+            pageToken: nextPageToken,
+            fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${FILE_FIELDS}, trashed))`,
+            pageSize: 1000,
+            spaces: "drive",
+          }),
+        { pageToken: nextPageToken },
+      );
+
+      for (const change of response.data.changes || []) {
+        if (change.file?.mimeType === FOLDER_MIME_TYPE) continue;
+
+        const removed = Boolean(change.removed || change.file?.trashed);
+        let file = null;
+        if (!removed) {
+          const { trashed, ...metadata } = change.file;
+          file = metadata;
+        }
+
+        changes.push({ fileId: change.fileId, removed, file });
+      }
+
+      nextPageToken = response.data.nextPageToken || undefined;
+      newStartPageToken = response.data.newStartPageToken || newStartPageToken;
+    } while (nextPageToken);
+
+    return { changes, newStartPageToken };
+  }
+
+  async deleteFile(fileId) {
+    await this.retry(
+      "files.delete",
+      () => this.drive.files.delete({ fileId }),
+      { fileId },
+    );
+  }
+}
+
+module.exports = {
+  DriveStorage,
+};
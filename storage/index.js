@@ -0,0 +1,167 @@
+// Storage backends for clips, thumbnails and compilations
+//
+// Every driver exposes the same async interface; ids are opaque strings:
+//   getOrCreateFolder(name, parentId?) -> folderId
+//   listFiles(folderId)                -> [{ id, name, mimeType, createdTime, modifiedTime, size, parents }]
+//   findFile(folderId, name)           -> file metadata or null
+//   getFile(fileId)                    -> file metadata
+//   getFileStream(fileId, range?)      -> readable stream of the file contents,
+//                                         or of bytes range.start..range.end (inclusive)
+//   createFile(folderId, { name, mimeType, filePath, signal? }) -> file metadata;
+//                                         aborting `signal` stops the upload
+//   deleteFile(fileId)
+//
+// Drivers with a changes feed (Drive) also implement the following, which
+// lets storage/indexed.js serve listings from a server-side index:
+//   getChangesStartToken()             -> page token for "now"
+//   listChanges(pageToken)             -> { changes: [{ fileId, removed, file }], newStartPageToken }
+const path = require("path");
+const { getUserStorageKey } = require("./common");
+const { DriveStorage } = require("./drive");
+const { withIndex } = require("./indexed");
+const { LocalStorage } = require("./local");
+
+const STORAGE_DRIVERS = ["drive", "local", "s3", "webdav"];
+const DEFAULT_LOCAL_STORAGE_DIR = path.join(__dirname, "..", "data");
+
+let s3Client = null;
+
+function getStorageDriverName() {
+  const driverName = (process.env.STORAGE_DRIVER || "drive")
+    .trim()
+    .toLowerCase();
+
+  if (!STORAGE_DRIVERS.includes(driverName)) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${driverName}". Use one of: ${STORAGE_DRIVERS.join(", ")}`,
+    );
+  }
+
+  return driverName;
+}
+
+function getLocalStorageDir() {
+  return path.resolve(
+    process.env.LOCAL_STORAGE_DIR || DEFAULT_LOCAL_STORAGE_DIR,
+  );
+}
+
+function getS3Config() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set when STORAGE_DRIVER=s3");
+  }
+
+  const prefix = (process.env.S3_PREFIX || "").replace(/^\/+|\/+$/g, "");
+  return {
+    bucket,
+    prefix: prefix ? `${prefix}/` : "",
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted servers need path-style URLs
+    forcePathStyle:
+      process.env.S3_FORCE_PATH_STYLE !== undefined
+        ? process.env.S3_FORCE_PATH_STYLE === "true"
+        : Boolean(process.env.S3_ENDPOINT),
+  };
+}
+
+// One client per process; it pools connections across requests
+function getS3Client(config) {
+  if (!s3Client) {
+    const { S3Client } = require("@aws-sdk/client-s3");
+    s3Client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle,
+      ...(process.env.S3_ACCESS_KEY_ID
+        ? {
+            credentials: {
+              accessKeyId: process.env.S3_ACCESS_KEY_ID,
+              secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            },
+          }
+        : {}),
+    });
+  }
+
+  return s3Client;
+}
+
+// Fixed WebDAV base URL for every user; "{username}" is substituted so a
+// Nextcloud URL like https://cloud.example.com/remote.php/dav/files/{username}/
+// works. Returns null when users supply their own server URL.
+function getWebDavBaseUrl(username) {
+  const template = process.env.WEBDAV_URL;
+  if (!template) return null;
+  return template.replace(/\{username\}/g, encodeURIComponent(username));
+}
+
+// Hosts users may enter a WebDAV server URL for when WEBDAV_URL is unset
+// (WEBDAV_ALLOWED_HOSTS, comma-separated host names)
+function getWebDavAllowedHosts() {
+  return (process.env.WEBDAV_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Build the storage driver for one user. `auth` is the Google OAuth client
+// (only used by the Drive driver), `user` is the session user and `webdav`
+// holds the session's WebDAV credentials ({ url, username, password }).
+// When `indexStore` (a ClipIndexStore) is given, drivers with a changes feed
+// serve listings from the user's server-side index.
+function createStorage({
+  auth = null,
+  user = null,
+  webdav = null,
+  indexStore = null,
+  logContext = {},
+} = {}) {
+  const driverName = getStorageDriverName();
+
+  if (driverName === "webdav") {
+    if (!webdav) {
+      throw new Error("WebDAV credentials are missing from the session");
+    }
+
+    const { WebDavStorage } = require("./webdav");
+    return new WebDavStorage({ ...webdav, logContext });
+  }
+
+  if (driverName === "s3") {
+    const { S3Storage } = require("./s3");
+    const config = getS3Config();
+    return new S3Storage({
+      client: getS3Client(config),
+      bucket: config.bucket,
+      prefix: config.prefix,
+      userKey: getUserStorageKey(user),
+      logContext,
+    });
+  }
+
+  if (driverName === "local") {
+    return new LocalStorage({
+      rootDir: getLocalStorageDir(),
+      userKey: getUserStorageKey(user),
+      logContext,
+    });
+  }
+
+  return withIndex(new DriveStorage(auth, logContext), {
+    store: indexStore,
+    userKey: user ? getUserStorageKey(user) : null,
+    logContext,
+  });
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorage,
+  getLocalStorageDir,
+  getS3Config,
+  getStorageDriverName,
+  getWebDavAllowedHosts,
+  getWebDavBaseUrl,
+};
@@ -0,0 +1,191 @@
+// Serves folder listings from a server-side index kept fresh through the
+// driver's changes feed, so a gallery load costs one changes request instead
+// of paging through every file in the folder. Writes made through this
+// wrapper update the index immediately. Each folder has its own index, so
+// listing a subfolder such as "music" never replaces the user's clip index.
+const { logInfo, logWarn, serializeError } = require("../backend-utils");
+
+// Syncs in flight per user and folder, so concurrent requests share one
+// changes call
+const pendingSyncs = new Map();
+// Index reads and writes queued per user: a sync and a local write running
+// side by side would each save over the other's result
+const indexQueues = new Map();
+
+function queueIndexWork(userKey, task) {
+  const previous = indexQueues.get(userKey) || Promise.resolve();
+  const pending = previous.catch(() => {}).then(task);
+
+  indexQueues.set(userKey, pending);
+  pending
+    .finally(() => {
+      if (indexQueues.get(userKey) === pending) {
+        indexQueues.delete(userKey);
+      }
+    })
+    .catch(() => {});
+
+  return pending;
+}
+
+function sortByName(files) {
+  return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+class IndexedStorage {
+  constructor(storage, { store, userKey, logContext = {} }) {
+    this.name = storage.name;
+    this.storage = storage;
+    this.store = store;
+    this.userKey = userKey;
+    this.logContext = logContext;
+    // Folders whose index this wrapper has used, for deletes
+    this.folderIds = new Set();
+  }
+
+  getOrCreateFolder(name, parentId = null) {
+    return this.storage.getOrCreateFolder(name, parentId);
+  }
+
+  findFile(folderId, name) {
+    return this.storage.findFile(folderId, name);
+  }
+
+  getFile(fileId) {
+    return this.storage.getFile(fileId);
+  }
+
+  getFileStream(fileId, range = null) {
+    return this.storage.getFileStream(fileId, range);
+  }
+
+  async listFiles(folderId) {
+    const index = await this.sync(folderId);
+    return sortByName(Object.values(index.files));
+  }
+
+  async createFile(folderId, options) {
+    const file = await this.storage.createFile(folderId, options);
+    await this.updateIndex(folderId, (files) => {
+      files[file.id] = file;
+    });
+    return file;
+  }
+
+  async deleteFile(fileId) {
+    await this.storage.deleteFile(fileId);
+    // Indexes of other folders drop the file through the changes feed
+    for (const folderId of this.folderIds) {
+      await this.updateIndex(folderId, (files) => {
+        delete files[fileId];
+      });
+    }
+  }
+
+  indexKey(folderId) {
+    return `${this.userKey}:${folderId}`;
+  }
+
+  // Apply a local write to the folder's stored index, if it has one
+  updateIndex(folderId, apply) {
+    return queueIndexWork(this.userKey, () => {
+      const key = this.indexKey(folderId);
+      const index = this.store.get(key);
+      if (!index) return;
+
+      const files = { ...index.files };
+      apply(files);
+      this.store.set(key, { ...index, files });
+    });
+  }
+
+  sync(folderId) {
+    this.folderIds.add(folderId);
+    const key = this.indexKey(folderId);
+    if (!pendingSyncs.has(key)) {
+      const pending = queueIndexWork(this.userKey, () =>
+        this.runSync(folderId),
+      ).finally(() => {
+        pendingSyncs.delete(key);
+      });
+      pendingSyncs.set(key, pending);
+    }
+
+    return pendingSyncs.get(key);
+  }
+
+  async runSync(folderId) {
+    const index = this.store.get(this.indexKey(folderId));
+    if (!index || !index.pageToken) {
+      return this.rebuild(folderId);
+    }
+
+    let result;
+    try {
+      result = await this.storage.listChanges(index.pageToken);
+    } catch (error) {
+      // Expired or invalid tokens are rejected; start over from a full listing
+      logWarn("storage.index.changes_failed", {
+        ...this.logContext,
+        folderId,
+        error: serializeError(error),
+      });
+      return this.rebuild(folderId);
+    }
+
+    const files = { ...index.files };
+    for (const change of result.changes) {
+      if (!change.removed && change.file?.parents?.includes(folderId)) {
+        files[change.fileId] = change.file;
+      } else {
+        // Removed, trashed or moved out of the folder
+        delete files[change.fileId];
+      }
+    }
+
+    return this.store.set(this.indexKey(folderId), {
+      folderId,
+      pageToken: result.newStartPageToken || index.pageToken,
+      syncedAt: new Date().toISOString(),
+      files,
+    });
+  }
+
+  async rebuild(folderId) {
+    // Take the token first so changes made during the listing are replayed
+    const pageToken = await this.storage.getChangesStartToken();
+    const listed = await this.storage.listFiles(folderId);
+    const files = {};
+    for (const file of listed) {
+      files[file.id] = file;
+    }
+
+    logInfo("storage.index.rebuilt", {
+      ...this.logContext,
+      folderId,
+      fileCount: listed.length,
+    });
+
+    return this.store.set(this.indexKey(folderId), {
+      folderId,
+      pageToken,
+      syncedAt: new Date().toISOString(),
+      files,
+    });
+  }
+}
+
+// Wrap a driver in an index when it has a changes feed; others list cheaply
+// enough (or have no way to detect changes) and are returned as-is
+function withIndex(storage, { store, userKey, logContext = {} } = {}) {
+  if (!store || !userKey || typeof storage.listChanges !== "function") {
+    return storage;
+  }
+
+  return new IndexedStorage(storage, { store, userKey, logContext });
+}
+
+module.exports = {
+  IndexedStorage,
+  withIndex,
+};
@@ -0,0 +1,158 @@
+// Local filesystem storage driver
+// Files live under <rootDir>/<userKey>/..., and ids are the base64url-encoded
+// path relative to the user's directory so they are safe to use in URLs.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const {
+  decodePathId,
+  encodePathId,
+  getMimeType,
+  notFoundError,
+} = require("./common");
+
+class LocalStorage {
+  constructor({ rootDir, userKey, logContext = {} }) {
+    this.name = "local";
+    this.userDir = path.resolve(rootDir, userKey);
+    this.logContext = logContext;
+    fs.mkdirSync(this.userDir, { recursive: true });
+  }
+
+  toId(relativePath) {
+    return encodePathId(relativePath);
+  }
+
+  // Map an id back to an absolute path, refusing anything outside userDir
+  resolveId(fileId) {
+    const relativePath = decodePathId(fileId);
+    const absolutePath = path.resolve(this.userDir, relativePath);
+    if (!absolutePath.startsWith(this.userDir + path.sep)) {
+      throw notFoundError(fileId);
+    }
+
+    return absolutePath;
+  }
+
+  describe(absolutePath, stats) {
+    const relativePath = path.relative(this.userDir, absolutePath);
+    const parentPath = path.dirname(relativePath);
+    const name = path.basename(absolutePath);
+
+    return {
+      id: this.toId(relativePath),
+      name,
+      mimeType: getMimeType(name),
+      createdTime: (stats.birthtime.getTime()
+        ? stats.birthtime
+        : stats.ctime
+      ).toISOString(),
+      modifiedTime: stats.mtime.toISOString(),
+      size: String(stats.size),
+      parents: parentPath === "." ? [] : [this.toId(parentPath)],
+    };
+  }
+
+  async getOrCreateFolder(name, parentId = null) {
+    const parentPath = parentId ? this.resolveId(parentId) : this.userDir;
+    const folderPath = path.resolve(parentPath, path.basename(name));
+    await fs.promises.mkdir(folderPath, { recursive: true });
+    return this.toId(path.relative(this.userDir, folderPath));
+  }
+
+  // List every non-folder file in a folder, sorted by name
+  async listFiles(folderId) {
+    const folderPath = this.resolveId(folderId);
+    let entries;
+    try {
+      entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith(".")) continue;
+      const filePath = path.join(folderPath, entry.name);
+      const stats = await fs.promises.stat(filePath);
+      files.push(this.describe(filePath, stats));
+    }
+
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async findFile(folderId, name) {
+    const folderPath = this.resolveId(folderId);
+    const filePath = path.join(folderPath, path.basename(name));
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return stats.isFile() ? this.describe(filePath, stats) : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async getFile(fileId) {
+    const filePath = this.resolveId(fileId);
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) throw notFoundError(fileId);
+      return this.describe(filePath, stats);
+    } catch (error) {
+      if (error.code === "ENOENT") throw notFoundError(fileId);
+      throw error;
+    }
+  }
+
+  async getFileStream(fileId, range = null) {
+    // Stat first so a missing file rejects here instead of erroring mid-pipe
+    await this.getFile(fileId);
+    return fs.createReadStream(
+      this.resolveId(fileId),
+      range ? { start: range.start, end: range.end } : undefined,
+    );
+  }
+
+  async createFile(folderId, { name, filePath, signal }) {
+    const folderPath = this.resolveId(folderId);
+    const targetPath = path.join(folderPath, path.basename(name));
+    const partialPath = path.join(
+      folderPath,
+      `.${path.basename(name)}.${crypto.randomUUID()}.partial`,
+    );
+
+    await fs.promises.mkdir(folderPath, { recursive: true });
+    // Copy then rename so readers never see a half-written file
+    try {
+      await pipeline(
+        fs.createReadStream(filePath),
+        fs.createWriteStream(partialPath),
+        { signal },
+      );
+      await fs.promises.rename(partialPath, targetPath);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      throw error;
+    }
+
+    return this.describe(targetPath, await fs.promises.stat(targetPath));
+  }
+
+  async deleteFile(fileId) {
+    try {
+      await fs.promises.unlink(this.resolveId(fileId));
+    } catch (error) {
+      if (error.code === "ENOENT") throw notFoundError(fileId);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  LocalStorage,
+};
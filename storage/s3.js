@@ -0,0 +1,197 @@
+// S3-compatible object storage driver (AWS S3, MinIO, ...)
+// Each user's files live under <prefix>users/<userKey>/. Folders are plain key
+// prefixes, and ids are the base64url-encoded key below the user's prefix.
+const fs = require("fs");
+const path = require("path");
+const {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { retryAsync } = require("../backend-utils");
+const {
+  decodePathId,
+  encodePathId,
+  getMimeType,
+  notFoundError,
+} = require("./common");
+
+function isNotFoundError(error) {
+  return (
+    error?.name === "NotFound" ||
+    error?.name === "NoSuchKey" ||
+    error?.$metadata?.httpStatusCode === 404
+  );
+}
+
+class S3Storage {
+  constructor({ client, bucket, prefix = "", userKey, logContext = {} }) {
+    this.name = "s3";
+    this.client = client;
+    this.bucket = bucket;
+    this.userPrefix = `${prefix}users/${userKey}/`;
+    this.logContext = logContext;
+  }
+
+  // Map an id to its object key, refusing anything that is not a plain path
+  resolveId(fileId) {
+    const relativePath = decodePathId(fileId);
+    const segments = relativePath.split("/");
+    if (segments.some((segment) => !segment || /^\.\.?$/.test(segment))) {
+      throw notFoundError(fileId);
+    }
+
+    return `${this.userPrefix}${relativePath}`;
+  }
+
+  describe(key, { size, lastModified, contentType } = {}) {
+    const relativePath = key.slice(this.userPrefix.length);
+    const parentPath = path.posix.dirname(relativePath);
+    const name = path.posix.basename(relativePath);
+    const timestamp = (lastModified || new Date()).toISOString();
+
+    return {
+      id: encodePathId(relativePath),
+      name,
+      mimeType: contentType || getMimeType(name),
+      // S3 keeps no creation time; objects are immutable, so they match
+      createdTime: timestamp,
+      modifiedTime: timestamp,
+      size: size === undefined ? undefined : String(size),
+      parents: parentPath === "." ? [] : [encodePathId(parentPath)],
+    };
+  }
+
+  async head(key) {
+    try {
+      const response = await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: key }),
+      );
+      return this.describe(key, {
+        size: response.ContentLength,
+        lastModified: response.LastModified,
+        contentType: response.ContentType,
+      });
+    } catch (error) {
+      if (isNotFoundError(error)) return null;
+      throw error;
+    }
+  }
+
+  // Folders are implicit in S3; only the id is needed
+  async getOrCreateFolder(name, parentId = null) {
+    const folderName = path.posix.basename(name);
+    if (!parentId) {
+      return encodePathId(folderName);
+    }
+
+    return encodePathId(`${decodePathId(parentId)}/${folderName}`);
+  }
+
+  // List every object directly inside a folder, sorted by name
+  async listFiles(folderId) {
+    const folderPrefix = `${this.resolveId(folderId)}/`;
+    const files = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: folderPrefix,
+          Delimiter: "/",
+          ContinuationToken: continuationToken,
+        }),
+      );
+
+      for (const object of response.Contents || []) {
+        const name = object.Key.slice(folderPrefix.length);
+        if (!name || name.startsWith(".")) continue;
+        files.push(
+          this.describe(object.Key, {
+            size: object.Size,
+            lastModified: object.LastModified,
+          }),
+        );
+      }
+
+      continuationToken = response.IsTruncated
+        ? response.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async findFile(folderId, name) {
+    const folderKey = this.resolveId(folderId);
+    return this.head(`${folderKey}/${path.posix.basename(name)}`);
+  }
+
+  async getFile(fileId) {
+    const file = await this.head(this.resolveId(fileId));
+    if (!file) throw notFoundError(fileId);
+    return file;
+  }
+
+  async getFileStream(fileId, range = null) {
+    try {
+      const response = await this.client.send(
+        new GetObjectCommand({
+          Bucket: this.bucket,
+          Key: this.resolveId(fileId),
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        }),
+      );
+      return response.Body;
+    } catch (error) {
+      if (isNotFoundError(error)) throw notFoundError(fileId);
+      throw error;
+    }
+  }
+
+  async createFile(folderId, { name, mimeType, filePath, signal }) {
+    const key = `${this.resolveId(folderId)}/${path.posix.basename(name)}`;
+    const fileSize = fs.statSync(filePath).size;
+
+    // The SDK cannot replay a consumed stream, so retry with a fresh one
+    await retryAsync(
+      () =>
+        this.client.send(
+          new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: fileSize,
+            ContentType: mimeType || getMimeType(name),
+          }),
+          { abortSignal: signal },
+        ),
+      {
+        label: "s3.files.create",
+        context: { ...this.logContext, key, fileSize },
+      },
+    );
+
+    return this.describe(key, {
+      size: fileSize,
+      lastModified: new Date(),
+      contentType: mimeType,
+    });
+  }
+
+  async deleteFile(fileId) {
+    await this.client.send(
+      new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: this.resolveId(fileId),
+      }),
+    );
+  }
+}
+
+module.exports = {
+  S3Storage,
+};
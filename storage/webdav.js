@@ -0,0 +1,345 @@
+// WebDAV storage driver (Nextcloud, ownCloud and other RFC 4918 servers)
+// Credentials come from the user's session. Folders are WebDAV collections
+// and ids are the base64url-encoded path below the user's base URL.
+const fs = require("fs");
+const path = require("path");
+const { Readable, Transform } = require("stream");
+const { XMLParser } = require("fast-xml-parser");
+const { retryAsync } = require("../backend-utils");
+const {
+  decodePathId,
+  encodePathId,
+  getMimeType,
+  notFoundError,
+} = require("./common");
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getcontenttype/>
+    <d:getcontentlength/>
+    <d:getlastmodified/>
+    <d:creationdate/>
+  </d:prop>
+</d:propfind>`;
+
+const xmlParser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: true,
+  parseTagValue: false,
+  isArray: (name) => name === "response" || name === "propstat",
+});
+
+function requestError(method, response) {
+  const error = new Error(`WebDAV ${method} failed with ${response.status}`);
+  error.status = response.status;
+  return error;
+}
+
+// Pass through only bytes start..end (inclusive) of a stream
+function sliceStream(source, { start, end }) {
+  let position = 0;
+  const slicer = new Transform({
+    transform(chunk, encoding, callback) {
+      const chunkStart = position;
+      position += chunk.length;
+      if (chunkStart > end) {
+        callback();
+        return;
+      }
+
+      if (position > start) {
+        this.push(
+          chunk.subarray(Math.max(0, start - chunkStart), end + 1 - chunkStart),
+        );
+      }
+      if (position > end) {
+        this.push(null);
+        source.destroy();
+      }
+      callback();
+    },
+  });
+
+  source.on("error", (error) => slicer.destroy(error));
+  return source.pipe(slicer);
+}
+
+function toIsoDate(value) {
+  const parsed = value ? new Date(value) : null;
+  return parsed && !Number.isNaN(parsed.getTime())
+    ? parsed.toISOString()
+    : undefined;
+}
+
+class WebDavStorage {
+  constructor({ url, username, password, logContext = {} }) {
+    this.name = "webdav";
+    this.baseUrl = new URL(url.endsWith("/") ? url : `${url}/`);
+    this.basePath = decodeURIComponent(this.baseUrl.pathname);
+    this.authorization = `Basic ${Buffer.from(
+      `${username}:${password}`,
+    ).toString("base64")}`;
+    this.logContext = logContext;
+    this.fetch = (...args) => fetch(...args);
+  }
+
+  retry(operation, work, context = {}) {
+    return retryAsync(work, {
+      label: `webdav.${operation}`,
+      context: {
+        ...this.logContext,
+        service: "webdav",
+        operation,
+        ...context,
+      },
+    });
+  }
+
+  // Map an id to its path below the base URL, refusing anything that is not
+  // a plain relative path
+  resolveId(fileId) {
+    const relativePath = decodePathId(fileId);
+    const segments = relativePath.split("/");
+    if (segments.some((segment) => !segment || /^\.\.?$/.test(segment))) {
+      throw notFoundError(fileId);
+    }
+
+    return relativePath;
+  }
+
+  urlFor(relativePath, { collection = false } = {}) {
+    const encodedPath = relativePath
+      .split("/")
+      .filter(Boolean)
+      .map(encodeURIComponent)
+      .join("/");
+    return new URL(
+      collection && encodedPath ? `${encodedPath}/` : encodedPath,
+      this.baseUrl,
+    );
+  }
+
+  async request(method, relativePath, options = {}) {
+    const { collection, headers = {}, body, signal } = options;
+    return this.retry(
+      method.toLowerCase(),
+      async () => {
+        const response = await this.fetch(
+          this.urlFor(relativePath, { collection }),
+          {
+            method,
+            headers: { Authorization: this.authorization, ...headers },
+            // Bodies are built per attempt so a retry never reuses a stream
+            body: typeof body === "function" ? body() : body,
+            duplex: "half",
+            signal,
+            // A redirect could send the credentials to a host the sign-in
+            // check never saw
+            redirect: "error",
+          },
+        );
+
+        if (response.status >= 500 || response.status === 429) {
+          await response.body?.cancel();
+          throw requestError(method, response);
+        }
+
+        return response;
+      },
+      { relativePath },
+    );
+  }
+
+  // PROPFIND a path; returns [self, ...children] or null when it is missing
+  async propfind(relativePath, depth) {
+    const response = await this.request("PROPFIND", relativePath, {
+      collection: depth > 0,
+      headers: {
+        Depth: String(depth),
+        "Content-Type": "application/xml; charset=utf-8",
+      },
+      body: PROPFIND_BODY,
+    });
+
+    if (response.status === 404) {
+      await response.body?.cancel();
+      return null;
+    }
+
+    if (response.status !== 207) {
+      await response.body?.cancel();
+      throw requestError("PROPFIND", response);
+    }
+
+    const parsed = xmlParser.parse(await response.text());
+    return (parsed.multistatus?.response || [])
+      .map((entry) => this.parseEntry(entry))
+      .filter(Boolean);
+  }
+
+  parseEntry(entry) {
+    const hrefPath = decodeURIComponent(
+      new URL(entry.href, this.baseUrl).pathname,
+    );
+    if (!hrefPath.startsWith(this.basePath)) {
+      return null;
+    }
+
+    const okPropstat = (entry.propstat || []).find((propstat) =>
+      / 200 /.test(`${propstat.status} `),
+    );
+    const prop = okPropstat?.prop || {};
+    const relativePath = hrefPath
+      .slice(this.basePath.length)
+      .replace(/\/+$/, "");
+
+    return {
+      relativePath,
+      isCollection:
+        typeof prop.resourcetype === "object" &&
+        prop.resourcetype !== null &&
+        "collection" in prop.resourcetype,
+      contentType: prop.getcontenttype || undefined,
+      size: prop.getcontentlength || undefined,
+      modifiedTime: toIsoDate(prop.getlastmodified),
+      createdTime: toIsoDate(prop.creationdate),
+    };
+  }
+
+  describe(entry) {
+    const parentPath = path.posix.dirname(entry.relativePath);
+    const name = path.posix.basename(entry.relativePath);
+
+    return {
+      id: encodePathId(entry.relativePath),
+      name,
+      mimeType: entry.contentType?.split(";")[0] || getMimeType(name),
+      createdTime: entry.createdTime || entry.modifiedTime,
+      modifiedTime: entry.modifiedTime,
+      size: entry.size,
+      parents: parentPath === "." ? [] : [encodePathId(parentPath)],
+    };
+  }
+
+  // Confirm the base URL exists and the credentials are accepted
+  async checkConnection() {
+    const entries = await this.propfind("", 0);
+    if (!entries) {
+      const error = new Error("WebDAV base URL not found");
+      error.status = 404;
+      throw error;
+    }
+  }
+
+  async getOrCreateFolder(name, parentId = null) {
+    const folderName = path.posix.basename(name);
+    const relativePath = parentId
+      ? `${this.resolveId(parentId)}/${folderName}`
+      : folderName;
+
+    const response = await this.request("MKCOL", relativePath, {
+      collection: true,
+    });
+    await response.body?.cancel();
+
+    // 405 Method Not Allowed means the collection already exists
+    if (!response.ok && response.status !== 405) {
+      throw requestError("MKCOL", response);
+    }
+
+    return encodePathId(relativePath);
+  }
+
+  // List every non-collection file in a folder, sorted by name
+  async listFiles(folderId) {
+    const folderPath = this.resolveId(folderId);
+    const entries = (await this.propfind(folderPath, 1)) || [];
+
+    return entries
+      .filter(
+        (entry) =>
+          !entry.isCollection &&
+          entry.relativePath !== folderPath &&
+          !path.posix.basename(entry.relativePath).startsWith("."),
+      )
+      .map((entry) => this.describe(entry))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async findFile(folderId, name) {
+    const relativePath = `${this.resolveId(folderId)}/${path.posix.basename(name)}`;
+    const [entry] = (await this.propfind(relativePath, 0)) || [];
+    return entry && !entry.isCollection ? this.describe(entry) : null;
+  }
+
+  async getFile(fileId) {
+    const [entry] = (await this.propfind(this.resolveId(fileId), 0)) || [];
+    if (!entry || entry.isCollection) throw notFoundError(fileId);
+    return this.describe(entry);
+  }
+
+  async getFileStream(fileId, range = null) {
+    const response = await this.request("GET", this.resolveId(fileId), {
+      headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+    });
+
+    if (response.status === 404) {
+      await response.body?.cancel();
+      throw notFoundError(fileId);
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw requestError("GET", response);
+    }
+
+    const stream = Readable.fromWeb(response.body);
+    // Servers without range support answer 200 with the whole file
+    return range && response.status !== 206
+      ? sliceStream(stream, range)
+      : stream;
+  }
+
+  async createFile(folderId, { name, mimeType, filePath, signal }) {
+    const relativePath = `${this.resolveId(folderId)}/${path.posix.basename(name)}`;
+    const fileSize = fs.statSync(filePath).size;
+
+    const response = await this.request("PUT", relativePath, {
+      headers: {
+        "Content-Type": mimeType || getMimeType(name),
+        "Content-Length": String(fileSize),
+      },
+      body: () => fs.createReadStream(filePath),
+      signal,
+    });
+    await response.body?.cancel();
+
+    if (!response.ok) {
+      throw requestError("PUT", response);
+    }
+
+    const [entry] = (await this.propfind(relativePath, 0)) || [];
+    return entry
+      ? this.describe(entry)
+      : this.describe({ relativePath, size: String(fileSize) });
+  }
+
+  async deleteFile(fileId) {
+    const response = await this.request("DELETE", this.resolveId(fileId));
+    await response.body?.cancel();
+
+    if (response.status === 404) {
+      throw notFoundError(fileId);
+    }
+
+    if (!response.ok) {
+      throw requestError("DELETE", response);
+    }
+  }
+}
+
+module.exports = {
+  WebDavStorage,
+};
@@ -0,0 +1,151 @@
+// Several takes per day. The first take is named YYYY-MM-DD.<ext> and later
+// ones YYYY-MM-DD.take<N>.<ext>, each with a matching .thumb.jpg. The primary
+// take of a day is recorded in takes.json; without an entry it is the first.
+const { readDayRecords, saveDayRecord } = require("./day-records");
+
+const TAKES_FILE_NAME = "takes.json";
+// Pending take allocations per user and day, so concurrent uploads for the
+// same day never pick the same take number
+const pendingTakes = new Map();
+const CLIP_NAME_PATTERN =
+  /^(\d{4}-\d{2}-\d{2})(?:\.take(\d+))?\.(mp4|webm|jpg|jpeg|png)$/i;
+
+// { date, take, extension } for a daily clip name, or null for anything else
+// (thumbnails, compilations, metadata files)
+function parseClipFileName(name) {
+  const match = typeof name === "string" && name.match(CLIP_NAME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  // Take 1 has no suffix, so "take0"/"take1" would alias other names
+  const take = match[2] ? Number(match[2]) : 1;
+  if (match[2] && (take < 2 || match[2].startsWith("0"))) {
+    return null;
+  }
+
+  return { date: match[1], take, extension: match[3].toLowerCase() };
+}
+
+// "YYYY-MM-DD" for the first take, "YYYY-MM-DD.take<N>" for later ones
+function getTakeBaseName(date, take = 1) {
+  return take > 1 ? `${date}.take${take}` : date;
+}
+
+function getTakeFileName(date, take, extension) {
+  return `${getTakeBaseName(date, take)}.${extension.replace(/^\./, "")}`;
+}
+
+function getTakeThumbnailName(date, take) {
+  return `${getTakeBaseName(date, take)}.thumb.jpg`;
+}
+
+// The take number a new upload for `date` should use
+function getNextTake(files, date) {
+  let lastTake = 0;
+  for (const file of files) {
+    const parsed = parseClipFileName(file.name);
+    if (parsed?.date === date) {
+      lastTake = Math.max(lastTake, parsed.take);
+    }
+  }
+  return lastTake + 1;
+}
+
+// Store a new take for `date`: `createTake(take)` uploads it under the take
+// number it is given and resolves with its file. Takes of one user's day are
+// numbered and uploaded one at a time. Resolves with { take, file }.
+function addTake(storage, folderId, date, createTake, { userId }) {
+  const takeKey = `${userId}:${folderId}:${date}`;
+  const previous = pendingTakes.get(takeKey) || Promise.resolve();
+  const pending = previous
+    .catch(() => {})
+    .then(async () => {
+      const take = getNextTake(await storage.listFiles(folderId), date);
+      return { take, file: await createTake(take) };
+    });
+
+  pendingTakes.set(takeKey, pending);
+  pending
+    .finally(() => {
+      if (pendingTakes.get(takeKey) === pending) {
+        pendingTakes.delete(takeKey);
+      }
+    })
+    .catch(() => {});
+
+  return pending;
+}
+
+// Map of date -> { primary, takes } with takes ordered by take number. Drive
+// allows several files with the same name; the latest of each is kept.
+function groupDayTakes(files, primaryTakes = {}) {
+  const latestByName = new Map();
+  for (const file of files) {
+    const parsed = parseClipFileName(file.name);
+    if (!parsed) continue;
+
+    const existing = latestByName.get(file.name);
+    const existingTime = new Date(
+      existing?.file.modifiedTime || existing?.file.createdTime || 0,
+    );
+    const candidateTime = new Date(file.modifiedTime || file.createdTime || 0);
+    if (!existing || candidateTime >= existingTime) {
+      latestByName.set(file.name, { file, ...parsed });
+    }
+  }
+
+  const days = new Map();
+  for (const entry of latestByName.values()) {
+    if (!days.has(entry.date)) {
+      days.set(entry.date, []);
+    }
+    days.get(entry.date).push(entry);
+  }
+
+  const grouped = new Map();
+  for (const [date, entries] of days) {
+    const takes = entries
+      .sort((a, b) => a.take - b.take)
+      .map(({ file, take }) => ({ ...file, take }));
+    const primaryName = primaryTakes[date]?.primary;
+    grouped.set(date, {
+      primary: takes.find((file) => file.name === primaryName) || takes[0],
+      takes,
+    });
+  }
+
+  return grouped;
+}
+
+// Read { "YYYY-MM-DD": { primary: fileName, updatedAt } } from a folder listing
+function readPrimaryTakes(storage, files) {
+  return readDayRecords(storage, files, TAKES_FILE_NAME);
+}
+
+// Mark a take as the day's primary, or clear the choice with a null name
+function savePrimaryTake(storage, folderId, date, fileName, { tempDir }) {
+  return saveDayRecord(
+    storage,
+    folderId,
+    TAKES_FILE_NAME,
+    date,
+    fileName
+      ? { primary: fileName, updatedAt: new Date().toISOString() }
+      : null,
+    { tempDir },
+  );
+}
+
+module.exports = {
+  TAKES_FILE_NAME,
+  addTake,
+  getNextTake,
+  getTakeBaseName,
+  getTakeFileName,
+  getTakeThumbnailName,
+  groupDayTakes,
+  parseClipFileName,
+  readPrimaryTakes,
+  savePrimaryTake,
+};
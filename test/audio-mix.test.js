@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_AUDIO,
+  buildAudioMixFilter,
+  parseAudioOptions,
+  usesClipAudio,
+  usesMusic,
+} = require("../audio-mix");
+
+test("parseAudioOptions fills defaults and rejects bad values", () => {
+  assert.deepEqual(parseAudioOptions(undefined), { value: DEFAULT_AUDIO });
+  assert.deepEqual(parseAudioOptions({ mode: "original", fadeIn: "1.5" }), {
+    value: { ...DEFAULT_AUDIO, mode: "original", fadeIn: 1.5 },
+  });
+  assert.equal(parseAudioOptions([]).error, "audio must be an object");
+  assert.equal(
+    parseAudioOptions({ musicVolume: null }).error,
+    "audio.musicVolume must be between 0 and 2",
+  );
+  assert.equal(
+    parseAudioOptions({ fadeOut: 11 }).error,
+    "audio.fadeOut must be between 0 and 10 seconds",
+  );
+  assert.equal(
+    parseAudioOptions({ ducking: "yes" }).error,
+    "audio.ducking must be a boolean",
+  );
+});
+
+test("usesMusic and usesClipAudio follow the audio mode", () => {
+  const music = { ...DEFAULT_AUDIO, mode: "music" };
+  const original = { ...DEFAULT_AUDIO, mode: "original" };
+  const mixed = { ...DEFAULT_AUDIO, mode: "mixed" };
+
+  assert.equal(usesMusic(music, true), true);
+  assert.equal(usesClipAudio(music, true), false);
+  assert.equal(usesMusic(original, true), false);
+  assert.equal(usesClipAudio(original, true), true);
+  assert.equal(usesMusic(mixed, true), true);
+  assert.equal(usesClipAudio(mixed, true), true);
+  // Without music the clips keep their sound whatever the mode
+  assert.equal(usesMusic(music, false), false);
+  assert.equal(usesClipAudio(music, false), true);
+});
+
+test("buildAudioMixFilter fades music over the video length", () => {
+  assert.equal(
+    buildAudioMixFilter({
+      music: "1:a",
+      audio: { ...DEFAULT_AUDIO, musicVolume: 0.8, fadeIn: 1, fadeOut: 2 },
+      duration: 30,
+    }),
+    "[1:a]volume=0.8,afade=t=in:st=0:d=1,afade=t=out:st=28:d=2[aout]",
+  );
+  assert.equal(
+    buildAudioMixFilter({ music: "1:a", audio: DEFAULT_AUDIO, duration: 30 }),
+    "[1:a]volume=1[aout]",
+  );
+});
+
+test("buildAudioMixFilter mixes clip audio, ducking the music", () => {
+  const audio = {
+    ...DEFAULT_AUDIO,
+    mode: "mixed",
+    musicVolume: 0.5,
+    clipVolume: 1.2,
+  };
+
+  assert.equal(
+    buildAudioMixFilter({
+      music: "1:a",
+      clipAudio: "0:a",
+      audio,
+      duration: 10,
+    }),
+    [
+      "[1:a]volume=0.5[musicbed]",
+      "[0:a]volume=1.2[clipbed]",
+      "[clipbed][musicbed]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[aout]",
+    ].join(";"),
+  );
+
+  const ducked = buildAudioMixFilter({
+    music: "2:a",
+    clipAudio: "clipaudio",
+    audio: { ...audio, ducking: true },
+    duration: 10,
+    outputLabel: "mix",
+  });
+  assert.match(ducked, /\[clipbed\]asplit=2\[clipmix\]\[clipkey\]/);
+  assert.match(ducked, /\[musicbed\]\[clipkey\]sidechaincompress=/);
+  assert.match(ducked, /\[clipmix\]\[musicducked\]amix=.*\[mix\]$/);
+});
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  decryptSecret,
+  encryptSecret,
+  isPublicAddress,
+} = require("../backend-utils");
+
+test("isPublicAddress refuses loopback, private and link-local addresses", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.1",
+    "192.168.1.10",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "::",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:7f00:1",
+    "not-an-address",
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+
+  assert.equal(isPublicAddress("93.184.216.34"), true);
+  assert.equal(isPublicAddress("2606:2800:220:1::1"), true);
+});
+
+test("encryptSecret values only open with the same secret", () => {
+  const sealed = encryptSecret("app-password", "secret-1");
+
+  assert.ok(!sealed.includes("app-password"));
+  assert.notEqual(encryptSecret("app-password", "secret-1"), sealed);
+  assert.equal(decryptSecret(sealed, "secret-1"), "app-password");
+  assert.equal(decryptSecret(sealed, "secret-2"), null);
+  assert.equal(decryptSecret("app-password", "secret-1"), null);
+  assert.equal(decryptSecret(undefined, "secret-1"), null);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { BeatAnalysisStore } = require("../beat-analysis-store");
+
+test("BeatAnalysisStore keeps one analysis per key", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-beats-"));
+
+  try {
+    const store = new BeatAnalysisStore(tempDir);
+    const key = store.keyFor([1, "local:a@example.com", "track-1", "t1"]);
+    const otherKey = store.keyFor([1, "local:a@example.com", "track-1", "t2"]);
+    assert.notEqual(key, otherKey);
+
+    store.set(key, { bpm: 120, period: 0.5, beats: [0.2, 0.7] });
+    assert.deepEqual(new BeatAnalysisStore(tempDir).get(key).beats, [0.2, 0.7]);
+    assert.equal(store.get(otherKey), null);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("BeatAnalysisStore sweep removes analyses unused for the max age", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-beats-"));
+
+  try {
+    const store = new BeatAnalysisStore(tempDir);
+    const oldKey = store.keyFor(["old"]);
+    const usedKey = store.keyFor(["used"]);
+    store.set(oldKey, { beats: [] });
+    store.set(usedKey, { beats: [] });
+
+    const longAgo = new Date(Date.now() - 10 * 60 * 1000);
+    fs.utimesSync(store.filePathFor(oldKey), longAgo, longAgo);
+    fs.utimesSync(store.filePathFor(usedKey), longAgo, longAgo);
+    // Reading an analysis marks it as used
+    store.get(usedKey);
+
+    assert.equal(store.sweep(5 * 60 * 1000), 1);
+    assert.equal(store.get(oldKey), null);
+    assert.notEqual(store.get(usedKey), null);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
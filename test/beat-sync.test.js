@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  OnsetDetector,
+  analyzeOnsets,
+  parseBeatSyncOptions,
+  planBeatSyncedDurations,
+} = require("../beat-sync");
+
+// Short decaying tones every `interval` seconds, starting at `first`
+function clickTrack({ sampleRate, seconds, interval, first }) {
+  const samples = new Float32Array(sampleRate * seconds);
+  for (let time = first; time < seconds; time += interval) {
+    const start = Math.round(time * sampleRate);
+    for (let i = 0; i < 400 && start + i < samples.length; i++) {
+      samples[start + i] += Math.sin(i * 0.6) * Math.exp(-i / 80);
+    }
+  }
+  return samples;
+}
+
+test("parseBeatSyncOptions fills defaults and rejects unknown modes", () => {
+  assert.deepEqual(parseBeatSyncOptions(undefined), {
+    value: { mode: "off", beatsPerClip: 2 },
+  });
+  assert.deepEqual(
+    parseBeatSyncOptions({ mode: "multiple", beatsPerClip: 4 }),
+    {
+      value: { mode: "multiple", beatsPerClip: 4 },
+    },
+  );
+  assert.equal(
+    parseBeatSyncOptions({ mode: "bar" }).error,
+    "beatSync.mode must be one of: off, nearest, multiple",
+  );
+  assert.equal(
+    parseBeatSyncOptions({ beatsPerClip: 1.5 }).error,
+    "beatSync.beatsPerClip must be a whole number between 1 and 16",
+  );
+});
+
+test("analyzeOnsets finds the tempo and beats of a click track", () => {
+  const sampleRate = 11025;
+  const hopSize = 256;
+  const detector = new OnsetDetector({ frameSize: 512, hopSize });
+  const samples = clickTrack({
+    sampleRate,
+    seconds: 20,
+    interval: 0.5,
+    first: 0.2,
+  });
+  // Chunks that do not line up with frames
+  detector.push(samples.subarray(0, 7000));
+  detector.push(samples.subarray(7000));
+
+  const analysis = analyzeOnsets(detector.values, sampleRate / hopSize, {
+    offset: 256 / sampleRate,
+  });
+
+  assert.ok(Math.abs(analysis.bpm - 120) < 2, `bpm was ${analysis.bpm}`);
+  assert.ok(Math.abs(analysis.period - 0.5) < 0.01);
+  assert.ok(analysis.beats.length >= 38);
+  for (const beat of analysis.beats) {
+    const offBeat = Math.abs(((beat - 0.2 + 0.25) % 0.5) - 0.25);
+    assert.ok(offBeat < 0.04, `beat at ${beat}`);
+  }
+});
+
+test("analyzeOnsets reports no beat for silence", () => {
+  assert.deepEqual(analyzeOnsets(new Array(2000).fill(0), 43), {
+    bpm: null,
+    period: null,
+    beats: [],
+  });
+});
+
+test("planBeatSyncedDurations cuts on the beat nearest each second", () => {
+  const analysis = { period: 0.3, beats: [0.1, 0.4, 0.7, 1, 1.3, 1.6, 1.9] };
+
+  // Beats past the last detected one continue at the tempo
+  assert.deepEqual(
+    planBeatSyncedDurations(analysis, {
+      clipCount: 4,
+      start: 0.5,
+      mode: "nearest",
+    }),
+    [1.1, 0.9, 0.9, 0.9],
+  );
+});
+
+test("planBeatSyncedDurations gives every clip a number of beats", () => {
+  const analysis = { period: 0.5, beats: [0.3, 0.8, 1.3, 1.8, 2.3, 2.8, 3.3] };
+
+  assert.deepEqual(
+    planBeatSyncedDurations(analysis, {
+      clipCount: 3,
+      mode: "multiple",
+      beatsPerClip: 2,
+    }),
+    [0.8, 1, 1],
+  );
+  // Transitions need longer clips than the first beat allows
+  assert.deepEqual(
+    planBeatSyncedDurations(analysis, {
+      clipCount: 2,
+      mode: "multiple",
+      beatsPerClip: 1,
+      minDuration: 0.4,
+    }),
+    [0.8, 0.5],
+  );
+});
+
+test("planBeatSyncedDurations rounds cuts to whole frames without drift", () => {
+  const beats = Array.from({ length: 200 }, (_, i) => 0.01 + i * 0.517);
+  const durations = planBeatSyncedDurations(
+    { period: 0.517, beats },
+    { clipCount: 100, mode: "multiple", beatsPerClip: 2, fps: 30 },
+  );
+
+  for (const duration of durations) {
+    const frames = duration * 30;
+    assert.ok(Math.abs(frames - Math.round(frames)) < 1e-9);
+  }
+  const total = durations.reduce((sum, value) => sum + value, 0);
+  // The last cut is on beat 200, one past the detected ones
+  assert.ok(Math.abs(total - (0.01 + 200 * 0.517)) < 1 / 30);
+});
+
+test("planBeatSyncedDurations returns null without a beat", () => {
+  assert.equal(
+    planBeatSyncedDurations(
+      { period: null, beats: [] },
+      { clipCount: 3, mode: "nearest" },
+    ),
+    null,
+  );
+});
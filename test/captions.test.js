@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  CAPTIONS_FILE_NAME,
+  normalizeCaption,
+  readCaptions,
+  saveCaption,
+} = require("../captions");
+const { LocalStorage } = require("../storage/local");
+
+test("normalizeCaption trims text and rejects invalid values", () => {
+  assert.equal(normalizeCaption("  Beach day\r\n"), "Beach day");
+  assert.equal(normalizeCaption(""), "");
+  assert.equal(normalizeCaption(42), null);
+  assert.equal(normalizeCaption("x".repeat(501)), null);
+});
+
+test("saveCaption stores captions per day in one captions file", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-cap-"));
+
+  try {
+    const storage = new LocalStorage({
+      rootDir: path.join(tempDir, "data"),
+      userKey: "user",
+    });
+    const folderId = await storage.getOrCreateFolder("365Moments");
+
+    await Promise.all([
+      saveCaption(storage, folderId, "2026-01-01", "New year", { tempDir }),
+      saveCaption(storage, folderId, "2026-01-02", "Snow", { tempDir }),
+    ]);
+    await saveCaption(storage, folderId, "2026-01-01", "", { tempDir });
+
+    const files = await storage.listFiles(folderId);
+    assert.deepEqual(
+      files.map((file) => file.name),
+      [CAPTIONS_FILE_NAME],
+    );
+
+    const captions = await readCaptions(storage, files);
+    assert.deepEqual(Object.keys(captions), ["2026-01-02"]);
+    assert.equal(captions["2026-01-02"].caption, "Snow");
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("saveCaption replaces older same-named copies", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-cap-"));
+  const deleted = [];
+  const storage = {
+    async listFiles() {
+      return [
+        { id: "old-1", name: CAPTIONS_FILE_NAME, modifiedTime: "2026-01-01" },
+        { id: "clip", name: "2026-01-01.mp4", modifiedTime: "2026-01-01" },
+      ];
+    },
+    async getFileStream() {
+      return [Buffer.from('{"2026-01-01":{"caption":"Old"}}')];
+    },
+    async createFile() {
+      return { id: "new-1", name: CAPTIONS_FILE_NAME };
+    },
+    async deleteFile(fileId) {
+      deleted.push(fileId);
+    },
+  };
+
+  try {
+    const captions = await saveCaption(storage, "folder", "2026-01-03", "Hi", {
+      tempDir,
+    });
+
+    assert.deepEqual(deleted, ["old-1"]);
+    assert.equal(captions["2026-01-01"].caption, "Old");
+    assert.equal(captions["2026-01-03"].caption, "Hi");
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("saveCaption keeps both edits when the file time does not change", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-cap-"));
+  let content = "{}";
+  // Like S3: the id is the key and times have one-second resolution
+  const storage = {
+    async listFiles() {
+      return [
+        {
+          id: CAPTIONS_FILE_NAME,
+          name: CAPTIONS_FILE_NAME,
+          modifiedTime: "2026-01-01T00:00:00.000Z",
+          size: 100,
+        },
+      ];
+    },
+    async getFileStream() {
+      return [Buffer.from(content)];
+    },
+    async createFile(folderId, { name, filePath }) {
+      content = fs.readFileSync(filePath, "utf8");
+      return { id: name, name };
+    },
+    async deleteFile() {},
+  };
+
+  try {
+    await saveCaption(storage, "folder", "2026-01-01", "First", { tempDir });
+    await saveCaption(storage, "folder", "2026-01-02", "Second", { tempDir });
+
+    const captions = await readCaptions(storage, await storage.listFiles());
+    assert.deepEqual(Object.keys(captions).sort(), [
+      "2026-01-01",
+      "2026-01-02",
+    ]);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { buildCardFilters } = require("../cards");
+
+test("buildCardFilters centres the lines and wraps long ones", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cards-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const textFilePrefix = path.join(dir, "card");
+
+  const filters = buildCardFilters(
+    [
+      { text: "A title long enough to need a second row", size: 72 },
+      { text: "March 1, 2026", size: 48, color: "white@0.7" },
+    ],
+    { width: 1080, height: 1920, textFilePrefix },
+  );
+
+  assert.equal(filters.length, 3);
+  assert.equal(
+    fs.readFileSync(`${textFilePrefix}-2.txt`, "utf8"),
+    "March 1, 2026",
+  );
+  const rowTops = filters.map((filter) => Number(filter.match(/:y=(\d+)$/)[1]));
+  // Rows go down the frame, with their block in the middle
+  assert.ok(rowTops[0] < rowTops[1] && rowTops[1] < rowTops[2]);
+  assert.ok(Math.abs(rowTops[0] - (1920 - (rowTops[2] + 48))) <= 1);
+  assert.match(filters[0], /fontsize=72:fontcolor=white:x=\(w-text_w\)\/2/);
+  assert.match(filters[2], /fontsize=48:fontcolor=white@0\.7:/);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { ClipCache } = require("../clip-cache");
+
+function withTempDir(run) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-cache-"));
+  return Promise.resolve()
+    .then(() => run(tempDir))
+    .finally(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+}
+
+test("ClipCache keys change with any rendering input", () => {
+  const cache = new ClipCache(fs.mkdtempSync(path.join(os.tmpdir(), "c-")), {
+    maxBytes: 1024,
+  });
+
+  try {
+    const key = cache.keyFor(["a", "2026-01-01T00:00:00Z", { width: 1920 }]);
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(
+      key,
+      cache.keyFor(["a", "2026-01-01T00:00:00Z", { width: 1920 }]),
+    );
+    assert.notEqual(
+      key,
+      cache.keyFor(["a", "2026-01-02T00:00:00Z", { width: 1920 }]),
+    );
+    assert.notEqual(
+      key,
+      cache.keyFor(["a", "2026-01-01T00:00:00Z", { width: 1080 }]),
+    );
+  } finally {
+    fs.rmSync(cache.dirPath, { recursive: true, force: true });
+  }
+});
+
+test("ClipCache stores and restores clips by key", () =>
+  withTempDir(async (tempDir) => {
+    const cache = new ClipCache(path.join(tempDir, "cache"), {
+      maxBytes: 1024,
+    });
+    const key = cache.keyFor(["clip"]);
+    const sourcePath = path.join(tempDir, "rendered.mp4");
+    const targetPath = path.join(tempDir, "restored.mp4");
+    fs.writeFileSync(sourcePath, "video");
+
+    assert.equal(await cache.restore(key, targetPath), false);
+
+    await cache.store(key, sourcePath);
+    assert.equal(fs.existsSync(sourcePath), true);
+    assert.equal(await cache.restore(key, targetPath), true);
+    assert.equal(fs.readFileSync(targetPath, "utf8"), "video");
+
+    // Evicting the entry leaves the restored copy intact
+    fs.rmSync(cache.filePathFor(key));
+    assert.equal(fs.readFileSync(targetPath, "utf8"), "video");
+  }));
+
+test("ClipCache sweep evicts least recently used clips over the limit", () =>
+  withTempDir(async (tempDir) => {
+    const cache = new ClipCache(tempDir, { maxBytes: 10 });
+    const sourcePath = path.join(tempDir, "source.tmp");
+    fs.writeFileSync(sourcePath, "12345");
+    const [oldKey, usedKey, newKey] = ["old", "used", "new"].map((name) =>
+      cache.keyFor([name]),
+    );
+
+    const now = Date.now();
+    for (const [key, ageMs] of [
+      [oldKey, 3000],
+      [usedKey, 2000],
+      [newKey, 1000],
+    ]) {
+      await cache.store(key, sourcePath);
+      const usedAt = new Date(now - ageMs);
+      fs.utimesSync(cache.filePathFor(key), usedAt, usedAt);
+    }
+
+    // A hit makes the oldest entry the most recently used
+    await cache.restore(oldKey, path.join(tempDir, "restored.mp4"));
+    const partialPath = `${cache.filePathFor(newKey)}.abc.partial`;
+    fs.writeFileSync(partialPath, "x");
+    const staleAt = new Date(now - 2 * 60 * 60 * 1000);
+    fs.utimesSync(partialPath, staleAt, staleAt);
+
+    assert.deepEqual(cache.sweep(now + 1000), {
+      removedFiles: 1,
+      removedBytes: 5,
+      totalBytes: 10,
+    });
+    assert.equal(fs.existsSync(cache.filePathFor(usedKey)), false);
+    assert.equal(fs.existsSync(cache.filePathFor(oldKey)), true);
+    assert.equal(fs.existsSync(cache.filePathFor(newKey)), true);
+    assert.equal(fs.existsSync(partialPath), false);
+  }));
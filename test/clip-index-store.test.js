@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { ClipIndexStore } = require("../clip-index-store");
+
+test("ClipIndexStore persists one index file per user", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-index-"));
+
+  try {
+    const store = new ClipIndexStore(tempDir);
+    store.set("a@example.com", { folderId: "f1", pageToken: "7", files: {} });
+    store.set("b@example.com", { folderId: "f2", pageToken: "9", files: {} });
+
+    const reloadedStore = new ClipIndexStore(tempDir);
+    assert.equal(reloadedStore.get("a@example.com").pageToken, "7");
+    assert.equal(reloadedStore.get("b@example.com").folderId, "f2");
+    assert.equal(reloadedStore.get("c@example.com"), null);
+    assert.equal(fs.readdirSync(tempDir).length, 2);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("ClipIndexStore sweep removes indexes older than the max age", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-index-"));
+
+  try {
+    const store = new ClipIndexStore(tempDir);
+    store.set("a@example.com", {
+      folderId: "f1",
+      syncedAt: new Date().toISOString(),
+      files: {},
+    });
+
+    store.sweep(60 * 1000, Date.now() + 2 * 60 * 1000);
+
+    assert.equal(store.get("a@example.com"), null);
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
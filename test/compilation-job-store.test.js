@@ -12,15 +12,17 @@ test("CompilationJobStore persists jobs to disk", () => {
 
   try {
     const store = new CompilationJobStore(filePath);
-    store.set("user@example.com", {
+    store.set("job-1", {
       id: "job-1",
+      userId: "user@example.com",
       status: "compiling",
       progress: "Fetching clips...",
     });
 
     const reloadedStore = new CompilationJobStore(filePath);
-    assert.deepEqual(reloadedStore.get("user@example.com"), {
+    assert.deepEqual(reloadedStore.get("job-1"), {
       id: "job-1",
+      userId: "user@example.com",
       status: "compiling",
       progress: "Fetching clips...",
     });
@@ -29,20 +31,103 @@ test("CompilationJobStore persists jobs to disk", () => {
   }
 });
 
+test("CompilationJobStore keeps progress in memory until the status changes", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-jobs-"));
+  const filePath = path.join(tempDir, "compilation-jobs.json");
+
+  try {
+    const store = new CompilationJobStore(filePath);
+    store.set("job-1", {
+      id: "job-1",
+      userId: "user@example.com",
+      status: "compiling",
+      progress: "Fetching clips...",
+    });
+
+    const updated = store.update("job-1", (job) => ({
+      ...job,
+      progress: "Compiling video...",
+    }));
+    assert.equal(updated.progress, "Compiling video...");
+    assert.equal(store.get("job-1").progress, "Compiling video...");
+    assert.equal(
+      new CompilationJobStore(filePath).get("job-1").progress,
+      "Fetching clips...",
+    );
+
+    store.update("job-1", (job) => ({ ...job, status: "complete" }));
+    assert.deepEqual(new CompilationJobStore(filePath).get("job-1"), {
+      id: "job-1",
+      userId: "user@example.com",
+      status: "complete",
+      progress: "Compiling video...",
+    });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
 test("CompilationJobStore update removes jobs when updater returns null", () => {
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-jobs-"));
   const filePath = path.join(tempDir, "compilation-jobs.json");
 
   try {
     const store = new CompilationJobStore(filePath);
-    store.set("user@example.com", {
+    store.set("job-1", {
       id: "job-1",
+      userId: "user@example.com",
       status: "error",
       progress: "Failed",
     });
 
-    store.update("user@example.com", () => null);
-    assert.equal(store.get("user@example.com"), null);
+    store.update("job-1", () => null);
+    assert.equal(store.get("job-1"), null);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("CompilationJobStore lists a user's jobs oldest first", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-jobs-"));
+  const filePath = path.join(tempDir, "compilation-jobs.json");
+
+  try {
+    const store = new CompilationJobStore(filePath);
+    const job = (id, userId, createdAt) => ({ id, userId, createdAt });
+    store.set("job-2", job("job-2", "a@example.com", "2026-03-14T10:05:00Z"));
+    store.set("job-3", job("job-3", "b@example.com", "2026-03-14T10:00:00Z"));
+    store.set("job-1", job("job-1", "a@example.com", "2026-03-14T10:00:00Z"));
+
+    assert.deepEqual(
+      store.listForUser("a@example.com").map((entry) => entry.id),
+      ["job-1", "job-2"],
+    );
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("CompilationJobStore reads files keyed by user", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-jobs-"));
+  const filePath = path.join(tempDir, "compilation-jobs.json");
+
+  try {
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify([
+        {
+          userId: "user@example.com",
+          job: { id: "job-1", status: "complete" },
+        },
+      ]),
+    );
+
+    const store = new CompilationJobStore(filePath);
+    assert.deepEqual(store.get("job-1"), {
+      id: "job-1",
+      status: "complete",
+      userId: "user@example.com",
+    });
   } finally {
     fs.rmSync(tempDir, { recursive: true, force: true });
   }
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  COMPILE_PHASES,
+  CompileProgress,
+  createFfmpegProgressParser,
+} = require("../compile-progress");
+
+const PHASES = [
+  { id: "first", weight: 20 },
+  { id: "middle", weight: 30 },
+  { id: "last", weight: 50 },
+];
+
+test("CompileProgress weights each phase's progress by its share", () => {
+  const progress = new CompileProgress({ phases: PHASES });
+
+  progress.update(0.5);
+  assert.deepEqual(
+    { ...progress.snapshot(), etaSeconds: undefined },
+    {
+      phase: "first",
+      phasePercent: 50,
+      percent: 10,
+      etaSeconds: undefined,
+    },
+  );
+
+  // Skipping a phase counts it as done
+  progress.start("last");
+  progress.update(0.25);
+  assert.equal(progress.snapshot().percent, 62);
+  assert.equal(progress.snapshot().phasePercent, 25);
+});
+
+test("CompileProgress never goes back within a phase", () => {
+  const progress = new CompileProgress({ phases: PHASES });
+
+  progress.update(0.6);
+  progress.update(0.4);
+  progress.update(Number.NaN);
+
+  assert.equal(progress.snapshot().phasePercent, 60);
+  assert.throws(() => progress.start("unknown"), /Unknown compile phase/);
+});
+
+test("CompileProgress estimates the time left from the pace so far", () => {
+  let now = 1000;
+  const progress = new CompileProgress({ phases: PHASES, now: () => now });
+
+  // Too early to tell
+  progress.update(0.1);
+  now += 5000;
+  assert.equal(progress.snapshot().etaSeconds, null);
+
+  progress.start("middle");
+  progress.update(1);
+  now += 15000;
+  // Half done in 20 seconds
+  assert.equal(progress.snapshot().percent, 50);
+  assert.equal(progress.snapshot().etaSeconds, 20);
+});
+
+test("COMPILE_PHASES add up to the whole compilation", () => {
+  assert.equal(
+    COMPILE_PHASES.reduce((sum, phase) => sum + phase.weight, 0),
+    100,
+  );
+});
+
+test("createFfmpegProgressParser reports the output time of each block", () => {
+  const times = [];
+  const parse = createFfmpegProgressParser((seconds) => times.push(seconds));
+
+  parse("frame=0\nout_time_us=N/A\nprogress=continue\n");
+  parse("frame=30\nout_time_us=1000");
+  parse("000\nout_time=00:00:01.000000\nprogress=con");
+  parse("tinue\nframe=75\nout_time_ms=2500000\nprogress=end\n");
+
+  assert.deepEqual(times, [1, 2.5]);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CompileQueue } = require("../compile-queue");
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+test("CompileQueue runs jobs in order under the concurrency cap", async () => {
+  const queue = new CompileQueue({ concurrency: 2 });
+  const started = [];
+  const runs = new Map();
+  const enqueue = (jobId) => {
+    runs.set(jobId, deferred());
+    return queue.enqueue(jobId, () => {
+      started.push(jobId);
+      return runs.get(jobId).promise;
+    });
+  };
+
+  assert.equal(enqueue("job-1"), 0);
+  assert.equal(enqueue("job-2"), 0);
+  assert.equal(enqueue("job-3"), 1);
+  assert.equal(enqueue("job-4"), 2);
+  assert.equal(queue.size, 4);
+
+  runs.get("job-2").resolve();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(started, ["job-1", "job-2", "job-3"]);
+  assert.equal(queue.positionOf("job-3"), 0);
+  assert.equal(queue.positionOf("job-4"), 1);
+  assert.equal(queue.positionOf("job-2"), null);
+  assert.equal(queue.has("job-2"), false);
+});
+
+test("CompileQueue reports failed runs and moves on", async () => {
+  const failures = [];
+  const queue = new CompileQueue({
+    onError: (jobId, error) => failures.push([jobId, error.message]),
+  });
+  const second = deferred();
+
+  queue.enqueue("job-1", async () => {
+    throw new Error("FFmpeg exited with code 1");
+  });
+  queue.enqueue("job-2", () => second.resolve());
+
+  await second.promise;
+  assert.deepEqual(failures, [["job-1", "FFmpeg exited with code 1"]]);
+});
+
+test("CompileQueue remove drops a waiting job but not a running one", () => {
+  const queue = new CompileQueue();
+  const started = [];
+  const run = (jobId) => () => {
+    started.push(jobId);
+    return new Promise(() => {});
+  };
+
+  queue.enqueue("job-1", run("job-1"));
+  queue.enqueue("job-2", run("job-2"));
+  queue.enqueue("job-3", run("job-3"));
+
+  assert.equal(queue.remove("job-1"), false);
+  assert.equal(queue.remove("job-2"), true);
+  assert.equal(queue.positionOf("job-3"), 1);
+  assert.equal(queue.has("job-2"), false);
+});
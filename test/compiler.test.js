@@ -3,91 +3,461 @@ const assert = require("node:assert/strict");
 const fs = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
+const { EventEmitter } = require("node:events");
+const { PassThrough } = require("node:stream");
 
+const { ClipCache } = require("../clip-cache");
 const VideoCompiler = require("../compiler");
 
-test("VideoCompiler fetchClipsList retries transient Drive failures", async () => {
-  const compiler = new VideoCompiler({}, { requestId: "test-request" });
-  let attempts = 0;
-
-  compiler.drive = {
-    files: {
-      list: async () => {
-        attempts += 1;
-        if (attempts === 1) {
-          const error = new Error("temporary backend error");
-          error.status = 503;
-          throw error;
-        }
-
-        return {
-          data: {
-            files: [
-              {
-                id: "clip-1",
-                name: "2026-03-14.mp4",
-                createdTime: "2026-03-14T00:00:00.000Z",
-                modifiedTime: "2026-03-14T00:00:00.000Z",
-              },
-            ],
-            nextPageToken: null,
-          },
-        };
-      },
+test("VideoCompiler fetchClipsList keeps one clip per date and skips other files", async () => {
+  const storage = {
+    listFiles: async (folderId) => {
+      assert.equal(folderId, "folder-1");
+      return [
+        {
+          id: "clip-old",
+          name: "2026-03-14.mp4",
+          mimeType: "video/mp4",
+          modifiedTime: "2026-03-14T00:00:00.000Z",
+        },
+        {
+          id: "clip-new",
+          name: "2026-03-14.mp4",
+          mimeType: "video/mp4",
+          modifiedTime: "2026-03-15T00:00:00.000Z",
+        },
+        {
+          id: "thumb-1",
+          name: "2026-03-14.thumb.jpg",
+          mimeType: "image/jpeg",
+        },
+        {
+          id: "compiled-1",
+          name: "365moments-compilation_2026-03-15.mp4",
+          mimeType: "video/mp4",
+        },
+        {
+          id: "image-1",
+          name: "2026-03-13.jpg",
+          mimeType: "image/jpeg",
+        },
+      ];
     },
   };
+  const compiler = new VideoCompiler(storage, { requestId: "test-request" });
 
   const clips = await compiler.fetchClipsList("folder-1");
 
-  assert.equal(attempts, 2);
-  assert.equal(clips.length, 1);
-  assert.equal(clips[0].id, "clip-1");
+  assert.deepEqual(
+    clips.map((clip) => clip.id),
+    ["image-1", "clip-new"],
+  );
+});
+
+test("VideoCompiler fetchClipsList uses each day's primary take", async () => {
+  const storage = {
+    listFiles: async () => [
+      { id: "takes", name: "takes.json", modifiedTime: "2026-03-15" },
+      { id: "day1-take1", name: "2026-03-14.mp4", mimeType: "video/mp4" },
+      { id: "day1-take2", name: "2026-03-14.take2.mp4", mimeType: "video/mp4" },
+      { id: "day2-take1", name: "2026-03-15.jpg", mimeType: "image/jpeg" },
+      { id: "day2-take2", name: "2026-03-15.take2.mp4", mimeType: "video/mp4" },
+    ],
+    getFileStream: async (fileId) => {
+      assert.equal(fileId, "takes");
+      return [
+        Buffer.from(
+          JSON.stringify({ "2026-03-14": { primary: "2026-03-14.take2.mp4" } }),
+        ),
+      ];
+    },
+  };
+  const compiler = new VideoCompiler(storage, { requestId: "test-request" });
+
+  const clips = await compiler.fetchClipsList("folder-1");
+
+  assert.deepEqual(
+    clips.map((clip) => clip.id),
+    ["day1-take2", "day2-take1"],
+  );
+});
+
+test("VideoCompiler uploadOutput saves the compilation through storage", async () => {
+  const calls = [];
+  const storage = {
+    createFile: async (folderId, file) => {
+      calls.push({ folderId, ...file });
+      return { id: "compiled-1", name: file.name };
+    },
+  };
+  const compiler = new VideoCompiler(storage, { requestId: "test-request" });
+
+  const result = await compiler.uploadOutput(
+    "/tmp/output.mp4",
+    "output.mp4",
+    "folder-1",
+  );
+
+  assert.equal(result.id, "compiled-1");
+  assert.deepEqual(calls, [
+    {
+      folderId: "folder-1",
+      name: "output.mp4",
+      mimeType: "video/mp4",
+      filePath: "/tmp/output.mp4",
+      signal: null,
+    },
+  ]);
+});
+
+test("VideoCompiler uploadOutput deletes an upload cancelled as it finished", async () => {
+  const controller = new AbortController();
+  const deleted = [];
+  const storage = {
+    createFile: async (folderId, file) => {
+      assert.equal(file.signal, controller.signal);
+      controller.abort();
+      return { id: "compiled-1", name: file.name };
+    },
+    deleteFile: async (fileId) => deleted.push(fileId),
+  };
+  const compiler = new VideoCompiler(
+    storage,
+    { requestId: "test-request" },
+    { signal: controller.signal },
+  );
+
+  await assert.rejects(
+    compiler.uploadOutput("/tmp/output.mp4", "output.mp4", "folder-1"),
+    (error) => error.cancelled === true,
+  );
+  assert.deepEqual(deleted, ["compiled-1"]);
 });
 
-test("VideoCompiler uploadToDrive retries transient upload failures", async () => {
+test("VideoCompiler downloadClips keeps clip order under bounded concurrency", async () => {
   const compiler = new VideoCompiler({}, { requestId: "test-request" });
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-test-"));
-  const filePath = path.join(tempDir, "output.mp4");
-  fs.writeFileSync(filePath, "video-data");
-
-  let attempts = 0;
-  compiler.drive = {
-    files: {
-      create: async ({ media }) => {
-        await new Promise((resolve, reject) => {
-          media.body.on("error", reject);
-          media.body.on("end", resolve);
-          media.body.resume();
-        });
-
-        attempts += 1;
-        if (attempts === 1) {
-          const error = new Error("rate limit");
-          error.status = 429;
-          throw error;
-        }
-
-        return {
-          data: {
-            id: "compiled-1",
-            name: "output.mp4",
-            webViewLink: "https://example.test/output.mp4",
-          },
-        };
-      },
+  const clips = Array.from({ length: 6 }, (_, i) => ({
+    id: `clip-${i}`,
+    name: `2026-03-${String(10 + i).padStart(2, "0")}.mp4`,
+  }));
+  const active = { download: 0, ffmpeg: 0 };
+  const peak = { download: 0, ffmpeg: 0 };
+  const track = async (kind, delayMs) => {
+    active[kind] += 1;
+    peak[kind] = Math.max(peak[kind], active[kind]);
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    active[kind] -= 1;
+  };
+
+  // Later clips finish faster, so completion order differs from clip order
+  compiler.downloadClip = (clip, downloadPath, index) =>
+    track("download", 30 - index * 4);
+  compiler.prepareClip = async (clip, downloadPath, index) => {
+    await track("ffmpeg", 20 - index * 3);
+    return `${downloadPath}-norm.mp4`;
+  };
+
+  const messages = [];
+  const fractions = [];
+  const localFiles = await compiler.downloadClips(
+    clips,
+    "/session",
+    (message, fraction) => {
+      messages.push(message);
+      fractions.push(fraction);
     },
+    { downloadConcurrency: 3, ffmpegConcurrency: 2 },
+  );
+
+  assert.deepEqual(
+    localFiles,
+    clips.map(
+      (clip, i) =>
+        `/session/${String(i).padStart(4, "0")}-${clip.name}-norm.mp4`,
+    ),
+  );
+  assert.equal(peak.download, 3);
+  assert.equal(peak.ffmpeg, 2);
+  assert.equal(
+    messages.at(-1),
+    "Preparing clips: 6/6 downloaded, 6/6 processed...",
+  );
+  assert.equal(fractions[0], 0);
+  assert.equal(fractions.at(-1), 1);
+});
+
+test("VideoCompiler downloadClips stops queued clips after a failure", async () => {
+  const compiler = new VideoCompiler({}, { requestId: "test-request" });
+  const clips = Array.from({ length: 5 }, (_, i) => ({
+    id: `clip-${i}`,
+    name: `2026-03-1${i}.mp4`,
+  }));
+  const downloaded = [];
+
+  compiler.downloadClip = async (clip) => {
+    if (clip.id === "clip-1") {
+      throw new Error("Download failed");
+    }
+    downloaded.push(clip.id);
+  };
+  compiler.prepareClip = async (clip, downloadPath) => downloadPath;
+
+  await assert.rejects(
+    compiler.downloadClips(clips, "/session", null, {
+      downloadConcurrency: 1,
+      ffmpegConcurrency: 1,
+    }),
+    /Download failed/,
+  );
+  assert.deepEqual(downloaded, ["clip-0"]);
+});
+
+test("VideoCompiler downloadClips stops downloading once cancelled", async () => {
+  const controller = new AbortController();
+  const compiler = new VideoCompiler(
+    {},
+    { requestId: "test-request" },
+    { signal: controller.signal },
+  );
+  const clips = Array.from({ length: 4 }, (_, i) => ({
+    id: `clip-${i}`,
+    name: `2026-03-1${i}.mp4`,
+  }));
+  const downloaded = [];
+
+  compiler.downloadClip = async (clip) => {
+    downloaded.push(clip.id);
+    if (clip.id === "clip-1") controller.abort();
   };
+  compiler.prepareClip = async (clip, downloadPath) => downloadPath;
+
+  await assert.rejects(
+    compiler.downloadClips(clips, "/session", null, {
+      downloadConcurrency: 1,
+      ffmpegConcurrency: 1,
+    }),
+    (error) => error.cancelled === true,
+  );
+  assert.deepEqual(downloaded, ["clip-0", "clip-1"]);
+});
+
+test("VideoCompiler downloadFile stops a download part way when cancelled", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "compiler-download-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const controller = new AbortController();
+  const source = new PassThrough();
+  const compiler = new VideoCompiler(
+    { getFileStream: async () => source },
+    { requestId: "test-request" },
+    { signal: controller.signal },
+  );
+
+  const download = compiler.downloadFile("clip-1", path.join(dir, "clip.mp4"));
+  source.write("partial");
+  setImmediate(() => controller.abort());
+
+  await assert.rejects(download, { name: "AbortError" });
+  assert.equal(source.destroyed, true);
+});
+
+test("VideoCompiler downloadClips reuses cached clips and caches new ones", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-compile-"));
 
   try {
-    const result = await compiler.uploadToDrive(
-      filePath,
-      "output.mp4",
-      "folder-1",
+    const clipCache = new ClipCache(path.join(tempDir, "cache"), {
+      maxBytes: 1024 * 1024,
+    });
+    const clips = [
+      { id: "a", name: "2026-03-10.mp4", modifiedTime: "2026-03-10T10:00:00Z" },
+      { id: "b", name: "2026-03-11.mp4", modifiedTime: "2026-03-11T10:00:00Z" },
+    ];
+    const prepared = [];
+    const createCompiler = (cacheScope) => {
+      const compiler = new VideoCompiler(
+        {},
+        { requestId: "test-request" },
+        { clipCache, cacheScope },
+      );
+      compiler.downloadClip = async (clip, downloadPath) => {
+        fs.writeFileSync(downloadPath, clip.id);
+      };
+      compiler.prepareClip = async (clip, downloadPath) => {
+        prepared.push(clip.id);
+        const normalizedPath = downloadPath.replace(/\.mp4$/, "-norm.mp4");
+        fs.renameSync(downloadPath, normalizedPath);
+        return normalizedPath;
+      };
+      return compiler;
+    };
+
+    const firstSession = fs.mkdtempSync(path.join(tempDir, "session-"));
+    await createCompiler("local:a@example.com").downloadClips(
+      clips,
+      firstSession,
     );
+    assert.deepEqual(prepared, ["a", "b"]);
 
-    assert.equal(attempts, 2);
-    assert.equal(result.id, "compiled-1");
+    // A changed file is rendered again; the unchanged one comes from cache
+    const secondSession = fs.mkdtempSync(path.join(tempDir, "session-"));
+    const localFiles = await createCompiler(
+      "local:a@example.com",
+    ).downloadClips(
+      [clips[0], { ...clips[1], modifiedTime: "2026-03-12T10:00:00Z" }],
+      secondSession,
+    );
+    assert.deepEqual(prepared, ["a", "b", "b"]);
+    assert.equal(localFiles[0], path.join(secondSession, "0000-cached.mp4"));
+    assert.equal(fs.readFileSync(localFiles[0], "utf8"), "a");
+
+    // Another account never sees the first account's clips
+    const thirdSession = fs.mkdtempSync(path.join(tempDir, "session-"));
+    await createCompiler("local:b@example.com").downloadClips(
+      [clips[0]],
+      thirdSession,
+    );
+    assert.deepEqual(prepared, ["a", "b", "b", "a"]);
   } finally {
     fs.rmSync(tempDir, { recursive: true, force: true });
   }
 });
+
+test("VideoCompiler planClipDurations cuts on beats and keeps transitions on them", async () => {
+  const compiler = new VideoCompiler({}, { requestId: "test-request" });
+  const musicTrack = { id: "track-1", name: "Song.mp3" };
+  const audio = { mode: "music", musicStart: 0 };
+  compiler.getBeatAnalysis = async () => ({
+    bpm: 120,
+    period: 0.5,
+    beats: [0.5, 1, 1.5, 2, 2.5, 3],
+  });
+
+  assert.deepEqual(
+    await compiler.planClipDurations(3, {
+      musicTrack,
+      musicPath: null,
+      audio,
+      beatSync: { mode: "multiple", beatsPerClip: 2 },
+    }),
+    [1, 1, 1],
+  );
+  assert.deepEqual(
+    await compiler.planClipDurations(3, {
+      musicTrack,
+      musicPath: "/session/music.mp3",
+      audio,
+      beatSync: { mode: "multiple", beatsPerClip: 3 },
+      transition: { type: "crossfade", duration: 0.5 },
+    }),
+    [2, 2, 1.5],
+  );
+  // Cuts count from the end of the intro, and the last clip also overlaps
+  // the outro
+  assert.deepEqual(
+    await compiler.planClipDurations(2, {
+      musicTrack,
+      musicPath: "/session/music.mp3",
+      audio,
+      beatSync: { mode: "multiple", beatsPerClip: 1 },
+      transition: { type: "crossfade", duration: 0.25 },
+      leadIn: 2.5,
+      followed: true,
+    }),
+    [0.75, 0.75],
+  );
+});
+
+test("VideoCompiler renderGaps places gap segments between the clips", async () => {
+  const compiler = new VideoCompiler({}, { requestId: "test-request" });
+  const rendered = [];
+  compiler.renderCard = async (lines, outputPath, { duration }) => {
+    rendered.push(["card", lines[1].text, duration]);
+  };
+  compiler.renderHeldFrame = async (clipFile, outputPath, duration) => {
+    rendered.push(["hold", clipFile, duration]);
+  };
+
+  const renderedCounts = [];
+  const files = await compiler.renderGaps(
+    [
+      { date: "2026-03-01", gap: "card" },
+      { date: "2026-03-02", clip: { name: "2026-03-02.mp4" } },
+      { date: "2026-03-03", gap: "hold" },
+      { date: "2026-03-04", clip: { name: "2026-03-04.mp4" } },
+    ],
+    ["/session/a.mp4", "/session/b.mp4"],
+    "/session",
+    {
+      width: 1920,
+      height: 1080,
+      durations: [1, 1, 0.5, 1],
+      onRendered: (count) => renderedCounts.push(count),
+    },
+  );
+
+  assert.deepEqual(files, [
+    path.join("/session", "gap-2026-03-01.mp4"),
+    "/session/a.mp4",
+    path.join("/session", "gap-2026-03-03.mp4"),
+    "/session/b.mp4",
+  ]);
+  assert.deepEqual(rendered, [
+    ["card", "March 1, 2026", 1],
+    ["hold", "/session/a.mp4", 0.5],
+  ]);
+  assert.deepEqual(renderedCounts, [1, 2]);
+});
+
+test("VideoCompiler concatenateVideos reports progress against the expected length", async () => {
+  const compiler = new VideoCompiler({}, { requestId: "test-request" });
+  let spawnedArgs;
+  compiler.spawnFfmpeg = (args) => {
+    spawnedArgs = args;
+    const ffmpegProcess = new EventEmitter();
+    ffmpegProcess.stdout = new PassThrough();
+    ffmpegProcess.stderr = new PassThrough();
+    setImmediate(() => {
+      ffmpegProcess.stdout.write("out_time_us=2000000\nprogress=continue\n");
+      ffmpegProcess.stdout.write("out_time_us=8000000\nprogress=end\n");
+      setImmediate(() => ffmpegProcess.emit("close", 0));
+    });
+    return ffmpegProcess;
+  };
+
+  const fractions = [];
+  await compiler.concatenateVideos(
+    "/session/filelist.txt",
+    "/session/out.mp4",
+    null,
+    1920,
+    1080,
+    { duration: 8, onProgress: (fraction) => fractions.push(fraction) },
+  );
+
+  assert.deepEqual(spawnedArgs.slice(0, 3), [
+    "-progress",
+    "pipe:1",
+    "-nostats",
+  ]);
+  assert.deepEqual(fractions, [0.25, 1]);
+});
+
+test("VideoCompiler concatenateVideos rejects with the end of FFmpeg's output", async () => {
+  const compiler = new VideoCompiler({}, { requestId: "test-request" });
+  compiler.spawnFfmpeg = () => {
+    const ffmpegProcess = new EventEmitter();
+    ffmpegProcess.stdout = new PassThrough();
+    ffmpegProcess.stderr = new PassThrough();
+    setImmediate(() => {
+      ffmpegProcess.stderr.write("Invalid data found when processing input\n");
+      setImmediate(() => ffmpegProcess.emit("close", 1));
+    });
+    return ffmpegProcess;
+  };
+
+  await assert.rejects(
+    compiler.concatenateVideos("/session/filelist.txt", "/session/out.mp4"),
+    (error) =>
+      error.message === "FFmpeg exited with code 1" &&
+      error.stderrTail.includes("Invalid data found"),
+  );
+});
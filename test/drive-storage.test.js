@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { DriveStorage } = require("../storage/drive");
+
+test("DriveStorage listFiles retries transient Drive failures", async () => {
+  const storage = new DriveStorage({}, { requestId: "test-request" });
+  let attempts = 0;
+
+  storage.drive = {
+    files: {
+      list: async () => {
+        attempts += 1;
+        if (attempts === 1) {
+          const error = new Error("temporary backend error");
+          error.status = 503;
+          throw error;
+        }
+
+        return {
+          data: {
+            files: [
+              {
+                id: "clip-1",
+                name: "2026-03-14.mp4",
+                createdTime: "2026-03-14T00:00:00.000Z",
+                modifiedTime: "2026-03-14T00:00:00.000Z",
+              },
+            ],
+            nextPageToken: null,
+          },
+        };
+      },
+    },
+  };
+
+  const files = await storage.listFiles("folder-1");
+
+  assert.equal(attempts, 2);
+  assert.equal(files.length, 1);
+  assert.equal(files[0].id, "clip-1");
+});
+
+test("DriveStorage createFile retries transient upload failures", async () => {
+  const storage = new DriveStorage({}, { requestId: "test-request" });
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-test-"));
+  const filePath = path.join(tempDir, "output.mp4");
+  fs.writeFileSync(filePath, "video-data");
+
+  let attempts = 0;
+  storage.drive = {
+    files: {
+      create: async ({ media }) => {
+        await new Promise((resolve, reject) => {
+          media.body.on("error", reject);
+          media.body.on("end", resolve);
+          media.body.resume();
+        });
+
+        attempts += 1;
+        if (attempts === 1) {
+          const error = new Error("rate limit");
+          error.status = 429;
+          throw error;
+        }
+
+        return {
+          data: {
+            id: "compiled-1",
+            name: "output.mp4",
+          },
+        };
+      },
+    },
+  };
+
+  try {
+    const result = await storage.createFile("folder-1", {
+      name: "output.mp4",
+      mimeType: "video/mp4",
+      filePath,
+    });
+
+    assert.equal(attempts, 2);
+    assert.equal(result.id, "compiled-1");
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("DriveStorage listChanges pages through the feed and flags trashed files", async () => {
+  const storage = new DriveStorage({}, { requestId: "test-request" });
+  const pageTokens = [];
+
+  storage.drive = {
+    changes: {
+      list: async ({ pageToken }) => {
+        pageTokens.push(pageToken);
+        if (pageToken === "10") {
+          return {
+            data: {
+              nextPageToken: "11",
+              changes: [
+                {
+                  fileId: "folder-2",
+                  removed: false,
+                  file: {
+                    id: "folder-2",
+                    mimeType: "application/vnd.google-apps.folder",
+                  },
+                },
+                {
+                  fileId: "clip-1",
+                  removed: false,
+                  file: { id: "clip-1", name: "2026-03-14.mp4", trashed: true },
+                },
+              ],
+            },
+          };
+        }
+
+        return {
+          data: {
+            newStartPageToken: "12",
+            changes: [
+              {
+                fileId: "clip-2",
+                removed: false,
+                file: { id: "clip-2", name: "2026-03-15.mp4", trashed: false },
+              },
+              { fileId: "clip-3", removed: true },
+            ],
+          },
+        };
+      },
+    },
+  };
+
+  const result = await storage.listChanges("10");
+
+  assert.deepEqual(pageTokens, ["10", "11"]);
+  assert.equal(result.newStartPageToken, "12");
+  assert.deepEqual(result.changes, [
+    { fileId: "clip-1", removed: true, file: null },
+    {
+      fileId: "clip-2",
+      removed: false,
+      file: { id: "clip-2", name: "2026-03-15.mp4" },
+    },
+    { fileId: "clip-3", removed: true, file: null },
+  ]);
+});
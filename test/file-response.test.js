@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  getFileEtag,
+  parseRangeHeader,
+  planFileResponse,
+} = require("../file-response");
+
+const file = {
+  id: "clip-1",
+  modifiedTime: "2026-03-14T10:00:00.000Z",
+  size: "1000",
+};
+
+test("parseRangeHeader handles open, closed and suffix ranges", () => {
+  assert.deepEqual(parseRangeHeader("bytes=0-99", 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRangeHeader("bytes=900-", 1000), {
+    start: 900,
+    end: 999,
+  });
+  assert.deepEqual(parseRangeHeader("bytes=-100", 1000), {
+    start: 900,
+    end: 999,
+  });
+  assert.deepEqual(parseRangeHeader("bytes=990-5000", 1000), {
+    start: 990,
+    end: 999,
+  });
+  assert.equal(parseRangeHeader("bytes=1000-", 1000), "unsatisfiable");
+  assert.equal(parseRangeHeader("bytes=0-1,5-6", 1000), null);
+  assert.equal(parseRangeHeader(undefined, 1000), null);
+});
+
+test("planFileResponse returns 206 with Content-Range for a byte range", () => {
+  const plan = planFileResponse({ range: "bytes=100-199" }, file, "video/mp4");
+
+  assert.equal(plan.status, 206);
+  assert.deepEqual(plan.range, { start: 100, end: 199 });
+  assert.equal(plan.headers["Content-Range"], "bytes 100-199/1000");
+  assert.equal(plan.headers["Content-Length"], "100");
+  assert.equal(plan.headers["Accept-Ranges"], "bytes");
+  assert.equal(plan.headers["Last-Modified"], "Sat, 14 Mar 2026 10:00:00 GMT");
+});
+
+test("planFileResponse ignores Range when If-Range no longer matches", () => {
+  const plan = planFileResponse(
+    { range: "bytes=100-199", "if-range": '"stale"' },
+    file,
+    "video/mp4",
+  );
+
+  assert.equal(plan.status, 200);
+  assert.equal(plan.range, null);
+  assert.equal(plan.headers["Content-Length"], "1000");
+
+  const current = planFileResponse(
+    { range: "bytes=100-199", "if-range": getFileEtag(file) },
+    file,
+    "video/mp4",
+  );
+  assert.equal(current.status, 206);
+});
+
+test("planFileResponse answers 304 and 416 without a body range", () => {
+  assert.equal(
+    planFileResponse({ "if-none-match": getFileEtag(file) }, file, "video/mp4")
+      .status,
+    304,
+  );
+  assert.equal(
+    planFileResponse(
+      { "if-modified-since": "Sat, 14 Mar 2026 10:00:00 GMT" },
+      file,
+      "video/mp4",
+    ).status,
+    304,
+  );
+
+  const unsatisfiable = planFileResponse(
+    { range: "bytes=5000-" },
+    file,
+    "video/mp4",
+  );
+  assert.equal(unsatisfiable.status, 416);
+  assert.equal(unsatisfiable.headers["Content-Range"], "bytes */1000");
+});
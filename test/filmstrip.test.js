@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  getFilmstripTimestamps,
+  parseDuration,
+  parseFrameCount,
+} = require("../filmstrip");
+
+test("parseDuration reads the input duration from FFmpeg output", () => {
+  const output = `Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'clip.mov':
+  Duration: 00:01:02.50, start: 0.000000, bitrate: 8123 kb/s`;
+
+  assert.equal(parseDuration(output), 62.5);
+  assert.equal(parseDuration("  Duration: N/A, bitrate: N/A"), null);
+});
+
+test("getFilmstripTimestamps spreads frames across the usable start times", () => {
+  assert.deepEqual(getFilmstripTimestamps(11, 6), [0, 2, 4, 6, 8, 10]);
+  assert.deepEqual(getFilmstripTimestamps(4.2, 3), [0, 1.6, 3.2]);
+});
+
+test("getFilmstripTimestamps drops duplicate frames for very short videos", () => {
+  assert.deepEqual(getFilmstripTimestamps(0.8, 10), [0]);
+  assert.deepEqual(getFilmstripTimestamps(1.1, 4), [0, 0.1]);
+});
+
+test("parseFrameCount defaults and rejects out-of-range counts", () => {
+  assert.deepEqual(parseFrameCount(undefined), { value: 10 });
+  assert.deepEqual(parseFrameCount("6"), { value: 6 });
+  assert.ok(parseFrameCount(1).error);
+  assert.ok(parseFrameCount(21).error);
+  assert.ok(parseFrameCount("2.5").error);
+});
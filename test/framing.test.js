@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildFramingFilter, parseFramingMode } = require("../framing");
+
+test("parseFramingMode defaults to pad and rejects unknown modes", () => {
+  assert.deepEqual(parseFramingMode(undefined), { value: "pad" });
+  assert.deepEqual(parseFramingMode("crop"), { value: "crop" });
+  assert.equal(
+    parseFramingMode("stretch").error,
+    "framing must be one of: pad, blur, crop",
+  );
+});
+
+test("buildFramingFilter sizes every mode to the output frame", () => {
+  assert.equal(
+    buildFramingFilter(1080, 1920, "pad"),
+    "scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2:black,setsar=1",
+  );
+  assert.equal(
+    buildFramingFilter(1080, 1080, "crop"),
+    "scale=1080:1080:force_original_aspect_ratio=increase,crop=1080:1080,setsar=1",
+  );
+
+  const blur = buildFramingFilter(1920, 1080, "blur");
+  assert.match(blur, /^split=2\[framebg\]\[framefg\];/);
+  assert.match(
+    blur,
+    /force_original_aspect_ratio=increase,crop=1920:1080,boxblur/,
+  );
+  assert.match(blur, /overlay=\(W-w\)\/2:\(H-h\)\/2,setsar=1$/);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  countRangeDays,
+  getGapCardLines,
+  parseGapPolicy,
+  planTimeline,
+} = require("../gaps");
+
+const clip = (date) => ({ id: `clip-${date}`, name: `${date}.mp4` });
+
+test("parseGapPolicy defaults to skip and rejects unknown policies", () => {
+  assert.deepEqual(parseGapPolicy(undefined), { value: "skip" });
+  assert.deepEqual(parseGapPolicy("hold"), { value: "hold" });
+  assert.equal(
+    parseGapPolicy("blank").error,
+    "gapPolicy must be one of: skip, card, hold",
+  );
+});
+
+test("countRangeDays counts both ends across month and DST boundaries", () => {
+  assert.equal(countRangeDays("2026-03-14", "2026-03-14"), 1);
+  assert.equal(countRangeDays("2026-02-27", "2026-03-02"), 4);
+  assert.equal(countRangeDays("2026-01-01", "2026-12-31"), 365);
+});
+
+test("planTimeline fills missed days according to the policy", () => {
+  const clips = [clip("2026-03-02"), clip("2026-03-04")];
+  const range = { startDate: "2026-03-01", endDate: "2026-03-05" };
+
+  assert.deepEqual(planTimeline(clips, { ...range, gapPolicy: "skip" }), [
+    { date: "2026-03-02", clip: clips[0] },
+    { date: "2026-03-04", clip: clips[1] },
+  ]);
+  assert.deepEqual(planTimeline(clips, { ...range, gapPolicy: "card" }), [
+    { date: "2026-03-01", gap: "card" },
+    { date: "2026-03-02", clip: clips[0] },
+    { date: "2026-03-03", gap: "card" },
+    { date: "2026-03-04", clip: clips[1] },
+    { date: "2026-03-05", gap: "card" },
+  ]);
+  // Nothing to hold before the first clip
+  assert.deepEqual(
+    planTimeline(clips, { ...range, gapPolicy: "hold" }).map(
+      (entry) => entry.gap || "clip",
+    ),
+    ["card", "clip", "hold", "clip", "hold"],
+  );
+});
+
+test("getGapCardLines shows the missed date in the chosen format", () => {
+  assert.deepEqual(
+    getGapCardLines("2026-03-03", "weekday").map((line) => line.text),
+    ["No moment", "Tuesday, March 3, 2026"],
+  );
+});
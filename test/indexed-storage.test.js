@@ -0,0 +1,189 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { ClipIndexStore } = require("../clip-index-store");
+const { IndexedStorage, withIndex } = require("../storage/indexed");
+
+function file(id, name, parents = ["folder-1"]) {
+  return { id, name, mimeType: "video/mp4", parents };
+}
+
+function createStubDrive() {
+  const calls = [];
+  const stub = {
+    name: "drive",
+    calls,
+    files: [file("1", "2024-01-02.mp4"), file("2", "2024-01-01.mp4")],
+    changes: [],
+    async getChangesStartToken() {
+      calls.push("startToken");
+      return "token-1";
+    },
+    async listFiles() {
+      calls.push("listFiles");
+      return stub.files;
+    },
+    async listChanges(pageToken) {
+      calls.push(`listChanges:${pageToken}`);
+      if (stub.changes instanceof Error) throw stub.changes;
+      return { changes: stub.changes, newStartPageToken: "token-2" };
+    },
+    async createFile(folderId, { name }) {
+      return file("3", name, [folderId]);
+    },
+    async deleteFile() {},
+  };
+  return stub;
+}
+
+function withTempStore(run) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-index-"));
+  return Promise.resolve()
+    .then(() => run(new ClipIndexStore(tempDir)))
+    .finally(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+}
+
+test("IndexedStorage builds the index once, then applies changes", () =>
+  withTempStore(async (store) => {
+    const drive = createStubDrive();
+    const storage = new IndexedStorage(drive, { store, userKey: "user" });
+
+    const first = await storage.listFiles("folder-1");
+    assert.deepEqual(
+      first.map((entry) => entry.name),
+      ["2024-01-01.mp4", "2024-01-02.mp4"],
+    );
+
+    drive.changes = [
+      { fileId: "1", removed: true, file: null },
+      {
+        fileId: "4",
+        removed: false,
+        file: file("4", "2024-01-03.mp4"),
+      },
+      {
+        fileId: "5",
+        removed: false,
+        file: file("5", "elsewhere.mp4", ["other-folder"]),
+      },
+    ];
+
+    const second = await storage.listFiles("folder-1");
+    assert.deepEqual(
+      second.map((entry) => entry.id),
+      ["2", "4"],
+    );
+    assert.deepEqual(drive.calls, [
+      "startToken",
+      "listFiles",
+      "listChanges:token-1",
+    ]);
+    assert.equal(store.get("user:folder-1").pageToken, "token-2");
+  }));
+
+test("IndexedStorage rebuilds when the changes feed rejects the token", () =>
+  withTempStore(async (store) => {
+    const drive = createStubDrive();
+    const storage = new IndexedStorage(drive, { store, userKey: "user" });
+    await storage.listFiles("folder-1");
+
+    drive.changes = Object.assign(new Error("Invalid page token"), {
+      status: 400,
+    });
+    drive.files = [file("9", "2024-02-01.mp4")];
+
+    const files = await storage.listFiles("folder-1");
+    assert.deepEqual(
+      files.map((entry) => entry.id),
+      ["9"],
+    );
+    assert.deepEqual(drive.calls.slice(-3), [
+      "listChanges:token-1",
+      "startToken",
+      "listFiles",
+    ]);
+  }));
+
+test("IndexedStorage writes through creates and deletes", () =>
+  withTempStore(async (store) => {
+    const drive = createStubDrive();
+    const storage = new IndexedStorage(drive, { store, userKey: "user" });
+    await storage.listFiles("folder-1");
+
+    await storage.createFile("folder-1", { name: "2024-01-05.mp4" });
+    await storage.deleteFile("2");
+
+    assert.deepEqual(Object.keys(store.get("user:folder-1").files).sort(), [
+      "1",
+      "3",
+    ]);
+  }));
+
+test("IndexedStorage keeps writes made while a sync is running", () =>
+  withTempStore(async (store) => {
+    const drive = createStubDrive();
+    const storage = new IndexedStorage(drive, { store, userKey: "user" });
+    await storage.listFiles("folder-1");
+
+    let releaseChanges;
+    drive.listChanges = () =>
+      new Promise((resolve) => {
+        releaseChanges = () =>
+          resolve({ changes: [], newStartPageToken: "token-2" });
+      });
+
+    const listing = storage.listFiles("folder-1");
+    const created = storage.createFile("folder-1", { name: "2024-01-05.mp4" });
+    await new Promise((resolve) => setImmediate(resolve));
+    releaseChanges();
+    await Promise.all([listing, created]);
+
+    assert.deepEqual(Object.keys(store.get("user:folder-1").files).sort(), [
+      "1",
+      "2",
+      "3",
+    ]);
+  }));
+
+test("withIndex leaves drivers without a changes feed unwrapped", () => {
+  const local = { name: "local", listFiles: async () => [] };
+  assert.equal(withIndex(local, { store: {}, userKey: "user" }), local);
+});
+
+test("IndexedStorage keeps one index per folder", () =>
+  withTempStore(async (store) => {
+    const drive = createStubDrive();
+    await new IndexedStorage(drive, { store, userKey: "user" }).listFiles(
+      "folder-1",
+    );
+
+    // Another request listing a subfolder, e.g. "music"
+    drive.files = [file("7", "song.mp3", ["music-folder"])];
+    const music = await new IndexedStorage(drive, {
+      store,
+      userKey: "user",
+    }).listFiles("music-folder");
+    const clips = await new IndexedStorage(drive, {
+      store,
+      userKey: "user",
+    }).listFiles("folder-1");
+
+    assert.deepEqual(
+      music.map((entry) => entry.id),
+      ["7"],
+    );
+    assert.deepEqual(
+      clips.map((entry) => entry.id),
+      ["2", "1"],
+    );
+    assert.deepEqual(drive.calls, [
+      "startToken",
+      "listFiles",
+      "startToken",
+      "listFiles",
+      "listChanges:token-1",
+    ]);
+  }));
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { getUserStorageKey } = require("../storage/common");
+const { LocalStorage } = require("../storage/local");
+
+function createTempStorage() {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-local-"));
+  const storage = new LocalStorage({ rootDir, userKey: "user@example.com" });
+  return { rootDir, storage };
+}
+
+test("LocalStorage stores, lists, streams and deletes files in a folder", async () => {
+  const { rootDir, storage } = createTempStorage();
+  const sourcePath = path.join(rootDir, "source.mp4");
+  fs.writeFileSync(sourcePath, "video-data");
+
+  try {
+    const folderId = await storage.getOrCreateFolder("365Moments");
+    assert.equal(await storage.getOrCreateFolder("365Moments"), folderId);
+
+    const created = await storage.createFile(folderId, {
+      name: "2026-03-14.mp4",
+      mimeType: "video/mp4",
+      filePath: sourcePath,
+    });
+    assert.equal(created.name, "2026-03-14.mp4");
+    assert.equal(created.mimeType, "video/mp4");
+    assert.deepEqual(created.parents, [folderId]);
+
+    const files = await storage.listFiles(folderId);
+    assert.deepEqual(
+      files.map((file) => file.name),
+      ["2026-03-14.mp4"],
+    );
+    assert.equal(
+      (await storage.findFile(folderId, "2026-03-14.mp4")).id,
+      created.id,
+    );
+
+    const chunks = [];
+    for await (const chunk of await storage.getFileStream(created.id)) {
+      chunks.push(chunk);
+    }
+    assert.equal(Buffer.concat(chunks).toString(), "video-data");
+
+    const rangeChunks = [];
+    for await (const chunk of await storage.getFileStream(created.id, {
+      start: 6,
+      end: 9,
+    })) {
+      rangeChunks.push(chunk);
+    }
+    assert.equal(Buffer.concat(rangeChunks).toString(), "data");
+
+    await storage.deleteFile(created.id);
+    assert.equal(await storage.findFile(folderId, "2026-03-14.mp4"), null);
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("LocalStorage rejects ids that escape the user directory", async () => {
+  const { rootDir, storage } = createTempStorage();
+  const escapingId = Buffer.from("../other-user/secret.mp4").toString(
+    "base64url",
+  );
+
+  try {
+    await assert.rejects(() => storage.getFile(escapingId), {
+      status: 404,
+    });
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("getUserStorageKey produces a single safe path segment", () => {
+  assert.match(
+    getUserStorageKey({ email: "User@Example.com" }),
+    /^user@example\.com-[0-9a-f]{32}$/,
+  );
+  assert.match(getUserStorageKey({ email: "../../etc" }), /^__\.\._etc-/);
+  assert.equal(
+    getUserStorageKey({ email: "a@x" }),
+    getUserStorageKey({ email: "a@x" }),
+  );
+});
+
+test("getUserStorageKey keeps identifiers that clean up alike apart", () => {
+  const keys = ["a+b@x", "a_b@x", "A_b@x"].map((email) =>
+    getUserStorageKey({ email }),
+  );
+  assert.equal(new Set(keys).size, keys.length);
+});
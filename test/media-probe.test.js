@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkStreamCopy, parseStreamInfo } = require("../media-probe");
+
+const NORMALIZED_CLIP_PROBE = {
+  streams: [
+    {
+      codec_name: "h264",
+      codec_type: "video",
+      width: 1920,
+      height: 1080,
+      pix_fmt: "yuv420p",
+      r_frame_rate: "30/1",
+      time_base: "1/15360",
+    },
+    {
+      codec_name: "aac",
+      codec_type: "audio",
+      sample_rate: "48000",
+      channels: 2,
+      channel_layout: "stereo",
+      time_base: "1/48000",
+    },
+  ],
+  format: { format_name: "mov,mp4,m4a,3gp,3g2,mj2", duration: "1.000000" },
+};
+
+const IMAGE_CLIP_PROBE = {
+  streams: [NORMALIZED_CLIP_PROBE.streams[0]],
+  format: { format_name: "mov,mp4,m4a,3gp,3g2,mj2", duration: "1.000000" },
+};
+
+test("parseStreamInfo reads video and audio parameters", () => {
+  assert.deepEqual(parseStreamInfo(NORMALIZED_CLIP_PROBE), {
+    formatName: "mov,mp4,m4a,3gp,3g2,mj2",
+    duration: 1,
+    video: {
+      codec: "h264",
+      pixFmt: "yuv420p",
+      width: 1920,
+      height: 1080,
+      fps: "30/1",
+      timebase: "1/15360",
+    },
+    audio: { codec: "aac", sampleRate: 48000, channels: "stereo" },
+  });
+  assert.equal(parseStreamInfo(IMAGE_CLIP_PROBE).audio, null);
+  assert.deepEqual(parseStreamInfo({}), {
+    formatName: null,
+    duration: null,
+    video: null,
+    audio: null,
+  });
+});
+
+test("checkStreamCopy requires matching streams at the output size", () => {
+  const clip = parseStreamInfo(NORMALIZED_CLIP_PROBE);
+  const image = parseStreamInfo(IMAGE_CLIP_PROBE);
+  const size = { width: 1920, height: 1080 };
+
+  assert.deepEqual(checkStreamCopy([clip, clip], size), { ok: true });
+  assert.deepEqual(checkStreamCopy([clip, image], size), {
+    ok: false,
+    reason: "audio_mismatch",
+  });
+  // Music replaces the clips' audio, so only the video has to match
+  assert.deepEqual(
+    checkStreamCopy([clip, image], { ...size, includeAudio: false }),
+    { ok: true },
+  );
+  assert.deepEqual(
+    checkStreamCopy(
+      [clip, { ...clip, video: { ...clip.video, fps: "25/1" } }],
+      size,
+    ),
+    { ok: false, reason: "video_mismatch" },
+  );
+  assert.deepEqual(checkStreamCopy([clip], { width: 1080, height: 1920 }), {
+    ok: false,
+    reason: "video_parameters",
+  });
+  assert.deepEqual(checkStreamCopy([], size), {
+    ok: false,
+    reason: "no_video",
+  });
+});
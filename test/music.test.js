@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  describeMusicTrack,
+  getMusicTrackFileName,
+  isMusicTrackFile,
+  parseMusicProbe,
+} = require("../music");
+
+function probeOf(formatName, streams, duration = "183.5") {
+  return { format: { format_name: formatName, duration }, streams };
+}
+
+test("parseMusicProbe accepts common audio formats", () => {
+  assert.deepEqual(
+    parseMusicProbe(
+      probeOf("mp3", [
+        { codec_type: "audio", codec_name: "mp3" },
+        // Cover art
+        {
+          codec_type: "video",
+          codec_name: "mjpeg",
+          disposition: { attached_pic: 1 },
+        },
+      ]),
+    ),
+    {
+      value: {
+        container: "mp3",
+        extension: ".mp3",
+        codec: "mp3",
+        duration: 183.5,
+      },
+    },
+  );
+  assert.equal(
+    parseMusicProbe(
+      probeOf("mov,mp4,m4a,3gp,3g2,mj2", [
+        { codec_type: "audio", codec_name: "aac" },
+      ]),
+    ).value.extension,
+    ".m4a",
+  );
+  assert.equal(
+    parseMusicProbe(
+      probeOf("wav", [{ codec_type: "audio", codec_name: "pcm_s16le" }]),
+    ).value.codec,
+    "pcm_s16le",
+  );
+  assert.equal(
+    parseMusicProbe(
+      probeOf("ogg", [{ codec_type: "audio", codec_name: "vorbis" }]),
+    ).value.extension,
+    ".ogg",
+  );
+});
+
+test("parseMusicProbe rejects video, unknown formats and bad durations", () => {
+  assert.equal(
+    parseMusicProbe(
+      probeOf("mov,mp4,m4a,3gp,3g2,mj2", [
+        { codec_type: "video", codec_name: "h264", disposition: {} },
+        { codec_type: "audio", codec_name: "aac" },
+      ]),
+    ).error,
+    "Music must not contain video",
+  );
+  assert.equal(
+    parseMusicProbe(
+      probeOf("matroska,webm", [{ codec_type: "audio", codec_name: "opus" }]),
+    ).error,
+    "Music must be an MP3, AAC/M4A, OGG, WAV or FLAC file",
+  );
+  assert.equal(
+    parseMusicProbe(
+      probeOf("ogg", [{ codec_type: "audio", codec_name: "speex" }]),
+    ).error,
+    "Music must contain a supported audio track",
+  );
+  assert.equal(
+    parseMusicProbe(
+      probeOf("flac", [{ codec_type: "audio", codec_name: "flac" }], "N/A"),
+    ).error,
+    "Could not read the music duration",
+  );
+  assert.equal(
+    parseMusicProbe(
+      probeOf("flac", [{ codec_type: "audio", codec_name: "flac" }], "7200"),
+    ).error,
+    "Music must be at most 60 minutes long",
+  );
+  assert.ok(parseMusicProbe(null).error);
+});
+
+test("getMusicTrackFileName cleans the uploaded name and avoids clashes", () => {
+  assert.equal(
+    getMusicTrackFileName("../Summer: Mix?.MP3", ".mp3", []),
+    "Summer Mix.mp3",
+  );
+  assert.equal(
+    getMusicTrackFileName("summer mix.wav", ".mp3", [
+      "Summer Mix.mp3",
+      "Summer Mix (2).mp3",
+    ]),
+    "summer mix (3).mp3",
+  );
+  assert.equal(getMusicTrackFileName("...", ".ogg", []), "Track.ogg");
+});
+
+test("describeMusicTrack lists only audio files of the library", () => {
+  assert.equal(isMusicTrackFile({ name: "notes.txt" }), false);
+  assert.deepEqual(
+    describeMusicTrack({
+      id: "abc",
+      name: "Summer Mix.m4a",
+      size: "1024",
+      createdTime: "2026-10-01T00:00:00.000Z",
+    }),
+    {
+      id: "abc",
+      name: "Summer Mix.m4a",
+      title: "Summer Mix",
+      mimeType: "audio/mp4",
+      size: 1024,
+      createdTime: "2026-10-01T00:00:00.000Z",
+    },
+  );
+});
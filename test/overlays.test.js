@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  buildOverlayFilters,
+  formatOverlayDate,
+  parseOverlayOptions,
+  wrapText,
+} = require("../overlays");
+
+test("formatOverlayDate supports every date format without timezone drift", () => {
+  assert.equal(formatOverlayDate("2026-03-01", "long"), "March 1, 2026");
+  assert.equal(formatOverlayDate("2026-03-01", "short"), "Mar 1");
+  assert.equal(
+    formatOverlayDate("2026-03-01", "weekday"),
+    "Sunday, March 1, 2026",
+  );
+  assert.equal(formatOverlayDate("2026-03-01", "iso"), "2026-03-01");
+  assert.equal(formatOverlayDate("2026-03-01", "dmy"), "01/03/2026");
+  assert.equal(formatOverlayDate("2026-03-01", "mdy"), "03/01/2026");
+});
+
+test("parseOverlayOptions rejects out-of-range font sizes", () => {
+  assert.match(
+    parseOverlayOptions({ fontSize: 4 }).error,
+    /overlay.fontSize must be a whole number/,
+  );
+  assert.equal(parseOverlayOptions(undefined).value.showDate, false);
+});
+
+test("wrapText breaks long captions on word boundaries", () => {
+  assert.deepEqual(wrapText("a quick brown fox\njumps", 11), [
+    "a quick",
+    "brown fox",
+    "jumps",
+  ]);
+  assert.deepEqual(wrapText("abcdefghij", 4), ["abcd", "efgh", "ij"]);
+});
+
+test("buildOverlayFilters writes text files and stacks date above caption", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-ovl-"));
+
+  try {
+    const filters = buildOverlayFilters(
+      {
+        showDate: true,
+        showCaption: true,
+        position: "bottom-right",
+        fontSize: 48,
+        dateFormat: "iso",
+        date: "2026-03-01",
+        caption: "It's 100% sunny: finally",
+      },
+      {
+        width: 1920,
+        height: 1080,
+        textFilePrefix: path.join(tempDir, "0000"),
+      },
+    );
+
+    assert.equal(filters.length, 2);
+    assert.ok(filters.every((filter) => filter.startsWith("drawtext=")));
+    assert.ok(filters[0].includes("x=w-text_w-54"));
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "0000-caption.txt"), "utf8"),
+      "It's 100% sunny: finally",
+    );
+
+    const dateY = Number(filters[0].match(/:y=(\d+)$/)[1]);
+    const captionY = Number(filters[1].match(/:y=(\d+)$/)[1]);
+    assert.ok(dateY < captionY);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("buildOverlayFilters returns nothing when overlays are off", () => {
+  assert.deepEqual(
+    buildOverlayFilters(
+      { showDate: false, showCaption: false },
+      { width: 1920, height: 1080, textFilePrefix: "/unused" },
+    ),
+    [],
+  );
+});
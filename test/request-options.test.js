@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseBoolean,
+  parseEnum,
+  parseNumberInRange,
+  parseOptionFields,
+} = require("../request-options");
+
+test("parseOptionFields fills in defaults and names the failing option", () => {
+  const defaults = { on: false, nested: { size: 1 } };
+  const parsers = { on: parseBoolean };
+
+  const missing = parseOptionFields(undefined, "thing", defaults, parsers);
+  assert.deepEqual(missing, { value: defaults });
+  assert.notEqual(missing.value.nested, defaults.nested);
+
+  assert.deepEqual(
+    parseOptionFields({ on: true }, "thing", defaults, parsers),
+    {
+      value: { on: true, nested: { size: 1 } },
+    },
+  );
+  assert.equal(
+    parseOptionFields([], "thing", defaults, parsers).error,
+    "thing must be an object",
+  );
+  assert.equal(
+    parseOptionFields({ on: "yes" }, "thing", defaults, parsers).error,
+    "thing.on must be a boolean",
+  );
+});
+
+test("parseEnum and parseNumberInRange describe the accepted values", () => {
+  assert.deepEqual(parseEnum("a", "mode", ["a", "b"]), { value: "a" });
+  assert.equal(
+    parseEnum("c", "mode", ["a", "b"]).error,
+    "mode must be one of: a, b",
+  );
+
+  assert.deepEqual(parseNumberInRange("2.5", "size", 1, 3), { value: 2.5 });
+  assert.equal(
+    parseNumberInRange(null, "size", 0, 3, { unit: " seconds" }).error,
+    "size must be between 0 and 3 seconds",
+  );
+  assert.equal(
+    parseNumberInRange(2.5, "size", 1, 3, { integer: true }).error,
+    "size must be a whole number between 1 and 3",
+  );
+});
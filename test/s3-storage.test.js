@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { S3Storage } = require("../storage/s3");
+
+function createStubClient(handlers) {
+  const commands = [];
+  return {
+    commands,
+    send: async (command) => {
+      const name = command.constructor.name;
+      commands.push({ name, input: command.input });
+      return handlers[name](command.input);
+    },
+  };
+}
+
+test("S3Storage keeps each user's files under their own key prefix", async () => {
+  const client = createStubClient({
+    ListObjectsV2Command: (input) => ({
+      Contents: [
+        {
+          Key: `${input.Prefix}2026-03-14.mp4`,
+          Size: 10,
+          LastModified: new Date("2026-03-14T00:00:00.000Z"),
+        },
+        {
+          Key: `${input.Prefix}2026-03-13.mp4`,
+          Size: 12,
+          LastModified: new Date("2026-03-13T00:00:00.000Z"),
+        },
+      ],
+      IsTruncated: false,
+    }),
+  });
+  const storage = new S3Storage({
+    client,
+    bucket: "moments",
+    prefix: "app/",
+    userKey: "user@example.com",
+  });
+
+  const folderId = await storage.getOrCreateFolder("365Moments");
+  const files = await storage.listFiles(folderId);
+
+  assert.equal(client.commands[0].input.Bucket, "moments");
+  assert.equal(
+    client.commands[0].input.Prefix,
+    "app/users/user@example.com/365Moments/",
+  );
+  assert.deepEqual(
+    files.map((file) => [file.name, file.mimeType, file.size]),
+    [
+      ["2026-03-13.mp4", "video/mp4", "12"],
+      ["2026-03-14.mp4", "video/mp4", "10"],
+    ],
+  );
+  assert.deepEqual(files[0].parents, [folderId]);
+});
+
+test("S3Storage createFile uploads to the folder key and findFile reads it back", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-s3-"));
+  const filePath = path.join(tempDir, "thumb.jpg");
+  fs.writeFileSync(filePath, "jpeg-data");
+
+  const client = createStubClient({
+    PutObjectCommand: async (input) => {
+      await new Promise((resolve, reject) => {
+        input.Body.on("error", reject);
+        input.Body.on("end", resolve);
+        input.Body.resume();
+      });
+      return {};
+    },
+    HeadObjectCommand: (input) => {
+      if (!input.Key.endsWith("2026-03-14.thumb.jpg")) {
+        const error = new Error("NotFound");
+        error.name = "NotFound";
+        throw error;
+      }
+      return {
+        ContentLength: 9,
+        ContentType: "image/jpeg",
+        LastModified: new Date("2026-03-14T00:00:00.000Z"),
+      };
+    },
+  });
+  const storage = new S3Storage({
+    client,
+    bucket: "moments",
+    userKey: "user@example.com",
+  });
+
+  try {
+    const folderId = await storage.getOrCreateFolder("365Moments");
+    const created = await storage.createFile(folderId, {
+      name: "2026-03-14.thumb.jpg",
+      mimeType: "image/jpeg",
+      filePath,
+    });
+
+    const put = client.commands.find((c) => c.name === "PutObjectCommand");
+    assert.equal(
+      put.input.Key,
+      "users/user@example.com/365Moments/2026-03-14.thumb.jpg",
+    );
+    assert.equal(put.input.ContentLength, 9);
+
+    const found = await storage.findFile(folderId, "2026-03-14.thumb.jpg");
+    assert.equal(found.id, created.id);
+    assert.equal(await storage.findFile(folderId, "missing.jpg"), null);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("S3Storage rejects ids containing parent directory segments", async () => {
+  const storage = new S3Storage({
+    client: createStubClient({}),
+    bucket: "moments",
+    userKey: "user@example.com",
+  });
+  const escapingId = Buffer.from("../other-user/secret.mp4").toString(
+    "base64url",
+  );
+
+  await assert.rejects(() => storage.getFile(escapingId), { status: 404 });
+});
@@ -4,21 +4,117 @@ const assert = require("node:assert/strict");
 const {
   validateCompileRequest,
   parseStartTime,
+  parseWebDavCredentials,
   normalizeClipFileName,
+  readClipCacheMaxMb,
 } = require("../server");
 
+// Run `fn` with environment variables set, restoring them afterwards
+async function withEnv(values, fn) {
+  const previous = Object.fromEntries(
+    Object.keys(values).map((key) => [key, process.env[key]]),
+  );
+  Object.assign(process.env, values);
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
 test("validateCompileRequest accepts a bounded valid request", () => {
   const result = validateCompileRequest({
     startDate: "2026-01-01",
     endDate: "2026-12-31",
-    musicData: "data:audio/mpeg;base64,QUJDRA==",
   });
 
   assert.deepEqual(result, {
     startDate: "2026-01-01",
     endDate: "2026-12-31",
-    musicData: "data:audio/mpeg;base64,QUJDRA==",
+    overlay: {
+      showDate: false,
+      showCaption: false,
+      position: "bottom-left",
+      fontSize: 48,
+      dateFormat: "long",
+    },
+    preset: "landscape",
+    framing: "pad",
+    transition: { type: "none", duration: 0.5 },
+    audio: {
+      mode: "music",
+      musicVolume: 1,
+      clipVolume: 1,
+      ducking: false,
+      fadeIn: 0,
+      fadeOut: 0,
+      musicStart: 0,
+    },
+    beatSync: { mode: "off", beatsPerClip: 2 },
+    gapPolicy: "skip",
+    titleCards: {
+      intro: { enabled: false, title: "365 Moments", duration: 3 },
+      outro: { enabled: false, title: "That's a wrap", duration: 3 },
+    },
+    musicTrackId: null,
+  });
+});
+
+test("validateCompileRequest validates audio options", () => {
+  const result = validateCompileRequest({
+    audio: { mode: "mixed", musicVolume: 0.4, ducking: true, fadeOut: 2 },
+  });
+
+  assert.equal(result.audio.mode, "mixed");
+  assert.equal(result.audio.musicVolume, 0.4);
+  assert.equal(result.audio.clipVolume, 1);
+  assert.equal(result.audio.ducking, true);
+  assert.equal(result.audio.fadeOut, 2);
+  assert.equal(
+    validateCompileRequest({ audio: { mode: "karaoke" } }).error,
+    "audio.mode must be one of: music, original, mixed",
+  );
+  assert.equal(
+    validateCompileRequest({ audio: { clipVolume: 3 } }).error,
+    "audio.clipVolume must be between 0 and 2",
+  );
+});
+
+test("validateCompileRequest accepts known output presets only", () => {
+  assert.equal(
+    validateCompileRequest({ preset: "vertical" }).preset,
+    "vertical",
+  );
+  assert.equal(
+    validateCompileRequest({ preset: "8k" }).error,
+    "preset must be one of: landscape, vertical, square, 720p, 4k",
+  );
+  assert.ok(validateCompileRequest({ preset: "toString" }).error);
+});
+
+test("validateCompileRequest accepts known framing modes only", () => {
+  assert.equal(validateCompileRequest({ framing: "blur" }).framing, "blur");
+  assert.equal(
+    validateCompileRequest({ framing: "stretch" }).error,
+    "framing must be one of: pad, blur, crop",
+  );
+});
+
+test("validateCompileRequest validates overlay options", () => {
+  const result = validateCompileRequest({
+    overlay: { showDate: true, position: "top-right", fontSize: 64 },
   });
+
+  assert.equal(result.overlay.showDate, true);
+  assert.equal(result.overlay.position, "top-right");
+  assert.equal(result.overlay.fontSize, 64);
+  assert.equal(
+    validateCompileRequest({ overlay: { position: "middle" } }).error,
+    "overlay.position must be one of: top-left, top-center, top-right, bottom-left, bottom-center, bottom-right",
+  );
 });
 
 test("validateCompileRequest rejects inverted date ranges", () => {
@@ -30,12 +126,26 @@ test("validateCompileRequest rejects inverted date ranges", () => {
   assert.equal(result.error, "startDate must be before or equal to endDate");
 });
 
-test("validateCompileRequest rejects unsupported music payloads", () => {
+test("validateCompileRequest rejects music sent as a data URL", () => {
   const result = validateCompileRequest({
-    musicData: "data:audio/wav;base64,AAAA",
+    musicData: "data:audio/mpeg;base64,QUJDRA==",
   });
 
-  assert.equal(result.error, "musicData must be an MP3 data URL");
+  assert.equal(
+    result.error,
+    "Upload music to the library and send its musicTrackId instead",
+  );
+});
+
+test("validateCompileRequest accepts a music track id", () => {
+  assert.equal(
+    validateCompileRequest({ musicTrackId: "track-1" }).musicTrackId,
+    "track-1",
+  );
+  assert.equal(
+    validateCompileRequest({ musicTrackId: 42 }).error,
+    "musicTrackId must be a non-empty string",
+  );
 });
 
 test("parseStartTime rejects non-finite values", () => {
@@ -49,3 +159,125 @@ test("normalizeClipFileName only accepts YYYY-MM-DD based filenames", () => {
   assert.equal(normalizeClipFileName("2026-03-14.webm"), "2026-03-14.mp4");
   assert.equal(normalizeClipFileName("../escape.mp4"), null);
 });
+
+test("validateCompileRequest requires playing music for beat sync", () => {
+  assert.equal(
+    validateCompileRequest({ beatSync: { mode: "nearest" } }).error,
+    "beatSync needs a music track that plays",
+  );
+  assert.equal(
+    validateCompileRequest({
+      musicTrackId: "track-1",
+      audio: { mode: "original" },
+      beatSync: { mode: "nearest" },
+    }).error,
+    "beatSync needs a music track that plays",
+  );
+});
+
+test("validateCompileRequest needs a bounded date range to fill gaps", () => {
+  assert.equal(
+    validateCompileRequest({
+      startDate: "2026-01-01",
+      endDate: "2026-12-31",
+      gapPolicy: "card",
+    }).gapPolicy,
+    "card",
+  );
+  assert.equal(
+    validateCompileRequest({ gapPolicy: "hold" }).error,
+    "gapPolicy needs startDate and endDate",
+  );
+  assert.equal(
+    validateCompileRequest({
+      startDate: "2000-01-01",
+      endDate: "2026-12-31",
+      gapPolicy: "card",
+    }).error,
+    "gapPolicy needs a date range of at most 3660 days",
+  );
+});
+
+test("parseWebDavCredentials uses WEBDAV_URL over a URL from the form", async () => {
+  await withEnv(
+    { WEBDAV_URL: "https://cloud.example.com/dav/{username}/" },
+    async () => {
+      assert.deepEqual(
+        await parseWebDavCredentials({
+          username: "ann",
+          password: "pw",
+          url: "http://127.0.0.1/",
+        }),
+        {
+          url: "https://cloud.example.com/dav/ann/",
+          username: "ann",
+          password: "pw",
+        },
+      );
+    },
+  );
+});
+
+test("parseWebDavCredentials only reaches allowed hosts on public addresses", async () => {
+  const publicLookup = async () => [{ address: "93.184.216.34", family: 4 }];
+  const parse = (url, lookup = publicLookup) =>
+    parseWebDavCredentials(
+      { username: "ann", password: "pw", url },
+      { lookup },
+    );
+
+  await withEnv({ WEBDAV_URL: "", WEBDAV_ALLOWED_HOSTS: "" }, async () => {
+    assert.equal(
+      (await parse("https://cloud.example.com/")).error,
+      "url is not on an allowed WebDAV server",
+    );
+  });
+
+  await withEnv(
+    {
+      WEBDAV_URL: "",
+      WEBDAV_ALLOWED_HOSTS: "cloud.example.com, 127.0.0.1, [::1]",
+    },
+    async () => {
+      assert.equal(
+        (await parse("https://Cloud.Example.com/dav/")).url,
+        "https://cloud.example.com/dav/",
+      );
+      assert.equal(
+        (await parse("https://other.example.com/")).error,
+        "url is not on an allowed WebDAV server",
+      );
+      assert.equal(
+        (
+          await parse("https://cloud.example.com/", async () => [
+            { address: "93.184.216.34", family: 4 },
+            { address: "10.0.0.5", family: 4 },
+          ])
+        ).error,
+        "url must point to a public address",
+      );
+      // Allowed by mistake, still refused
+      assert.equal(
+        (
+          await parse("http://127.0.0.1/", async (host) => [
+            { address: host, family: 4 },
+          ])
+        ).error,
+        "url must point to a public address",
+      );
+      assert.equal(
+        (await parse("ftp://cloud.example.com/")).error,
+        "url must use http or https",
+      );
+    },
+  );
+});
+
+test("readClipCacheMaxMb falls back to the default for unreadable values", () => {
+  assert.equal(readClipCacheMaxMb(undefined), 2048);
+  assert.equal(readClipCacheMaxMb("512"), 512);
+  assert.equal(readClipCacheMaxMb("0"), 0);
+  assert.equal(readClipCacheMaxMb("2GB"), 2048);
+  assert.equal(readClipCacheMaxMb("-1"), 2048);
+  assert.equal(readClipCacheMaxMb(" "), 2048);
+});
@@ -0,0 +1,184 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  TAKES_FILE_NAME,
+  addTake,
+  getNextTake,
+  getTakeFileName,
+  getTakeThumbnailName,
+  groupDayTakes,
+  parseClipFileName,
+  readPrimaryTakes,
+  savePrimaryTake,
+} = require("../takes");
+const { LocalStorage } = require("../storage/local");
+
+test("parseClipFileName accepts first and later takes only", () => {
+  assert.deepEqual(parseClipFileName("2026-01-01.mp4"), {
+    date: "2026-01-01",
+    take: 1,
+    extension: "mp4",
+  });
+  assert.deepEqual(parseClipFileName("2026-01-01.take3.JPG"), {
+    date: "2026-01-01",
+    take: 3,
+    extension: "jpg",
+  });
+  assert.equal(parseClipFileName("2026-01-01.take1.mp4"), null);
+  assert.equal(parseClipFileName("2026-01-01.take02.mp4"), null);
+  assert.equal(parseClipFileName("2026-01-01.thumb.jpg"), null);
+  assert.equal(parseClipFileName("2026-01-01.take2.thumb.jpg"), null);
+  assert.equal(parseClipFileName("365moments_01-01-2026.mp4"), null);
+});
+
+test("take names keep the first take unsuffixed", () => {
+  assert.equal(getTakeFileName("2026-01-01", 1, ".png"), "2026-01-01.png");
+  assert.equal(getTakeFileName("2026-01-01", 2, "mp4"), "2026-01-01.take2.mp4");
+  assert.equal(getTakeThumbnailName("2026-01-01", 1), "2026-01-01.thumb.jpg");
+  assert.equal(
+    getTakeThumbnailName("2026-01-01", 4),
+    "2026-01-01.take4.thumb.jpg",
+  );
+});
+
+test("getNextTake counts takes of any type after the highest one", () => {
+  const files = [
+    { name: "2026-01-01.jpg" },
+    { name: "2026-01-01.take3.mp4" },
+    { name: "2026-01-01.take3.thumb.jpg" },
+    { name: "2026-01-02.mp4" },
+  ];
+
+  assert.equal(getNextTake(files, "2026-01-01"), 4);
+  assert.equal(getNextTake(files, "2026-01-02"), 2);
+  assert.equal(getNextTake(files, "2026-01-03"), 1);
+});
+
+test("groupDayTakes picks the recorded primary and falls back to the first take", () => {
+  const files = [
+    { id: "b2", name: "2026-01-02.take2.mp4" },
+    { id: "b1", name: "2026-01-02.mp4" },
+    { id: "a1-old", name: "2026-01-01.mp4", modifiedTime: "2026-01-01" },
+    { id: "a1", name: "2026-01-01.mp4", modifiedTime: "2026-01-02" },
+    { id: "a2", name: "2026-01-01.take2.mp4" },
+    { id: "thumb", name: "2026-01-01.thumb.jpg" },
+  ];
+
+  const days = groupDayTakes(files, {
+    "2026-01-02": { primary: "2026-01-02.take2.mp4" },
+    "2026-01-01": { primary: "2026-01-01.take5.mp4" },
+  });
+
+  assert.deepEqual([...days.keys()].sort(), ["2026-01-01", "2026-01-02"]);
+  assert.equal(days.get("2026-01-01").primary.id, "a1");
+  assert.deepEqual(
+    days.get("2026-01-01").takes.map((file) => [file.id, file.take]),
+    [
+      ["a1", 1],
+      ["a2", 2],
+    ],
+  );
+  assert.equal(days.get("2026-01-02").primary.id, "b2");
+});
+
+test("savePrimaryTake records and clears the primary take per day", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-takes-"));
+
+  try {
+    const storage = new LocalStorage({
+      rootDir: path.join(tempDir, "data"),
+      userKey: "user",
+    });
+    const folderId = await storage.getOrCreateFolder("365Moments");
+
+    await savePrimaryTake(
+      storage,
+      folderId,
+      "2026-01-01",
+      "2026-01-01.take2.mp4",
+      { tempDir },
+    );
+    await savePrimaryTake(
+      storage,
+      folderId,
+      "2026-01-02",
+      "2026-01-02.take3.mp4",
+      { tempDir },
+    );
+    await savePrimaryTake(storage, folderId, "2026-01-02", null, { tempDir });
+
+    const files = await storage.listFiles(folderId);
+    assert.deepEqual(
+      files.map((file) => file.name),
+      [TAKES_FILE_NAME],
+    );
+
+    const primaryTakes = await readPrimaryTakes(storage, files);
+    assert.deepEqual(Object.keys(primaryTakes), ["2026-01-01"]);
+    assert.equal(primaryTakes["2026-01-01"].primary, "2026-01-01.take2.mp4");
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("addTake numbers concurrent uploads for the same day in turn", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-takes-"));
+
+  try {
+    const storage = new LocalStorage({
+      rootDir: path.join(tempDir, "data"),
+      userKey: "user",
+    });
+    const folderId = await storage.getOrCreateFolder("365Moments");
+    const upload = (content, delayMs) => {
+      const filePath = path.join(tempDir, `${content}.mp4`);
+      fs.writeFileSync(filePath, content);
+      return addTake(
+        storage,
+        folderId,
+        "2026-01-01",
+        async (take) => {
+          // The slower upload would otherwise list the day before the
+          // faster one lands
+          await new Promise((resolve) => setTimeout(resolve, delayMs));
+          return storage.createFile(folderId, {
+            name: getTakeFileName("2026-01-01", take, "mp4"),
+            mimeType: "video/mp4",
+            filePath,
+          });
+        },
+        { userId: "user" },
+      );
+    };
+
+    const results = await Promise.all([
+      upload("first", 30),
+      upload("second", 0),
+    ]);
+
+    assert.deepEqual(
+      results.map(({ take, file }) => [take, file.name]),
+      [
+        [1, "2026-01-01.mp4"],
+        [2, "2026-01-01.take2.mp4"],
+      ],
+    );
+    const files = await storage.listFiles(folderId);
+    const contents = files
+      .map((file) => file.name)
+      .sort()
+      .map((name) =>
+        fs.readFileSync(
+          path.join(tempDir, "data", "user", "365Moments", name),
+          "utf8",
+        ),
+      );
+    assert.deepEqual(contents, ["first", "second"]);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
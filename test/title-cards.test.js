@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  computeCompilationStats,
+  getIntroCardLines,
+  getOutroCardLines,
+  parseTitleCardOptions,
+} = require("../title-cards");
+
+test("parseTitleCardOptions fills defaults and validates each card", () => {
+  const { value } = parseTitleCardOptions({
+    intro: { enabled: true, title: "  Our   year ", duration: 4 },
+  });
+  assert.deepEqual(value.intro, {
+    enabled: true,
+    title: "Our year",
+    duration: 4,
+  });
+  assert.equal(value.outro.enabled, false);
+
+  assert.equal(
+    parseTitleCardOptions({ outro: { duration: 30 } }).error,
+    "titleCards.outro.duration must be between 1 and 10 seconds",
+  );
+  assert.equal(
+    parseTitleCardOptions({ intro: { title: "x".repeat(81) } }).error,
+    "titleCards.intro.title must be at most 80 characters",
+  );
+  assert.equal(
+    parseTitleCardOptions({ intro: { enabled: "yes" } }).error,
+    "titleCards.intro.enabled must be a boolean",
+  );
+});
+
+test("computeCompilationStats finds the longest streak and completion", () => {
+  assert.deepEqual(
+    computeCompilationStats(
+      ["2026-02-27", "2026-02-28", "2026-03-01", "2026-03-03", "2026-03-04"],
+      { startDate: "2026-02-26", endDate: "2026-03-05" },
+    ),
+    { daysCaptured: 5, totalDays: 8, longestStreak: 3, percentComplete: 63 },
+  );
+  // Without a range the clips span it
+  assert.equal(
+    computeCompilationStats(["2026-03-01", "2026-03-02"]).percentComplete,
+    100,
+  );
+});
+
+test("title card lines show the title, name, range and stats", () => {
+  assert.deepEqual(
+    getIntroCardLines({
+      title: "My year",
+      userName: "Sam",
+      startDate: "2026-01-01",
+      endDate: "2026-12-31",
+    }).map((line) => line.text),
+    ["My year", "Sam", "January 1, 2026 – December 31, 2026"],
+  );
+  assert.deepEqual(
+    getIntroCardLines({
+      title: "",
+      userName: null,
+      startDate: "2026-03-01",
+      endDate: "2026-03-01",
+    }).map((line) => line.text),
+    ["March 1, 2026"],
+  );
+  assert.deepEqual(
+    getOutroCardLines({
+      title: "That's a wrap",
+      stats: { daysCaptured: 1, longestStreak: 1, percentComplete: 50 },
+    }).map((line) => line.text),
+    [
+      "That's a wrap",
+      "1 day captured",
+      "Longest streak: 1 day",
+      "50% complete",
+    ],
+  );
+});
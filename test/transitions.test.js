@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildTransitionAudioFilter,
+  buildXfadeGraph,
+  getTransitionedDuration,
+  isTransitionEnabled,
+  parseTransitionOptions,
+} = require("../transitions");
+
+test("parseTransitionOptions fills defaults and validates fields", () => {
+  assert.deepEqual(parseTransitionOptions(undefined), {
+    value: { type: "none", duration: 0.5 },
+  });
+  assert.deepEqual(parseTransitionOptions({ type: "wipe", duration: "0.25" }), {
+    value: { type: "wipe", duration: 0.25 },
+  });
+  assert.equal(
+    parseTransitionOptions({ type: "spin" }).error,
+    "transition.type must be one of: none, crossfade, fade-black, wipe",
+  );
+  assert.equal(
+    parseTransitionOptions({ duration: 0.8 }).error,
+    "transition.duration must be between 0.1 and 0.5 seconds",
+  );
+  assert.equal(isTransitionEnabled({ type: "none", duration: 0.5 }), false);
+  assert.equal(isTransitionEnabled({ type: "crossfade", duration: 0.5 }), true);
+});
+
+test("getTransitionedDuration subtracts one overlap per join", () => {
+  assert.equal(getTransitionedDuration([1, 1, 1, 1], 0.5), 2.5);
+  assert.equal(getTransitionedDuration([1], 0.5), 1);
+});
+
+test("buildXfadeGraph chains xfade with offsets from the running length", () => {
+  const graph = buildXfadeGraph([1, 1, 1], {
+    type: "fade-black",
+    duration: 0.25,
+  });
+
+  assert.deepEqual(graph.split(";"), [
+    "[0:v]settb=AVTB,fps=30,format=yuv420p[xin0]",
+    "[1:v]settb=AVTB,fps=30,format=yuv420p[xin1]",
+    "[2:v]settb=AVTB,fps=30,format=yuv420p[xin2]",
+    "[xin0][xin1]xfade=transition=fadeblack:duration=0.25:offset=0.75[xjoin1]",
+    "[xjoin1][xin2]xfade=transition=fadeblack:duration=0.25:offset=1.5[vout]",
+  ]);
+});
+
+test("buildXfadeGraph passes a single input straight through", () => {
+  assert.equal(
+    buildXfadeGraph([2.5], { type: "crossfade", duration: 0.5 }),
+    "[0:v]settb=AVTB,fps=30,format=yuv420p[xin0];[xin0]null[vout]",
+  );
+});
+
+test("buildTransitionAudioFilter keeps the non-overlapped part of each clip", () => {
+  assert.equal(
+    buildTransitionAudioFilter(Array(10).fill(1), {
+      type: "wipe",
+      duration: 0.3,
+    }),
+    "aselect='lt(mod(t,1),0.7)+gte(t,9)',asetpts=N/SR/TB",
+  );
+});
+
+test("buildTransitionAudioFilter cuts clips of varying length as segments", () => {
+  assert.equal(
+    buildTransitionAudioFilter([1.5, 0.8, 1], {
+      type: "crossfade",
+      duration: 0.25,
+    }),
+    [
+      "asplit=3[tsrc0][tsrc1][tsrc2]",
+      "[tsrc0]atrim=start=0:end=1.25,asetpts=PTS-STARTPTS[tkeep0]",
+      "[tsrc1]atrim=start=1.5:end=2.05,asetpts=PTS-STARTPTS[tkeep1]",
+      "[tsrc2]atrim=start=2.3,asetpts=PTS-STARTPTS[tkeep2]",
+      "[tkeep0][tkeep1][tkeep2]concat=n=3:v=0:a=1",
+    ].join(";"),
+  );
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { Readable } = require("node:stream");
+
+const {
+  UploadSessionStore,
+  parseContentRange,
+} = require("../upload-session-store");
+
+function withStore(run) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-up-"));
+  return Promise.resolve()
+    .then(() => run(new UploadSessionStore(tempDir, { maxBytes: 16 })))
+    .finally(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+}
+
+test("parseContentRange accepts only well-formed byte ranges", () => {
+  assert.deepEqual(parseContentRange("bytes 0-3/10"), {
+    start: 0,
+    end: 3,
+    total: 10,
+  });
+  assert.equal(parseContentRange("bytes 5-3/10"), null);
+  assert.equal(parseContentRange("bytes 0-10/10"), null);
+  assert.equal(parseContentRange(undefined), null);
+});
+
+test("UploadSessionStore appends chunks in order and hands over the file", () =>
+  withStore(async (store) => {
+    const session = store.create({
+      userId: "user@example.com",
+      fileName: "clip.mp4",
+      mimeType: "video/mp4",
+      size: 8,
+    });
+
+    let offset = await store.appendChunk(
+      session.id,
+      "user@example.com",
+      0,
+      Readable.from([Buffer.from("abcd")]),
+    );
+    assert.equal(offset, 4);
+
+    await assert.rejects(
+      store.appendChunk(
+        session.id,
+        "user@example.com",
+        2,
+        Readable.from([Buffer.from("cd")]),
+      ),
+      (error) => error.status === 409 && error.offset === 4,
+    );
+
+    offset = await store.appendChunk(
+      session.id,
+      "user@example.com",
+      4,
+      Readable.from([Buffer.from("efgh")]),
+    );
+    assert.equal(offset, 8);
+
+    const taken = store.take(session.id, "user@example.com");
+    assert.equal(fs.readFileSync(taken.filePath, "utf8"), "abcdefgh");
+    assert.equal(store.get(session.id, "user@example.com"), null);
+  }));
+
+test("UploadSessionStore keeps sessions private and bounded", () =>
+  withStore(async (store) => {
+    assert.throws(
+      () =>
+        store.create({ userId: "a", fileName: "x", mimeType: "", size: 17 }),
+      (error) => error.status === 413,
+    );
+
+    const session = store.create({
+      userId: "a",
+      fileName: "x.mp4",
+      mimeType: "video/mp4",
+      size: 4,
+    });
+    assert.equal(store.get(session.id, "b"), null);
+    assert.equal(store.get("../etc/passwd", "a"), null);
+
+    await assert.rejects(
+      store.appendChunk(
+        session.id,
+        "a",
+        0,
+        Readable.from([Buffer.from("toolong")]),
+      ),
+      (error) => error.status === 400,
+    );
+    assert.throws(
+      () => store.take(session.id, "a"),
+      (error) => error.status === 409,
+    );
+  }));
@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { WebDavStorage } = require("../storage/webdav");
+
+const BASE_URL = "https://cloud.example.com/remote.php/dav/files/alice/";
+
+function multistatus(entries) {
+  return `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:">
+${entries
+  .map(
+    ({ href, collection = false, type = "", length = "" }) => `  <d:response>
+    <d:href>${href}</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:resourcetype>${collection ? "<d:collection/>" : ""}</d:resourcetype>
+        <d:getcontenttype>${type}</d:getcontenttype>
+        <d:getcontentlength>${length}</d:getcontentlength>
+        <d:getlastmodified>Sat, 14 Mar 2026 10:00:00 GMT</d:getlastmodified>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>`,
+  )
+  .join("\n")}
+</d:multistatus>`;
+}
+
+function createStorage(handler) {
+  const requests = [];
+  const storage = new WebDavStorage({
+    url: BASE_URL,
+    username: "alice",
+    password: "app-password",
+  });
+  storage.fetch = async (url, init) => {
+    requests.push({ url: String(url), ...init });
+    return handler(String(url), init);
+  };
+  return { storage, requests };
+}
+
+test("WebDavStorage lists files in a collection and skips sub-collections", async () => {
+  const { storage, requests } = createStorage(
+    () =>
+      new Response(
+        multistatus([
+          { href: "/remote.php/dav/files/alice/365Moments/", collection: true },
+          {
+            href: "/remote.php/dav/files/alice/365Moments/2026-03-14.mp4",
+            type: "video/mp4",
+            length: "10",
+          },
+          {
+            href: "/remote.php/dav/files/alice/365Moments/2026-03-14.thumb.jpg",
+            type: "image/jpeg",
+            length: "4",
+          },
+          {
+            href: "/remote.php/dav/files/alice/365Moments/music/",
+            collection: true,
+          },
+        ]),
+        { status: 207 },
+      ),
+  );
+
+  const folderId = Buffer.from("365Moments").toString("base64url");
+  const files = await storage.listFiles(folderId);
+
+  assert.equal(requests[0].method, "PROPFIND");
+  assert.equal(requests[0].headers.Depth, "1");
+  assert.equal(requests[0].url, `${BASE_URL}365Moments/`);
+  assert.match(requests[0].headers.Authorization, /^Basic /);
+  assert.deepEqual(
+    files.map((file) => [file.name, file.mimeType, file.size]),
+    [
+      ["2026-03-14.mp4", "video/mp4", "10"],
+      ["2026-03-14.thumb.jpg", "image/jpeg", "4"],
+    ],
+  );
+  assert.deepEqual(files[0].parents, [folderId]);
+  assert.equal(files[0].modifiedTime, "2026-03-14T10:00:00.000Z");
+});
+
+test("WebDavStorage createFile PUTs the file and returns its metadata", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "365moments-dav-"));
+  const filePath = path.join(tempDir, "clip.mp4");
+  fs.writeFileSync(filePath, "video-data");
+
+  const { storage, requests } = createStorage(async (url, init) => {
+    if (init.method === "PUT") {
+      for await (const chunk of init.body) {
+        assert.equal(chunk.toString(), "video-data");
+      }
+      return new Response(null, { status: 201 });
+    }
+
+    return new Response(
+      multistatus([
+        {
+          href: "/remote.php/dav/files/alice/365Moments/2026-03-14.mp4",
+          type: "video/mp4",
+          length: "10",
+        },
+      ]),
+      { status: 207 },
+    );
+  });
+
+  try {
+    const folderId = Buffer.from("365Moments").toString("base64url");
+    const created = await storage.createFile(folderId, {
+      name: "2026-03-14.mp4",
+      mimeType: "video/mp4",
+      filePath,
+    });
+
+    assert.equal(requests[0].method, "PUT");
+    assert.equal(requests[0].url, `${BASE_URL}365Moments/2026-03-14.mp4`);
+    assert.equal(requests[0].headers["Content-Length"], "10");
+    assert.equal(created.name, "2026-03-14.mp4");
+    assert.equal(created.size, "10");
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test("WebDavStorage treats MKCOL on an existing collection as success", async () => {
+  const { storage } = createStorage(() => new Response(null, { status: 405 }));
+
+  const folderId = await storage.getOrCreateFolder("365Moments");
+  assert.equal(Buffer.from(folderId, "base64url").toString(), "365Moments");
+});
+
+test("WebDavStorage rejects ids containing parent directory segments", async () => {
+  const { storage, requests } = createStorage(() => {
+    throw new Error("should not be called");
+  });
+  const escapingId = Buffer.from("../bob/secret.mp4").toString("base64url");
+
+  await assert.rejects(() => storage.getFileStream(escapingId), {
+    status: 404,
+  });
+  assert.equal(requests.length, 0);
+});
+
+test("WebDavStorage slices the body when the server ignores Range", async () => {
+  const { storage, requests } = createStorage(
+    () => new Response("0123456789", { status: 200 }),
+  );
+  const fileId = Buffer.from("365Moments/2026-03-14.mp4").toString("base64url");
+
+  const stream = await storage.getFileStream(fileId, { start: 2, end: 5 });
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+
+  assert.equal(Buffer.concat(chunks).toString(), "2345");
+  assert.equal(requests[0].headers.Range, "bytes=2-5");
+});
@@ -0,0 +1,140 @@
+// Intro and outro cards of a compilation: a title with the user's name and
+// the date range, and stats about the days captured
+const { formatOverlayDate } = require("./overlays");
+const { countRangeDays } = require("./gaps");
+const {
+  parseBoolean,
+  parseNumberInRange,
+  parseOptionFields,
+} = require("./request-options");
+
+const MIN_CARD_DURATION = 1;
+const MAX_CARD_DURATION = 10;
+const MAX_TITLE_LENGTH = 80;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TITLE_CARDS = {
+  intro: { enabled: false, title: "365 Moments", duration: 3 },
+  outro: { enabled: false, title: "That's a wrap", duration: 3 },
+};
+
+function parseCardTitle(raw, field) {
+  if (typeof raw !== "string") {
+    return { error: `${field} must be a string` };
+  }
+
+  const title = raw.replace(/\s+/g, " ").trim();
+  if (title.length > MAX_TITLE_LENGTH) {
+    return {
+      error: `${field} must be at most ${MAX_TITLE_LENGTH} characters`,
+    };
+  }
+  return { value: title };
+}
+
+const parseTitleCard = (kind) => (raw, field) =>
+  parseOptionFields(raw, field, DEFAULT_TITLE_CARDS[kind], {
+    enabled: parseBoolean,
+    title: parseCardTitle,
+    duration: (value, durationField) =>
+      parseNumberInRange(
+        value,
+        durationField,
+        MIN_CARD_DURATION,
+        MAX_CARD_DURATION,
+        { unit: " seconds" },
+      ),
+  });
+
+// `titleCards`: the intro and outro, each off unless enabled
+function parseTitleCardOptions(raw) {
+  return parseOptionFields(raw, "titleCards", DEFAULT_TITLE_CARDS, {
+    intro: parseTitleCard("intro"),
+    outro: parseTitleCard("outro"),
+  });
+}
+
+// Stats for the outro from the YYYY-MM-DD dates that have a clip: days
+// captured, the longest run of consecutive days and the share of the range
+// (startDate..endDate, or the first to the last clip) that was captured
+function computeCompilationStats(dates, { startDate, endDate } = {}) {
+  const days = Array.from(new Set(dates.filter(Boolean))).sort();
+  if (!days.length) {
+    return {
+      daysCaptured: 0,
+      totalDays: 0,
+      longestStreak: 0,
+      percentComplete: 0,
+    };
+  }
+
+  let longestStreak = 1;
+  let streak = 1;
+  for (let i = 1; i < days.length; i++) {
+    const gap =
+      Date.parse(`${days[i]}T00:00:00.000Z`) -
+      Date.parse(`${days[i - 1]}T00:00:00.000Z`);
+    streak = gap === DAY_MS ? streak + 1 : 1;
+    longestStreak = Math.max(longestStreak, streak);
+  }
+
+  const totalDays = countRangeDays(
+    startDate || days[0],
+    endDate || days[days.length - 1],
+  );
+  return {
+    daysCaptured: days.length,
+    totalDays,
+    longestStreak,
+    percentComplete: Math.round((days.length / totalDays) * 100),
+  };
+}
+
+function formatDateRange(startDate, endDate) {
+  if (startDate === endDate) {
+    return formatOverlayDate(startDate);
+  }
+  return `${formatOverlayDate(startDate)} – ${formatOverlayDate(endDate)}`;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Card lines (see buildCardFilters) of the intro; empty parts are left out
+function getIntroCardLines({ title, userName, startDate, endDate }) {
+  return [
+    title && { text: title, size: 84 },
+    userName && { text: userName, size: 48 },
+    startDate &&
+      endDate && {
+        text: formatDateRange(startDate, endDate),
+        size: 40,
+        color: "white@0.7",
+      },
+  ].filter(Boolean);
+}
+
+// Card lines of the outro with the stats from computeCompilationStats
+function getOutroCardLines({ title, stats }) {
+  return [
+    title && { text: title, size: 72 },
+    { text: `${plural(stats.daysCaptured, "day")} captured`, size: 48 },
+    {
+      text: `Longest streak: ${plural(stats.longestStreak, "day")}`,
+      size: 48,
+    },
+    {
+      text: `${stats.percentComplete}% complete`,
+      size: 48,
+      color: "white@0.7",
+    },
+  ].filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_TITLE_CARDS,
+  MAX_TITLE_LENGTH,
+  computeCompilationStats,
+  getIntroCardLines,
+  getOutroCardLines,
+  parseTitleCardOptions,
+};
@@ -0,0 +1,138 @@
+// Transitions between compilation clips, built as FFmpeg xfade filter graphs
+const {
+  parseEnum,
+  parseNumberInRange,
+  parseOptionFields,
+} = require("./request-options");
+
+const TRANSITION_TYPES = {
+  none: null,
+  crossfade: "fade",
+  "fade-black": "fadeblack",
+  wipe: "wipeleft",
+};
+// Clips last one second and each overlaps both neighbours, so a transition
+// may use at most half of it
+const MIN_TRANSITION_DURATION = 0.1;
+const MAX_TRANSITION_DURATION = 0.5;
+
+const DEFAULT_TRANSITION = {
+  type: "none",
+  duration: 0.5,
+};
+
+// `transition`: the effect joining neighbouring clips and its length
+function parseTransitionOptions(raw) {
+  return parseOptionFields(raw, "transition", DEFAULT_TRANSITION, {
+    type: (value, field) =>
+      parseEnum(value, field, Object.keys(TRANSITION_TYPES)),
+    duration: (value, field) =>
+      parseNumberInRange(
+        value,
+        field,
+        MIN_TRANSITION_DURATION,
+        MAX_TRANSITION_DURATION,
+        { unit: " seconds" },
+      ),
+  });
+}
+
+function isTransitionEnabled(transition) {
+  return Boolean(transition && TRANSITION_TYPES[transition.type]);
+}
+
+// Length of clips joined with transitions: each join overlaps `duration`
+function getTransitionedDuration(durations, duration) {
+  const total = durations.reduce((sum, value) => sum + value, 0);
+  return total - Math.max(0, durations.length - 1) * duration;
+}
+
+function formatSeconds(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+// Filter graph joining video inputs 0..n-1 (with the given durations) into
+// [outputLabel]. Inputs are brought to a common timebase and frame rate first,
+// which xfade requires.
+function buildXfadeGraph(
+  durations,
+  transition,
+  { fps = 30, outputLabel = "vout" } = {},
+) {
+  const xfadeName = TRANSITION_TYPES[transition.type];
+  const prepared = durations.map(
+    (_, index) =>
+      `[${index}:v]settb=AVTB,fps=${fps},format=yuv420p[xin${index}]`,
+  );
+
+  if (durations.length === 1) {
+    return [...prepared, `[xin0]null[${outputLabel}]`].join(";");
+  }
+
+  const joins = [];
+  let previousLabel = "xin0";
+  let length = durations[0];
+
+  for (let index = 1; index < durations.length; index++) {
+    const label =
+      index === durations.length - 1 ? outputLabel : `xjoin${index}`;
+    const offset = length - transition.duration;
+    joins.push(
+      `[${previousLabel}][xin${index}]xfade=transition=${xfadeName}:duration=${formatSeconds(
+        transition.duration,
+      )}:offset=${formatSeconds(offset)}[${label}]`,
+    );
+    previousLabel = label;
+    length += durations[index] - transition.duration;
+  }
+
+  return [...prepared, ...joins].join(";");
+}
+
+// Audio filter chain for the concatenated clip audio (clips of the given
+// durations) that drops the overlapped tail of every clip but the last, so
+// the sound stays in step with the transitioned video. Place it between the
+// input and output labels.
+function buildTransitionAudioFilter(durations, transition) {
+  const [first] = durations;
+  if (durations.every((duration) => duration === first)) {
+    const keep = formatSeconds(first - transition.duration);
+    const lastStart = formatSeconds(first * (durations.length - 1));
+    return `aselect='lt(mod(t,${formatSeconds(first)}),${keep})+gte(t,${lastStart})',asetpts=N/SR/TB`;
+  }
+
+  // Beat-synced clips differ in length, so each kept range is cut as its own
+  // segment and the segments are joined again; one expression listing every
+  // range would grow with the clip count
+  const count = durations.length;
+  const sources = durations.map((_, index) => `[tsrc${index}]`).join("");
+  const kept = durations.map((_, index) => `[tkeep${index}]`).join("");
+  const segments = [];
+  let start = 0;
+  durations.forEach((duration, index) => {
+    const end =
+      index < count - 1
+        ? `:end=${formatSeconds(start + duration - transition.duration)}`
+        : "";
+    segments.push(
+      `[tsrc${index}]atrim=start=${formatSeconds(start)}${end},asetpts=PTS-STARTPTS[tkeep${index}]`,
+    );
+    start += duration;
+  });
+
+  return [
+    `asplit=${count}${sources}`,
+    ...segments,
+    `${kept}concat=n=${count}:v=0:a=1`,
+  ].join(";");
+}
+
+module.exports = {
+  DEFAULT_TRANSITION,
+  TRANSITION_TYPES,
+  buildTransitionAudioFilter,
+  buildXfadeGraph,
+  getTransitionedDuration,
+  isTransitionEnabled,
+  parseTransitionOptions,
+};
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Parse "bytes <start>-<end>/<total>"; returns null when malformed
+function parseContentRange(header) {
+  const match =
+    typeof header === "string" && header.match(/^bytes (\d+)-(\d+)\/(\d+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [start, end, total] = match.slice(1).map(Number);
+  if (end < start || end >= total) {
+    return null;
+  }
+
+  return { start, end, total };
+}
+
+function uploadError(message, status, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Resumable uploads: each session is an `upload-<id>.json` metadata file plus
+// an `upload-<id>.part` data file that chunks are appended to. The size of
+// the data file is the upload offset, so bytes from an interrupted chunk are
+// kept and the client resumes right after them.
+class UploadSessionStore {
+  constructor(dirPath, { maxBytes }) {
+    this.dirPath = dirPath;
+    this.maxBytes = maxBytes;
+    this.activeWrites = new Set();
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.dirPath)) {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+    }
+  }
+
+  metadataPath(uploadId) {
+    return path.join(this.dirPath, `upload-${uploadId}.json`);
+  }
+
+  dataPath(uploadId) {
+    return path.join(this.dirPath, `upload-${uploadId}.part`);
+  }
+
+  create({ userId, fileName, mimeType, size }) {
+    if (!Number.isSafeInteger(size) || size <= 0) {
+      throw uploadError("size must be a positive whole number of bytes", 400);
+    }
+
+    if (size > this.maxBytes) {
+      throw uploadError("File is too large", 413);
+    }
+
+    this.ensureDirectory();
+    const session = {
+      id: crypto.randomUUID(),
+      userId,
+      fileName,
+      mimeType,
+      size,
+      createdAt: new Date().toISOString(),
+    };
+
+    fs.writeFileSync(this.dataPath(session.id), "");
+    fs.writeFileSync(this.metadataPath(session.id), JSON.stringify(session));
+    return { ...session, offset: 0 };
+  }
+
+  // The session with its current offset, or null when missing or owned by
+  // another user
+  get(uploadId, userId) {
+    if (typeof uploadId !== "string" || !UPLOAD_ID_PATTERN.test(uploadId)) {
+      return null;
+    }
+
+    try {
+      const session = JSON.parse(
+        fs.readFileSync(this.metadataPath(uploadId), "utf8"),
+      );
+      if (session.userId !== userId) {
+        return null;
+      }
+
+      const offset = fs.statSync(this.dataPath(uploadId)).size;
+      return { ...session, offset };
+    } catch {
+      return null;
+    }
+  }
+
+  // Append a chunk that must start at the current offset. Resolves with the
+  // new offset; rejects with status 409 (and the offset) on a mismatch.
+  async appendChunk(uploadId, userId, start, chunkStream) {
+    const session = this.get(uploadId, userId);
+    if (!session) {
+      throw uploadError("Upload not found", 404);
+    }
+
+    if (this.activeWrites.has(uploadId)) {
+      throw uploadError("A chunk is already being written", 409, {
+        offset: session.offset,
+      });
+    }
+
+    if (start !== session.offset) {
+      throw uploadError("Chunk does not start at the upload offset", 409, {
+        offset: session.offset,
+      });
+    }
+
+    const remaining = session.size - session.offset;
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          callback(uploadError("Chunk exceeds the declared file size", 400));
+          return;
+        }
+        callback(null, chunk);
+      },
+    });
+
+    this.activeWrites.add(uploadId);
+    try {
+      await pipeline(
+        chunkStream,
+        limiter,
+        fs.createWriteStream(this.dataPath(uploadId), { flags: "a" }),
+      );
+    } finally {
+      this.activeWrites.delete(uploadId);
+      // Keep the metadata as fresh as the data for the stale temp sweep
+      const now = new Date();
+      fs.utimesSync(this.metadataPath(uploadId), now, now);
+    }
+
+    return fs.statSync(this.dataPath(uploadId)).size;
+  }
+
+  // Hand a completed upload's data file over to the caller, who must move or
+  // delete it
+  take(uploadId, userId) {
+    const session = this.get(uploadId, userId);
+    if (!session) {
+      throw uploadError("Upload not found", 404);
+    }
+
+    if (session.offset !== session.size || this.activeWrites.has(uploadId)) {
+      throw uploadError("Upload is not complete", 409, {
+        offset: session.offset,
+      });
+    }
+
+    fs.rmSync(this.metadataPath(uploadId), { force: true });
+    return { ...session, filePath: this.dataPath(uploadId) };
+  }
+
+  delete(uploadId, userId) {
+    if (!this.get(uploadId, userId)) {
+      return false;
+    }
+
+    fs.rmSync(this.dataPath(uploadId), { force: true });
+    fs.rmSync(this.metadataPath(uploadId), { force: true });
+    return true;
+  }
+}
+
+module.exports = {
+  UploadSessionStore,
+  parseContentRange,
+};